@@ -0,0 +1,261 @@
+/**
+ * audiences.js
+ * Who campaigns (campaigns.js) go to, and who asked not to get them.
+ *
+ * An audience spec names where the numbers come from:
+ *  - env           : BROADCAST_NUMBERS (env:BROADCAST_<NAME> reads another comma-separated variable;
+ *                    only BROADCAST_* names, so an admin cannot read other settings through it)
+ *  - list:<name>   : a list imported from a CSV file (/campaign import)
+ *  - tag:<tag>     : users tagged with /tag
+ *  - 15551234567,15557654321 : the numbers themselves
+ * Opted-out users (STOP / UNSUBSCRIBE) are removed from every audience when it is resolved,
+ * and again right before each send.
+ *
+ * Storage is any adapter from storage/ (defaults to the session backend):
+ *  audience:<name>         { name, numbers: [...], source, createdBy, createdAt }
+ *  usertag:<tag>:<number>  { by, at }
+ *  optout:<number>         { at, keyword }
+ *
+ * Usage:
+ *  const { numbers, optedOut } = await audiences.resolve('tag:vip');
+ *  await audiences.optOut(from, 'STOP');
+ */
+
+const { getDefaultAdapter } = require('./storage');
+
+const AUDIENCE_PREFIX = 'audience:';
+const TAG_PREFIX = 'usertag:';
+const OPTOUT_PREFIX = 'optout:';
+
+// STOP PROMOTIONS is the opt-out button WhatsApp adds to marketing templates
+const OPT_OUT_WORDS = ['stop', 'unsubscribe', 'stop promotions', 'stop updates', 'opt out', 'optout'];
+const OPT_IN_WORDS = ['start', 'subscribe'];
+
+let adapter = null;
+
+function _adapter() {
+  if (!adapter) adapter = getDefaultAdapter();
+  return adapter;
+}
+
+function useAdapter(next) {
+  adapter = next;
+}
+
+function normalizeBare(jidOrNumber) {
+  return String(jidOrNumber || '').replace(/\D/g, '');
+}
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function unique(numbers) {
+  return Array.from(new Set(numbers.map(normalizeBare).filter((n) => n.length >= 6)));
+}
+
+function parseNumbers(value) {
+  return unique(String(value || '').split(/[,;\s]+/));
+}
+
+/* ---------- Opt-out ---------- */
+
+/** matchKeyword(text) -> 'out' | 'in' | null - whole-message STOP / START keywords, any case. */
+function matchKeyword(text) {
+  const t = String(text || '').trim().toLowerCase().replace(/[.!]+$/, '');
+  if (OPT_OUT_WORDS.includes(t)) return 'out';
+  if (OPT_IN_WORDS.includes(t)) return 'in';
+  return null;
+}
+
+async function optOut(user, keyword = null) {
+  const number = normalizeBare(user);
+  if (!number) return;
+  await _adapter().set(OPTOUT_PREFIX + number, { at: Date.now(), keyword });
+}
+
+/** optIn(user) -> true if the user had opted out. */
+async function optIn(user) {
+  const number = normalizeBare(user);
+  const was = await isOptedOut(number);
+  if (was) await _adapter().del(OPTOUT_PREFIX + number);
+  return was;
+}
+
+async function isOptedOut(user) {
+  return Boolean(await _adapter().get(OPTOUT_PREFIX + normalizeBare(user)));
+}
+
+async function countOptedOut() {
+  return (await _adapter().keys(OPTOUT_PREFIX)).length;
+}
+
+/* ---------- Tags ---------- */
+
+function normalizeTag(tag) {
+  return normalizeName(tag).slice(0, 40);
+}
+
+async function tagUser(user, tag, { by = null } = {}) {
+  const number = normalizeBare(user);
+  const t = normalizeTag(tag);
+  if (!number || !t) throw new Error('A number and a tag are required.');
+  await _adapter().set(`${TAG_PREFIX}${t}:${number}`, { by: by ? normalizeBare(by) : null, at: Date.now() });
+  return t;
+}
+
+/** untagUser(user, tag) -> true if the user had the tag. */
+async function untagUser(user, tag) {
+  const key = `${TAG_PREFIX}${normalizeTag(tag)}:${normalizeBare(user)}`;
+  const had = Boolean(await _adapter().get(key));
+  if (had) await _adapter().del(key);
+  return had;
+}
+
+async function usersWithTag(tag) {
+  const prefix = `${TAG_PREFIX}${normalizeTag(tag)}:`;
+  return (await _adapter().keys(prefix)).map((k) => k.slice(prefix.length));
+}
+
+async function tagsOf(user) {
+  const number = normalizeBare(user);
+  return (await _adapter().keys(TAG_PREFIX))
+    .map((k) => k.slice(TAG_PREFIX.length).split(':'))
+    .filter(([, n]) => n === number)
+    .map(([t]) => t)
+    .sort();
+}
+
+/** listTags() -> [{ tag, count }] */
+async function listTags() {
+  const counts = new Map();
+  for (const key of await _adapter().keys(TAG_PREFIX)) {
+    const tag = key.slice(TAG_PREFIX.length).split(':')[0];
+    counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+  return Array.from(counts, ([tag, count]) => ({ tag, count })).sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+/* ---------- Imported lists ---------- */
+
+function splitCsvLine(line, sep) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep) { cells.push(cell); cell = ''; } else cell += ch;
+  }
+  cells.push(cell);
+  return cells.map((c) => c.trim());
+}
+
+/**
+ * parseCsv(text) -> { numbers, invalid }
+ * Takes the column headed phone / number / mobile / whatsapp / wa_id, or the first column when there
+ * is no such header. Comma, semicolon and tab separated files work; numbers keep only their digits.
+ */
+function parseCsv(text) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) return { numbers: [], invalid: 0 };
+  const sep = [',', ';', '\t'].map((s) => [s, lines[0].split(s).length]).sort((a, b) => b[1] - a[1])[0][0];
+  const header = splitCsvLine(lines[0], sep).map((h) => h.toLowerCase());
+  let col = header.findIndex((h) => /^(phone|phone[ _-]?number|number|mobile|msisdn|whatsapp|wa[ _-]?id)$/.test(h));
+  const hasHeader = col >= 0 || !/\d{6,}/.test(lines[0]);
+  if (col < 0) col = 0;
+  let invalid = 0;
+  const numbers = [];
+  for (const line of lines.slice(hasHeader ? 1 : 0)) {
+    const digits = normalizeBare(splitCsvLine(line, sep)[col]);
+    if (digits.length >= 6 && digits.length <= 15) numbers.push(digits);
+    else invalid++;
+  }
+  return { numbers: unique(numbers), invalid };
+}
+
+/** saveList(name, numbers, { source, createdBy }) -> { name, count } - replaces a list of the same name. */
+async function saveList(name, numbers, { source = null, createdBy = null } = {}) {
+  const n = normalizeName(name);
+  if (!n) throw new Error('A list name is required.');
+  const list = unique(numbers);
+  await _adapter().set(AUDIENCE_PREFIX + n, { name: n, numbers: list, source, createdBy, createdAt: Date.now() });
+  return { name: n, count: list.length };
+}
+
+async function getList(name) {
+  return _adapter().get(AUDIENCE_PREFIX + normalizeName(name));
+}
+
+async function deleteList(name) {
+  const key = AUDIENCE_PREFIX + normalizeName(name);
+  const had = Boolean(await _adapter().get(key));
+  if (had) await _adapter().del(key);
+  return had;
+}
+
+/** listLists() -> [{ name, count, source, createdAt }] */
+async function listLists() {
+  const out = [];
+  for (const key of await _adapter().keys(AUDIENCE_PREFIX)) {
+    const list = await _adapter().get(key);
+    if (list) out.push({ name: list.name, count: list.numbers.length, source: list.source, createdAt: list.createdAt });
+  }
+  return out.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/* ---------- Resolving ---------- */
+
+/**
+ * resolve(spec) -> { spec, numbers, optedOut }
+ * numbers excludes opted-out users (counted in optedOut). Throws for unknown lists or specs.
+ */
+async function resolve(spec) {
+  const s = String(spec || '').trim();
+  let numbers;
+  if (/^env(:\w+)?$/i.test(s)) {
+    const name = s.split(':')[1] || 'BROADCAST_NUMBERS';
+    if (!/^BROADCAST_\w+$/.test(name)) throw new Error(`Audience "${s}" is not allowed: env: only reads BROADCAST_* variables.`);
+    numbers = parseNumbers(process.env[name]);
+  } else if (/^list:/i.test(s)) {
+    const list = await getList(s.slice(5));
+    if (!list) throw new Error(`No imported list "${s.slice(5)}". See /campaign audiences.`);
+    numbers = list.numbers;
+  } else if (/^tag:/i.test(s)) {
+    numbers = await usersWithTag(s.slice(4));
+  } else if (/^[\d+\s,;-]+$/.test(s)) {
+    numbers = parseNumbers(s);
+  } else {
+    throw new Error(`Unknown audience "${s}". Use env, list:<name>, tag:<tag> or numbers separated by commas.`);
+  }
+  const kept = [];
+  let optedOut = 0;
+  for (const n of unique(numbers)) {
+    if (await isOptedOut(n)) optedOut++;
+    else kept.push(n);
+  }
+  return { spec: s, numbers: kept, optedOut };
+}
+
+module.exports = {
+  useAdapter,
+  matchKeyword,
+  optOut,
+  optIn,
+  isOptedOut,
+  countOptedOut,
+  tagUser,
+  untagUser,
+  usersWithTag,
+  tagsOf,
+  listTags,
+  parseCsv,
+  saveList,
+  getList,
+  deleteList,
+  listLists,
+  resolve
+};
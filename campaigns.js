@@ -0,0 +1,392 @@
+/**
+ * campaigns.js
+ * Broadcast campaigns: a text sent to an audience (audiences.js) now or at a scheduled time,
+ * paced to stay under the Cloud API's throughput, with per-recipient progress that survives
+ * restarts.
+ *
+ * The audience is resolved when the campaign is created; users who opt out later (STOP) are
+ * still skipped, because opt-outs are checked again right before each send. Recipients outside
+ * the 24-hour window get the campaign's template (whatsapp-utils.js falls back on its own).
+ *
+ * Sending is done by the runner (startRunner), which the queue workers start: every few seconds
+ * one process takes the runner lock, sends a slice of the oldest due campaign at
+ * CAMPAIGN_RATE_PER_SECOND and records each recipient before moving the cursor. If the process
+ * dies, the next runner continues at the cursor; a recipient caught mid-send is reported as
+ * 'unknown' rather than messaged twice. Throughput errors from Meta pause the campaign with
+ * a growing backoff and retry the same recipient.
+ *
+ * Storage is any adapter from storage/ (defaults to the session backend):
+ *  campaign:<id>               { id, text, template, audience, total, status, cursor, counts, ... }
+ *  campaign-to:<id>            [numbers] in send order
+ *  campaign-rcpt:<id>:<number> { status: sending|sent|failed|opted_out|unknown, wamid, template, error, at }
+ *  campaign-index              [ids], oldest first
+ * Finished campaigns are kept CAMPAIGN_RETENTION_DAYS.
+ *
+ * Usage:
+ *  const c = await campaigns.create({ text, audience: 'tag:vip', scheduledAt, createdBy: from });
+ *  campaigns.startRunner();                       // index_Version4.js / worker.js
+ *  const report = await campaigns.report(c.id);
+ */
+
+const crypto = require('crypto');
+const { getDefaultAdapter } = require('./storage');
+const audiences = require('./audiences');
+const deliveryTracker = require('./delivery-tracker');
+const metrics = require('./metrics');
+const { sendText } = require('./whatsapp-utils');
+
+const CAMPAIGN_PREFIX = 'campaign:';
+const TO_PREFIX = 'campaign-to:';
+const RCPT_PREFIX = 'campaign-rcpt:';
+const INDEX_KEY = 'campaign-index';
+const LOCK_KEY = 'campaign-runner-lock';
+
+const TICK_MS = 2000;
+const SLICE_MS = 20000;
+// longer than a slice plus one slow send, so a live runner never loses the lock mid-slice
+const LOCK_MS = SLICE_MS + 2 * 60 * 1000;
+const MIN_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+// Graph error codes for throughput limits: app/account rate, message throughput, spam rate limit
+const THROTTLE_CODES = [4, 80007, 130429, 131048];
+const FINAL = ['sent', 'failed', 'opted_out', 'unknown'];
+
+let adapter = null;
+let runner = null;
+
+function _adapter() {
+  if (!adapter) adapter = getDefaultAdapter();
+  return adapter;
+}
+
+function useAdapter(next) {
+  adapter = next;
+}
+
+function retentionMs() {
+  return parseInt(process.env.CAMPAIGN_RETENTION_DAYS || '90', 10) * 24 * 60 * 60 * 1000;
+}
+
+function ratePerSecond() {
+  return Math.max(0.1, parseFloat(process.env.CAMPAIGN_RATE_PER_SECOND || '20'));
+}
+
+function normalizeBare(jidOrNumber) {
+  return String(jidOrNumber || '').replace(/\D/g, '');
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/* ---------- Records ---------- */
+
+async function get(id) {
+  return id ? _adapter().get(CAMPAIGN_PREFIX + id) : null;
+}
+
+async function save(campaign) {
+  const done = campaign.status === 'done' || campaign.status === 'cancelled';
+  await _adapter().set(CAMPAIGN_PREFIX + campaign.id, campaign, done ? retentionMs() : undefined);
+}
+
+// keeps a pause/cancel that landed while the runner was sending
+async function saveProgress(c) {
+  const latest = await get(c.id);
+  if (latest && latest.status !== 'running') {
+    c.status = latest.status;
+    c.finishedAt = latest.finishedAt;
+  }
+  await save(c);
+}
+
+/** list({ limit }) -> campaigns, newest first */
+async function list({ limit = 20 } = {}) {
+  const ids = (await _adapter().get(INDEX_KEY)) || [];
+  const out = [];
+  const alive = [];
+  for (const id of ids) {
+    const c = await get(id);
+    if (!c) continue;
+    alive.push(id);
+    out.push(c);
+  }
+  if (alive.length !== ids.length) await _adapter().set(INDEX_KEY, alive);
+  return out.reverse().slice(0, limit);
+}
+
+/**
+ * parseWhen(text, now) -> ms timestamp | null
+ * Accepts "now", "+30m" / "+2h" / "+1d", "18:30" (today, or tomorrow once passed) and
+ * "2026-05-01 09:00" / ISO timestamps; times without an offset are server local time.
+ */
+function parseWhen(text, now = Date.now()) {
+  const t = String(text || '').trim().toLowerCase();
+  if (t === 'now') return now;
+  let m = t.match(/^\+(\d+)\s*(m|min|h|d)$/);
+  if (m) return now + parseInt(m[1], 10) * { m: 60000, min: 60000, h: 3600000, d: 86400000 }[m[2]];
+  m = t.match(/^(\d{1,2}):(\d{2})$/);
+  if (m) {
+    const d = new Date(now);
+    d.setHours(parseInt(m[1], 10), parseInt(m[2], 10), 0, 0);
+    if (d.getTime() <= now) d.setDate(d.getDate() + 1);
+    return parseInt(m[1], 10) < 24 && parseInt(m[2], 10) < 60 ? d.getTime() : null;
+  }
+  if (/^\d{4}-\d{2}-\d{2}([ t]\d{1,2}:\d{2}(:\d{2})?)?(z|[+-]\d{2}:?\d{2})?$/.test(t)) {
+    const ms = Date.parse(t.replace(' ', 'T').toUpperCase());
+    return Number.isNaN(ms) ? null : ms;
+  }
+  return null;
+}
+
+/**
+ * create({ text, audience, scheduledAt, template, createdBy }) -> campaign
+ * Resolves the audience now (opted-out users are left out) and stores the recipient list.
+ * template defaults to BROADCAST_TEMPLATE; without one WHATSAPP_FALLBACK_TEMPLATE applies.
+ */
+async function create({ text, audience, scheduledAt = Date.now(), template = null, createdBy = null }) {
+  if (!String(text || '').trim()) throw new Error('A campaign needs a message.');
+  const { spec, numbers, optedOut } = await audiences.resolve(audience);
+  if (!numbers.length) throw new Error(`The audience ${spec} has no recipients${optedOut ? ` (${optedOut} opted out)` : ''}.`);
+  const now = Date.now();
+  const campaign = {
+    id: `cmp_${now.toString(36)}_${crypto.randomBytes(2).toString('hex')}`,
+    text: String(text),
+    template: template || process.env.BROADCAST_TEMPLATE || null,
+    audience: spec,
+    total: numbers.length,
+    optedOutAtCreation: optedOut,
+    createdBy: createdBy ? normalizeBare(createdBy) : null,
+    createdAt: now,
+    scheduledAt: Math.max(scheduledAt || now, now),
+    status: 'scheduled',
+    cursor: 0,
+    counts: { sent: 0, template: 0, failed: 0, opted_out: 0, unknown: 0 },
+    throttles: 0,
+    throttledUntil: null,
+    startedAt: null,
+    finishedAt: null,
+    lastError: null
+  };
+  await _adapter().set(TO_PREFIX + campaign.id, numbers);
+  await save(campaign);
+  const ids = (await _adapter().get(INDEX_KEY)) || [];
+  ids.push(campaign.id);
+  await _adapter().set(INDEX_KEY, ids);
+  await metrics.increment('campaign.created');
+  return campaign;
+}
+
+async function setStatus(id, from, to) {
+  const c = await get(id);
+  if (!c) throw new Error(`Campaign ${id} not found.`);
+  if (!from.includes(c.status)) throw new Error(`Campaign ${id} is ${c.status}.`);
+  c.status = to;
+  if (to === 'cancelled') {
+    c.finishedAt = Date.now();
+    await _adapter().set(TO_PREFIX + id, (await _adapter().get(TO_PREFIX + id)) || [], retentionMs());
+  }
+  await save(c);
+  return c;
+}
+
+/** pause(id) / resume(id) / cancel(id) -> campaign; throws when the campaign can't change that way. */
+function pause(id) {
+  return setStatus(id, ['scheduled', 'running'], 'paused');
+}
+
+async function resume(id) {
+  const c = await get(id);
+  return setStatus(id, ['paused'], c && c.startedAt ? 'running' : 'scheduled');
+}
+
+function cancel(id) {
+  return setStatus(id, ['scheduled', 'running', 'paused'], 'cancelled');
+}
+
+/* ---------- Sending ---------- */
+
+function isThrottle(err) {
+  const code = err?.response?.data?.error?.code;
+  return err?.response?.status === 429 || THROTTLE_CODES.includes(code);
+}
+
+function errorText(err) {
+  const e = err?.response?.data?.error;
+  return e ? [e.code, e.message].filter(Boolean).join(' ') : String(err?.message || err);
+}
+
+function isDue(c, now) {
+  if (c.throttledUntil && c.throttledUntil > now) return false;
+  return c.status === 'running' || (c.status === 'scheduled' && c.scheduledAt <= now);
+}
+
+/**
+ * runSlice(id, { send, notify }) - sends to the next recipients for up to SLICE_MS.
+ * send(to, text, options) is whatsapp-utils.sendText; notify(to, text) tells the creator it finished.
+ */
+async function runSlice(id, { send, notify }) {
+  let c = await get(id);
+  if (!c || !isDue(c, Date.now())) return;
+  const numbers = (await _adapter().get(TO_PREFIX + id)) || [];
+  if (c.status === 'scheduled') {
+    c.status = 'running';
+    c.startedAt = Date.now();
+    await save(c);
+  }
+  const gapMs = 1000 / ratePerSecond();
+  const sliceStart = Date.now();
+  let lastSendAt = 0;
+
+  while (c.cursor < numbers.length && Date.now() - sliceStart < SLICE_MS) {
+    // an admin may pause or cancel from another process
+    const fresh = await get(id);
+    if (!fresh || fresh.status !== 'running') return;
+    c = fresh;
+    const number = numbers[c.cursor];
+    const key = `${RCPT_PREFIX}${id}:${number}`;
+    const prev = await _adapter().get(key);
+
+    if (prev && FINAL.includes(prev.status)) {
+      // finished before the cursor was saved
+    } else if (prev && prev.status === 'sending') {
+      await _adapter().set(key, { ...prev, status: 'unknown', error: 'interrupted while sending' }, retentionMs());
+      c.counts.unknown++;
+    } else if (await audiences.isOptedOut(number)) {
+      await _adapter().set(key, { status: 'opted_out', at: Date.now() }, retentionMs());
+      c.counts.opted_out++;
+    } else {
+      const wait = lastSendAt + gapMs - Date.now();
+      if (wait > 0) await sleep(wait);
+      await _adapter().set(key, { status: 'sending', at: Date.now() }, retentionMs());
+      lastSendAt = Date.now();
+      try {
+        const resp = await send(number, c.text, { tag: id, template: c.template || undefined });
+        const record = { status: 'sent', wamid: resp?.messages?.[0]?.id || null, template: resp?.template || null, at: Date.now() };
+        await _adapter().set(key, record, retentionMs());
+        c.counts.sent++;
+        if (record.template) c.counts.template++;
+        c.throttles = 0;
+        await metrics.increment('campaign.sent');
+      } catch (err) {
+        if (isThrottle(err)) {
+          // leave this recipient for the retry
+          await _adapter().del(key);
+          c.throttledUntil = Date.now() + Math.min(MIN_BACKOFF_MS * 2 ** c.throttles, MAX_BACKOFF_MS);
+          c.throttles++;
+          c.lastError = errorText(err);
+          await saveProgress(c);
+          console.warn(`campaigns: ${id} throttled by the Cloud API, retrying at ${new Date(c.throttledUntil).toISOString()}`);
+          return;
+        }
+        await _adapter().set(key, { status: 'failed', error: errorText(err), at: Date.now() }, retentionMs());
+        c.counts.failed++;
+        c.lastError = errorText(err);
+        await metrics.increment('campaign.failed');
+      }
+    }
+    c.cursor++;
+    await saveProgress(c);
+  }
+
+  if (c.status === 'running' && c.cursor >= numbers.length) {
+    c.status = 'done';
+    c.finishedAt = Date.now();
+    await save(c);
+    await _adapter().set(TO_PREFIX + id, numbers, retentionMs());
+    if (c.createdBy && notify) {
+      const { sent, template, failed, opted_out: optedOut } = c.counts;
+      const parts = [`Sent: ${sent}${template ? ` (${template} as template)` : ''}`, `Failed: ${failed}`];
+      if (optedOut) parts.push(`Opted out: ${optedOut}`);
+      try {
+        await notify(c.createdBy, `📣 Campaign ${c.id} finished. ${parts.join('. ')}.\nReport: /campaign status ${c.id}`);
+      } catch (err) {
+        console.error('campaigns: notify error', err?.message || err);
+      }
+    }
+  }
+}
+
+/**
+ * runPending({ send, notify }) -> id of the campaign worked on, or null
+ * One runner pass: takes the lock shared by all processes, so campaigns go out one at a time
+ * and the rate limit holds overall.
+ */
+async function runPending({ send, notify } = {}) {
+  const now = Date.now();
+  const due = (await list({ limit: Infinity })).reverse().filter((c) => isDue(c, now));
+  if (!due.length) return null;
+  const owner = `${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+  if (!(await _adapter().setIfAbsent(LOCK_KEY, owner, LOCK_MS))) return null;
+  try {
+    await runSlice(due[0].id, { send: send || sendText, notify: notify === undefined ? send || sendText : notify });
+    return due[0].id;
+  } finally {
+    if ((await _adapter().get(LOCK_KEY)) === owner) await _adapter().del(LOCK_KEY);
+  }
+}
+
+/** startRunner({ send, notify }) - polls for due campaigns every TICK_MS; safe to call in several processes. */
+function startRunner(options = {}) {
+  if (runner) return;
+  let busy = false;
+  runner = setInterval(() => {
+    if (busy) return;
+    busy = true;
+    runPending(options)
+      .catch((err) => console.error('campaigns: runner error', err?.message || err))
+      .finally(() => { busy = false; });
+  }, TICK_MS);
+  runner.unref();
+}
+
+function stopRunner() {
+  clearInterval(runner);
+  runner = null;
+}
+
+/* ---------- Reports ---------- */
+
+/**
+ * report(id) -> { campaign, counts: {status: n}, recipients: [{ to, status, error }], failures, pending } | null
+ * Sent messages are broken down by their delivery status (delivery-tracker.js): sent, delivered,
+ * read or failed; delivery records older than DELIVERY_RETENTION_DAYS count as 'sent'.
+ * recipients is in audience order; failures is the failed part of it.
+ */
+async function report(id) {
+  const campaign = await get(id);
+  if (!campaign) return null;
+  const numbers = (await _adapter().get(TO_PREFIX + id)) || [];
+  const counts = {};
+  const recipients = [];
+  let pending = 0;
+  for (const number of numbers) {
+    const r = await _adapter().get(`${RCPT_PREFIX}${id}:${number}`);
+    let status = r ? r.status : 'pending';
+    let error = r?.error || null;
+    if (status === 'sent' && r.wamid) {
+      const d = await deliveryTracker.getDelivery(r.wamid);
+      if (d && d.status !== 'pending') status = d.status;
+      if (d?.error) error = [d.error.code, d.error.title || d.error.message].filter(Boolean).join(' ');
+    }
+    if (status === 'pending' || status === 'sending') pending++;
+    counts[status] = (counts[status] || 0) + 1;
+    recipients.push({ to: number, status, error });
+  }
+  const failures = recipients.filter((r) => r.status === 'failed');
+  return { campaign, counts, recipients, failures, pending };
+}
+
+module.exports = {
+  useAdapter,
+  parseWhen,
+  create,
+  get,
+  list,
+  pause,
+  resume,
+  cancel,
+  runSlice,
+  runPending,
+  startRunner,
+  stopRunner,
+  report
+};
@@ -0,0 +1,194 @@
+/**
+ * command-flows.js
+ * Multi-step conversations: instead of failing with a usage error, a command asks for what is
+ * missing one question at a time ("Which language?" → "Send the text to translate.") and runs
+ * once every answer is in.
+ *
+ *  flows.define('translate', {
+ *    steps: [
+ *      { name: 'lang', prompt: 'Which language?', choices: ['English', 'Spanish', 'French'] },
+ *      { name: 'text', prompt: 'Send the text to translate.', parse: (text) => ({ ok: true, value: text }) }
+ *    ],
+ *    complete: async (from, values, context) => { ... }      // values = { lang, text }
+ *  });
+ *  await flows.start(from, 'translate', context, { values: { lang: 'French' } });   // asks only for text
+ *  const { handled } = await flows.handleInput(from, { text, replyId }, context);
+ *
+ * Choices (strings or { value, title }, or a function returning them) are offered as reply
+ * buttons (up to 3) or a list (up to 10) when context.sendInteractive is available; the ids are
+ * flow:<flow>:<step>:<value>. Typed answers always work, and match a choice by its title.
+ *
+ * The open step is kept in the user's session (sessionStore.setFlow). It expires after
+ * FLOW_TIMEOUT_MINUTES (default 10) without an answer; cancel(from) backs /cancel.
+ */
+
+const sessionStore = require('./session-store');
+
+const ID_PREFIX = 'flow:';
+const MAX_BUTTONS = 3;
+const MAX_ROWS = 10;
+
+const definitions = new Map(); // name -> { steps, complete }
+
+function timeoutMs() {
+  return parseInt(process.env.FLOW_TIMEOUT_MINUTES || '10', 10) * 60 * 1000;
+}
+
+/** define(name, { steps, complete }) - see the header; redefining a name replaces it. */
+function define(name, { steps, complete }) {
+  if (!name || !Array.isArray(steps) || !steps.length || typeof complete !== 'function') {
+    throw new Error('a flow needs a name, steps and a complete function');
+  }
+  definitions.set(name, { steps, complete });
+}
+
+function has(name) {
+  return definitions.has(name);
+}
+
+function choicesOf(step) {
+  const list = typeof step.choices === 'function' ? step.choices() : step.choices;
+  return (list || []).map((c) => (typeof c === 'object' ? { value: String(c.value), title: String(c.title || c.value) } : { value: String(c), title: String(c) }));
+}
+
+function nextStep(def, values) {
+  return def.steps.find((s) => values[s.name] === undefined) || null;
+}
+
+function replyId(name, step, value) {
+  return `${ID_PREFIX}${name}:${step}:${value}`;
+}
+
+// question with its choices as buttons or a list; plain text without sendInteractive or choices
+async function ask(from, name, step, context, note = '') {
+  const body = note ? `${note}\n\n${step.prompt}` : step.prompt;
+  const choices = choicesOf(step);
+  if (choices.length && choices.length <= MAX_ROWS && typeof context.sendInteractive === 'function') {
+    const footer = { text: 'Or type your answer · /cancel to stop' };
+    const payload = choices.length <= MAX_BUTTONS
+      ? {
+        type: 'button',
+        body: { text: body },
+        footer,
+        action: {
+          buttons: choices.map((c) => ({ type: 'reply', reply: { id: replyId(name, step.name, c.value), title: c.title.slice(0, 20) } }))
+        }
+      }
+      : {
+        type: 'list',
+        body: { text: body },
+        footer,
+        action: {
+          button: 'Choose',
+          sections: [{ title: 'Options', rows: choices.map((c) => ({ id: replyId(name, step.name, c.value), title: c.title.slice(0, 24) })) }]
+        }
+      };
+    try {
+      await context.sendInteractive(from, payload);
+      return;
+    } catch (err) {
+      console.error('command-flows: interactive question failed, sending text', err?.message || err);
+    }
+  }
+  const options = choices.length ? `\n(${choices.map((c) => c.title).join(', ')})` : '';
+  await context.sendText(from, `${body}${options}\n\nSend /cancel to stop.`);
+}
+
+/**
+ * start(from, name, context, { values }) - opens the flow and asks its first unanswered step;
+ * when values already answers every step the flow completes right away.
+ */
+async function start(from, name, context, { values = {} } = {}) {
+  const def = definitions.get(name);
+  if (!def) throw new Error(`unknown flow "${name}"`);
+  const step = nextStep(def, values);
+  if (!step) {
+    await sessionStore.setFlow(from, null);
+    await def.complete(from, values, context);
+    return;
+  }
+  await sessionStore.setFlow(from, { name, step: step.name, values, expiresAt: Date.now() + timeoutMs() });
+  await ask(from, name, step, context);
+}
+
+/** active(from) -> { name, step, values, expiresAt } | null; expired flows count as closed. */
+async function active(from) {
+  const flow = await sessionStore.getFlow(from);
+  return flow && flow.expiresAt > Date.now() ? flow : null;
+}
+
+/** cancel(from) -> the flow that was open, or null */
+async function cancel(from) {
+  const flow = await sessionStore.getFlow(from);
+  if (!flow) return null;
+  await sessionStore.setFlow(from, null);
+  return flow.expiresAt > Date.now() ? flow : null;
+}
+
+// a typed answer picks the choice with the same title or value, ignoring case
+function matchChoice(step, text) {
+  const t = String(text).trim().toLowerCase();
+  const match = choicesOf(step).find((c) => c.title.toLowerCase() === t || c.value.toLowerCase() === t);
+  return match ? match.value : String(text).trim();
+}
+
+/**
+ * handleInput(from, { text, replyId }, context) -> { handled }
+ * Answers the open step with a flow:... reply id or typed text. Commands (text starting with
+ * '/') are left alone. Input while no flow is open, or after it timed out, is not handled,
+ * except a stale flow:... id, which is answered with a note.
+ */
+async function handleInput(from, { text = '', replyId: id = null } = {}, context) {
+  const fromButton = Boolean(id && id.startsWith(ID_PREFIX));
+  if (!fromButton && String(text).trim().startsWith('/')) return { handled: false };
+  const stored = await sessionStore.getFlow(from);
+  const def = stored && definitions.get(stored.name);
+  if (stored && (!def || stored.expiresAt <= Date.now())) {
+    await sessionStore.setFlow(from, null);
+    await context.sendText(from, `⌛ Your /${stored.name} request timed out. Send /${stored.name} to start again.`);
+    return { handled: fromButton };
+  }
+
+  let value;
+  if (fromButton) {
+    const [name, stepName, ...rest] = id.slice(ID_PREFIX.length).split(':');
+    if (!stored || stored.name !== name || stored.step !== stepName) {
+      await context.sendText(from, `That question is no longer open. Send /${name} to start again.`);
+      return { handled: true };
+    }
+    value = rest.join(':');
+  } else {
+    if (!stored) return { handled: false };
+    if (!String(text).trim()) return { handled: false };
+    value = text;
+  }
+
+  const step = def.steps.find((s) => s.name === stored.step);
+  if (!fromButton) value = matchChoice(step, value);
+  const parsed = step.parse ? step.parse(value) : { ok: true, value };
+  if (!parsed.ok) {
+    await ask(from, stored.name, step, context, `⚠️ ${parsed.error}`);
+    return { handled: true };
+  }
+  const values = { ...stored.values, [step.name]: parsed.value };
+  const next = nextStep(def, values);
+  if (!next) {
+    // cleared before running so a failing command doesn't leave the user stuck in the flow
+    await sessionStore.setFlow(from, null);
+    await def.complete(from, values, context);
+    return { handled: true };
+  }
+  await sessionStore.setFlow(from, { name: stored.name, step: next.name, values, expiresAt: Date.now() + timeoutMs() });
+  await ask(from, stored.name, next, context);
+  return { handled: true };
+}
+
+module.exports = {
+  define,
+  has,
+  start,
+  active,
+  cancel,
+  handleInput,
+  timeoutMs
+};
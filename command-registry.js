@@ -0,0 +1,361 @@
+/**
+ * command-registry.js
+ * Declarative command registration, argument parsing and permission checks.
+ *
+ * Each command is declared once; /help, the /menu list, usage errors and the tool
+ * definitions offered to the model (function calling) are all generated from it.
+ *
+ *  registry.register({
+ *    name: 'translate',                 // typed as /translate
+ *    aliases: ['tr'],                   // also /tr
+ *    title: 'Translate',                // menu row title
+ *    description: 'Translate text to target language',
+ *    category: 'Utilities',
+ *    role: 'user',                      // minimum role, see ROLE_ORDER
+ *    args: [
+ *      { name: 'lang', type: 'word', required: true, description: 'Target language' },
+ *      { name: 'text', type: 'rest', required: true, description: 'Text to translate' }
+ *    ],
+ *    tool: true,                        // expose to the model (default true)
+ *    rate: 'chat',                      // rate-limiter.js cost kind: chat | image | media, or null for free
+ *    moderation: 'inbound',             // moderation.js source its arguments are checked as (optional;
+ *                                       // tool calls default to 'reply'), e.g. 'image' for /image
+ *    handler: async (from, params, context) => { ... }   // params = { lang, text }
+ *  });
+ *
+ * Argument types:
+ *  - word    one whitespace-separated token
+ *  - string  a token or a "quoted string" (straight or curly quotes)
+ *  - int     integer; optional min / max
+ *  - enum    one of `values` (case-insensitive)
+ *  - rest    everything that is left, verbatim (keeps spaces and newlines)
+ *  Add `variadic: true` (word/string/int) to collect all remaining values into an array;
+ *  `min` / `max` then bound the number of items.
+ *
+ * Follow-up questions: a required argument with a `prompt` (and optionally `choices`, shown as
+ * buttons) is asked for when the command is run without it, instead of answering with the usage:
+ *      { name: 'lang', type: 'word', required: true, prompt: 'Which language?', choices: ['English', 'French'] }
+ *  /translate asks "Which language?", then the next prompted argument (see command-flows.js).
+ *
+ * Plugins: every .js file in a plugin directory (COMMAND_PLUGINS_DIR, default ./commands)
+ * may export a command definition, an array of them, or a function(registry) that registers them.
+ * The directory can sit next to commands.js: require('./commands') resolves the file first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// lowest to highest; same names as roles.js
+const ROLE_ORDER = ['blocked', 'user', 'moderator', 'admin', 'owner'];
+
+const commands = new Map(); // name -> definition
+const aliases = new Map(); // alias -> name
+let roleResolver = async () => 'user';
+
+// unknown roles count as 'user'
+function roleRank(role) {
+  const idx = ROLE_ORDER.indexOf(role);
+  return idx === -1 ? ROLE_ORDER.indexOf('user') : idx;
+}
+
+/** setRoleResolver(fn) - fn(from) -> role name (may be async); used by hasRole/dispatch. */
+function setRoleResolver(fn) {
+  roleResolver = fn;
+}
+
+async function hasRole(from, role = 'user') {
+  return roleRank(await roleResolver(from)) >= roleRank(role);
+}
+
+function register(def) {
+  if (!def || !def.name || typeof def.handler !== 'function') {
+    throw new Error('command definition needs a name and a handler');
+  }
+  const name = def.name.toLowerCase();
+  const taken = (key) => commands.has(key) || aliases.has(key);
+  if (taken(name)) throw new Error(`command "/${name}" is already registered`);
+  // every alias is checked before anything is added, so a clash leaves the registry unchanged
+  const aliasKeys = (def.aliases || []).map((alias) => alias.toLowerCase());
+  for (const [i, a] of aliasKeys.entries()) {
+    if (taken(a) || a === name || aliasKeys.indexOf(a) !== i) throw new Error(`alias "/${a}" is already registered`);
+  }
+  const command = {
+    aliases: [],
+    title: def.name.charAt(0).toUpperCase() + def.name.slice(1),
+    description: '',
+    category: 'Other',
+    role: 'user',
+    args: [],
+    tool: true,
+    rate: 'chat',
+    ...def,
+    name
+  };
+  commands.set(name, command);
+  for (const a of aliasKeys) aliases.set(a, name);
+  return command;
+}
+
+function get(nameOrAlias) {
+  const key = String(nameOrAlias || '').toLowerCase();
+  return commands.get(key) || commands.get(aliases.get(key)) || null;
+}
+
+function list() {
+  return [...commands.values()];
+}
+
+/** listFor(from) - commands this user is allowed to run, in registration order. */
+async function listFor(from) {
+  const out = [];
+  for (const c of commands.values()) {
+    if (await hasRole(from, c.role)) out.push(c);
+  }
+  return out;
+}
+
+function groupByCategory(cmds) {
+  const map = {};
+  for (const c of cmds) {
+    map[c.category] = map[c.category] || [];
+    map[c.category].push(c);
+  }
+  return map;
+}
+
+/* ---------- Usage & parsing ---------- */
+
+function formatArg(arg) {
+  let label = arg.type === 'enum' && arg.values ? arg.values.join('|') : arg.name;
+  if (arg.type === 'string' && !arg.variadic) label = `"${label}"`;
+  if (arg.variadic) label = arg.type === 'string' ? `"${arg.name}"...` : `${label}...`;
+  // quoted strings read clearly without angle brackets: /poll "question" "options"...
+  if (arg.type === 'string') return arg.required ? label : `[${label}]`;
+  return arg.required ? `<${label}>` : `[${label}]`;
+}
+
+function formatUsage(command) {
+  if (command.usage) return command.usage;
+  return [`/${command.name}`, ...command.args.map(formatArg)].join(' ');
+}
+
+const QUOTES = { '"': '"', '“': '”', '„': '“' };
+
+// tokenizer over the raw argument string; returns { value, quoted, end } or null at the end
+function nextToken(raw, pos) {
+  let i = pos;
+  while (i < raw.length && /\s/.test(raw[i])) i += 1;
+  if (i >= raw.length) return null;
+  const close = QUOTES[raw[i]];
+  if (close) {
+    const end = raw.indexOf(close, i + 1);
+    if (end !== -1) return { value: raw.slice(i + 1, end), quoted: true, start: i, end: end + 1 };
+  }
+  let j = i;
+  while (j < raw.length && !/\s/.test(raw[j])) j += 1;
+  return { value: raw.slice(i, j), quoted: false, start: i, end: j };
+}
+
+function coerce(arg, value) {
+  if (arg.type === 'int') {
+    if (!/^-?\d+$/.test(String(value).trim())) return { error: `${arg.name} must be a whole number` };
+    const n = parseInt(value, 10);
+    if (arg.min !== undefined && !arg.variadic && n < arg.min) return { error: `${arg.name} must be at least ${arg.min}` };
+    if (arg.max !== undefined && !arg.variadic && n > arg.max) return { error: `${arg.name} must be at most ${arg.max}` };
+    return { value: n };
+  }
+  if (arg.type === 'enum') {
+    const match = (arg.values || []).find((v) => v.toLowerCase() === String(value).toLowerCase());
+    if (!match) return { error: `${arg.name} must be one of: ${(arg.values || []).join(', ')}` };
+    return { value: match };
+  }
+  return { value: String(value) };
+}
+
+/**
+ * parseArgs(command, raw) -> { ok: true, params } | { ok: false, error }
+ * raw is the text after "/<name>".
+ */
+function parseArgs(command, raw = '') {
+  const params = {};
+  let pos = 0;
+  for (const arg of command.args) {
+    if (arg.type === 'rest') {
+      const rest = raw.slice(pos).trim();
+      if (!rest && arg.required) return { ok: false, error: `missing ${arg.name}` };
+      params[arg.name] = rest || arg.default;
+      pos = raw.length;
+      continue;
+    }
+    if (arg.variadic) {
+      const values = [];
+      let tok;
+      while ((tok = nextToken(raw, pos))) {
+        const c = coerce(arg, tok.value);
+        if (c.error) return { ok: false, error: c.error };
+        values.push(c.value);
+        pos = tok.end;
+      }
+      const min = arg.min !== undefined ? arg.min : (arg.required ? 1 : 0);
+      if (values.length < min) return { ok: false, error: `need at least ${min} ${arg.name}` };
+      if (arg.max !== undefined && values.length > arg.max) return { ok: false, error: `at most ${arg.max} ${arg.name} allowed` };
+      params[arg.name] = values;
+      continue;
+    }
+    const tok = nextToken(raw, pos);
+    if (!tok) {
+      if (arg.required) return { ok: false, error: `missing ${arg.name}` };
+      params[arg.name] = arg.default;
+      continue;
+    }
+    const c = coerce(arg, tok.value);
+    if (c.error) return { ok: false, error: c.error };
+    params[arg.name] = c.value;
+    pos = tok.end;
+  }
+  if (nextToken(raw, pos)) return { ok: false, error: 'too many arguments' };
+  return { ok: true, params };
+}
+
+/**
+ * stripPlaceholders(command, raw) -> raw without tokens copied from the usage line, e.g. the
+ * `<lang> <text>` of "/translate <lang> <text>", so they count as missing rather than as values.
+ */
+function stripPlaceholders(command, raw = '') {
+  const labels = new Set(command.args.map(formatArg));
+  return raw.split(/(\s+)/).filter((tok) => !labels.has(tok)).join('').trim();
+}
+
+/**
+ * parsePartial(command, raw) -> { ok: true, params, missing: [args] } | { ok: false, error }
+ * Like parseArgs, but input that stops early is accepted: params holds the leading arguments
+ * that were given and missing lists the required ones after them.
+ */
+function parsePartial(command, raw = '') {
+  const full = parseArgs(command, raw);
+  if (full.ok) return { ...full, missing: [] };
+  for (let k = command.args.length - 1; k >= 0; k--) {
+    const given = parseArgs({ args: command.args.slice(0, k) }, raw);
+    if (given.ok) return { ok: true, params: given.params, missing: command.args.slice(k).filter((a) => a.required) };
+  }
+  return full;
+}
+
+/**
+ * parseValue(arg, text) -> { ok: true, value } | { ok: false, error }
+ * One argument sent on its own, e.g. the answer to its prompt; the whole text is the value
+ * (no quoting needed) unless the argument is variadic.
+ */
+function parseValue(arg, text) {
+  const parsed = arg.variadic
+    ? parseArgs({ args: [arg] }, String(text))
+    : validateParams({ args: [arg] }, { [arg.name]: String(text).trim() });
+  return parsed.ok ? { ok: true, value: parsed.params[arg.name] } : parsed;
+}
+
+/**
+ * validateParams(command, input) -> { ok: true, params } | { ok: false, error }
+ * Same checks as parseArgs, for structured input such as a model's tool call.
+ */
+function validateParams(command, input = {}) {
+  const params = {};
+  for (const arg of command.args) {
+    const value = input[arg.name];
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length)) {
+      if (arg.required) return { ok: false, error: `missing ${arg.name}` };
+      params[arg.name] = arg.default;
+      continue;
+    }
+    if (arg.variadic) {
+      const items = Array.isArray(value) ? value : [value];
+      const out = [];
+      for (const item of items) {
+        const c = coerce(arg, item);
+        if (c.error) return { ok: false, error: c.error };
+        out.push(c.value);
+      }
+      if (arg.min !== undefined && out.length < arg.min) return { ok: false, error: `need at least ${arg.min} ${arg.name}` };
+      if (arg.max !== undefined && out.length > arg.max) return { ok: false, error: `at most ${arg.max} ${arg.name} allowed` };
+      params[arg.name] = out;
+      continue;
+    }
+    const c = coerce(arg, value);
+    if (c.error) return { ok: false, error: c.error };
+    params[arg.name] = c.value;
+  }
+  return { ok: true, params };
+}
+
+/** toJsonSchema(command) - JSON schema of the command's arguments, for tool definitions. */
+function toJsonSchema(command) {
+  const properties = {};
+  const required = [];
+  for (const arg of command.args) {
+    let schema;
+    if (arg.type === 'int') schema = { type: 'integer' };
+    else if (arg.type === 'enum') schema = { type: 'string', enum: arg.values || [] };
+    else schema = { type: 'string' };
+    if (arg.variadic) {
+      schema = { type: 'array', items: schema };
+      if (arg.min !== undefined) schema.minItems = arg.min;
+      if (arg.max !== undefined) schema.maxItems = arg.max;
+    } else {
+      if (arg.min !== undefined) schema.minimum = arg.min;
+      if (arg.max !== undefined) schema.maximum = arg.max;
+    }
+    if (arg.description) schema.description = arg.description;
+    properties[arg.name] = schema;
+    if (arg.required) required.push(arg.name);
+  }
+  const out = { type: 'object', properties };
+  if (required.length) out.required = required;
+  return out;
+}
+
+/* ---------- Plugins ---------- */
+
+/**
+ * loadPlugins(dir) -> [command names]
+ * Registers the commands of every .js file in dir. A broken plugin is logged and skipped.
+ */
+function loadPlugins(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  const loaded = [];
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith('.js')).sort()) {
+    try {
+      const mod = require(path.join(dir, file));
+      if (typeof mod === 'function') {
+        // function plugins call registry.register themselves
+        const before = new Set(commands.keys());
+        mod(module.exports);
+        for (const name of commands.keys()) if (!before.has(name)) loaded.push(name);
+        continue;
+      }
+      for (const def of Array.isArray(mod) ? mod : [mod]) {
+        if (def && def.name) loaded.push(register(def).name);
+      }
+    } catch (err) {
+      console.error(`command-registry: failed to load plugin ${file}`, err?.message || err);
+    }
+  }
+  return loaded;
+}
+
+module.exports = {
+  ROLE_ORDER,
+  register,
+  get,
+  list,
+  listFor,
+  groupByCategory,
+  setRoleResolver,
+  hasRole,
+  formatUsage,
+  parseArgs,
+  stripPlaceholders,
+  parsePartial,
+  parseValue,
+  validateParams,
+  toJsonSchema,
+  loadPlugins
+};
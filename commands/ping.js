@@ -0,0 +1,20 @@
+/**
+ * commands/ping.js
+ * Example command plugin: every .js file in commands/ (or COMMAND_PLUGINS_DIR) is loaded at
+ * startup and may export a command definition, an array of them, or a function(registry).
+ *
+ *  /ping            -> "🏓 pong"
+ *  /ping 3          -> "🏓 pong pong pong"
+ */
+
+module.exports = {
+  name: 'ping',
+  title: 'Ping',
+  description: 'Check that the bot is alive',
+  category: 'General',
+  args: [{ name: 'times', type: 'int', min: 1, max: 5, default: 1, description: 'How many pongs' }],
+  tool: false,
+  handler: async (from, params, context) => {
+    await context.sendText(from, `🏓 ${Array(params.times).fill('pong').join(' ')}`);
+  }
+};
@@ -5,108 +5,96 @@
  * - Many built-in commands (conversational, utilities, fun, admin)
  * - /menu shows an interactive menu (list or fallback text)
  * - Commands may call OpenAI via context.openaiClient when available
- * - Safe-guards for insults / profanity and protected classes
+ * - Content moderation (moderation.js) of command lines, arguments, generated text and /image prompts; /insult stays away from protected groups
  * - Media download helpers use sessionStore.getLastMedia
  *
  * Exports:
  * - async handleCommand(from, text, context) -> { handled: boolean }
+ * - async handleInteractiveReply(from, { id, title }, context) / handleFlowInput(from, text, context)
+ *   for menu selections and the follow-up questions of multi-step commands (command-flows.js)
+ * - getTools(from) / runTool(from, name, params, context) for function calling
  *
  * Expected context:
  * - sendText(to, text)                     : async function to send a plain text WhatsApp message
  * - sendInteractive(to, payload)           : (optional) send interactive message payload (list/buttons)
+ * - sendAudio(to, { buffer, mimeType })    : (optional) send an audio message / voice note, used by /tts
+ * - sendImage/sendVideo/sendDocument(to, media, { caption, filename })
+ *                                          : (optional) send a file inline (media: { path }, { link } or { id });
+ *                                            /image, /video and /download fall back to a /media link without them
  * - sessionStore                           : session store module (reset,setSystemPrompt,setLanguage,...)
- * - openaiClient                           : (optional) openai client { generateReply(messages) }
- * - env_serve_base                         : optional base URL where /media files are served
+ * - openaiClient                           : (optional) LLM client { generateReply(messages, {command, user}), isConfigured() }
+ * - env_serve_base                         : optional base URL where /media files are served (signed link fallback)
+ * - deliveryTracker                        : (optional) delivery-tracker.js, enables /broadcast status
+ * - downloadMedia(mediaId)                 : (optional) fetch inbound media -> { buffer, mimeType }, used by /kb add
  *
  * Notes:
- * - This file is intentionally self-contained and extensible.
- * - Add new commands into COMMANDS metadata below to surface them in the menu.
+ * - Commands are declared with registry.register (see command-registry.js) at the bottom of
+ *   this file; /help, /menu, usage errors and tool definitions are generated from the declarations.
+ * - Extra commands can be dropped into the commands/ directory (COMMAND_PLUGINS_DIR).
  */
 
 const axios = require('axios');
 const path = require('path');
-
-const ADMIN_NUMBERS = (process.env.ADMIN_NUMBERS || '')
-  .split(',')
-  .map((s) => s.trim())
-  .filter(Boolean)
-  .map((n) => n.replace(/\D/g, ''));
+const metrics = require('./metrics');
+const registry = require('./command-registry');
+const flows = require('./command-flows');
+const roles = require('./roles');
+const rateLimiter = require('./rate-limiter');
+const usageTracker = require('./usage-tracker');
+const userMemory = require('./user-memory');
+const knowledgeBase = require('./knowledge-base');
+const speech = require('./speech');
+const serviceWindow = require('./service-window');
+const templates = require('./message-templates');
+const campaigns = require('./campaigns');
+const audiences = require('./audiences');
+const polls = require('./polls');
+const mediaFetcher = require('./media-fetcher');
+const mediaLibrary = require('./media-library');
+const moderation = require('./moderation');
+const { mediaTypeFor, detectMimeType } = require('./whatsapp-utils');
+const { markdownToWhatsApp, markdownToSpeech, paginate } = require('./message-formatter');
 
 /* ---------- Utilities ---------- */
 function normalizeBare(jidOrNumber) {
   return String(jidOrNumber || '').replace(/\D/g, '');
 }
-function isAdmin(jidOrNumber) {
-  return ADMIN_NUMBERS.includes(normalizeBare(jidOrNumber));
-}
 function parseCommand(text) {
   if (!text) return null;
   const t = text.trim();
   if (!t.startsWith('/')) return null;
-  const parts = t.slice(1).split(/\s+/);
-  const cmd = parts[0].toLowerCase();
-  const args = parts.slice(1);
-  return { cmd, args, raw: t };
+  const m = t.slice(1).match(/^(\S*)\s*([\s\S]*)$/);
+  const cmd = m[1].toLowerCase();
+  const rest = m[2];
+  const args = rest ? rest.split(/\s+/) : [];
+  return { cmd, args, rest, raw: t };
+}
+function aiAvailable(context) {
+  const client = context.openaiClient;
+  if (!client || typeof client.generateReply !== 'function') return false;
+  return typeof client.isConfigured === 'function' ? client.isConfigured() : true;
 }
+// quota errors (usage-tracker.js) carry a message meant for the user
+function aiErrorText(err, fallback) {
+  return err && err.code === 'QUOTA_EXCEEDED' ? err.message : fallback;
+}
+const AI_DISABLED_TEXT = 'requires an AI provider, which is not configured on this server (OPENAI_API_KEY, ANTHROPIC_API_KEY or LLM_BASE_URL).';
 function pickOne(arr) { return arr[Math.floor(Math.random() * arr.length)]; }
-function safeTruncate(s, n = 3000) { return s.length > n ? s.slice(0, n) + '\n\n(truncated)' : s; }
-
-/* ---------- Safety helpers ---------- */
-const PROFANITY = ['badword1','badword2']; // placeholder, replace with real list if desired
-function containsProfanity(text) {
-  if (!text) return false;
-  const lower = text.toLowerCase();
-  return PROFANITY.some(p => lower.includes(p));
-}
-const PROTECTED = ['race','religion','muslim','jew','black','white','asian','gay','lesbian','trans','immigrant','disability'];
-function touchesProtectedClass(text) {
-  if (!text) return false;
-  const lower = text.toLowerCase();
-  return PROTECTED.some(p => lower.includes(p));
-}
-
-/* ---------- Menu & Command Registry ---------- */
-/*
-  COMMANDS is used to generate the menu. Add commands here to make them visible
-  in the interactive menu. Each entry: { id, title, description, usage, category }
-*/
-const COMMANDS = [
-  { id: 'help', title: 'Help', description: 'Show help and commands', usage: '/help', category: 'General' },
-  { id: 'menu', title: 'Menu', description: 'Open interactive menu', usage: '/menu', category: 'General' },
-  { id: 'reset', title: 'Reset', description: 'Reset your conversation', usage: '/reset', category: 'General' },
-
-  { id: 'summary', title: 'Summary', description: 'Summarize the conversation', usage: '/summary', category: 'Utilities' },
-  { id: 'export', title: 'Export', description: 'Export recent conversation', usage: '/export', category: 'Utilities' },
-  { id: 'translate', title: 'Translate', description: 'Translate text to target language', usage: '/translate <lang> <text>', category: 'Utilities' },
-  { id: 'define', title: 'Define', description: 'Get a concise definition', usage: '/define <word>', category: 'Utilities' },
-  { id: 'tts', title: 'Text→Speech (TTS)', description: 'Generate a short TTS audio link (optional)', usage: '/tts <text>', category: 'Utilities' },
-
-  { id: 'download', title: 'Download last media', description: 'Download last sent image/video/document', usage: '/download', category: 'Media' },
-  { id: 'video', title: 'Download remote video', description: 'Download video from URL', usage: '/video <url>', category: 'Media' },
-
-  { id: 'image', title: 'Generate image', description: 'Generate an image from prompt (requires OpenAI image key)', usage: '/image <prompt>', category: 'Fun' },
-  { id: 'joke', title: 'Joke', description: 'Tell a joke', usage: '/joke', category: 'Fun' },
-  { id: 'meme', title: 'Meme text', description: 'Generate meme caption', usage: '/meme <topic>', category: 'Fun' },
-  { id: 'flirt', title: 'Flirt', description: 'Send a playful flirt', usage: '/flirt [name]', category: 'Fun' },
-  { id: 'compliment', title: 'Compliment', description: 'Send a compliment', usage: '/compliment [name]', category: 'Fun' },
-  { id: 'insult', title: 'Insult (playful)', description: 'Send a mild playful insult', usage: '/insult [name]', category: 'Fun' },
-  { id: 'wasted', title: 'Wasted', description: 'Send wasted meme', usage: '/wasted [name]', category: 'Fun' },
-
-  { id: 'poll', title: 'Poll', description: 'Create a simple poll', usage: '/poll "Question" "Option1" "Option2" [...]]', category: 'Group' },
-  { id: 'vote', title: 'Vote', description: 'Vote in a poll', usage: '/vote <pollId> <optionIndex>', category: 'Group' },
-
-  { id: 'broadcast', title: 'Broadcast', description: 'Admin: send broadcast', usage: '/broadcast <message>', category: 'Admin' },
-  { id: 'stats', title: 'Stats', description: 'Admin: show usage stats', usage: '/stats', category: 'Admin' },
-];
+const PAGE_SIZE = 3000;
 
-/* Grouping helper for menu */
-function groupCommandsByCategory() {
-  const map = {};
-  for (const c of COMMANDS) {
-    map[c.category] = map[c.category] || [];
-    map[c.category].push(c);
-  }
-  return map;
+/* ---------- Safety helpers (moderation.js) ---------- */
+function paramsText(params) {
+  return Object.values(params).flat().filter((v) => typeof v === 'string').join('\n');
+}
+// command arguments are moderated like a message; false when the command must not run
+async function moderateParams(from, params, context, source = 'inbound') {
+  const verdict = await moderation.review(paramsText(params), { user: from, source });
+  if (verdict.action === 'block' || verdict.action === 'warn') await context.sendText(from, moderation.notice(verdict));
+  return verdict.action !== 'block';
+}
+// generated text (summaries, translations...) is screened like a chat reply
+function screened(from, text) {
+  return moderation.screenReply(text, { user: from });
 }
 
 /* ---------- Small canned responses ---------- */
@@ -132,29 +120,62 @@ const MEME_TEMPLATES = [
 ];
 
 /* ---------- Helpers to send interactive menu ---------- */
-async function sendMenuInteractive(to, context) {
+// a list message holds at most 10 rows in total; longer lists end in a "More…" row
+const LIST_MAX_ROWS = 10;
+const ROW_TITLE_MAX = 24;
+const ROW_DESCRIPTION_MAX = 72;
+
+function clipText(text, max) {
+  const t = String(text || '');
+  return t.length > max ? t.slice(0, max - 1) + '…' : t;
+}
+
+function pageRows(rows, page, moreId) {
+  if (rows.length <= LIST_MAX_ROWS) return rows;
+  const size = LIST_MAX_ROWS - 1;
+  const shown = rows.slice(page * size, (page + 1) * size);
+  if ((page + 1) * size < rows.length) shown.push({ id: moreId(page + 1), title: 'More…', description: 'Show the next options' });
+  return shown;
+}
+
+/**
+ * The /menu list: one row per category (cat:<page>:<category>); picking one opens a second list
+ * with that category's commands (cmd:<name>). Both page at 10 rows, the Cloud API's limit.
+ */
+function menuPayload(grouped, { category = null, page = 0 } = {}) {
+  const row = (r) => ({ id: r.id, title: clipText(r.title, ROW_TITLE_MAX), description: clipText(r.description, ROW_DESCRIPTION_MAX) });
+  if (!category) {
+    const rows = Object.keys(grouped).map((cat) => ({
+      id: `cat:0:${cat}`,
+      title: cat,
+      description: grouped[cat].map((cmd) => `/${cmd.name}`).join(' ')
+    }));
+    return {
+      type: 'list',
+      header: { type: 'text', text: 'WhatsApp AI Chatbot Menu' },
+      body: { text: 'Pick a category (or send /help)' },
+      footer: { text: 'Tip: you can also type commands directly' },
+      action: { button: 'Open Menu', sections: [{ title: 'Categories', rows: pageRows(rows, page, (p) => `menu:${p}`).map(row) }] }
+    };
+  }
+  const rows = grouped[category].map((cmd) => ({ id: `cmd:${cmd.name}`, title: cmd.title, description: cmd.description }));
+  return {
+    type: 'list',
+    body: { text: `${category} — pick a command` },
+    footer: { text: 'Send /menu for all categories' },
+    action: { button: 'Commands', sections: [{ title: clipText(category, ROW_TITLE_MAX), rows: pageRows(rows, page, (p) => `cat:${p}:${category}`).map(row) }] }
+  };
+}
+
+async function sendMenuInteractive(to, context, { category = null, page = 0 } = {}) {
   // Prefer using context.sendInteractive to send a WhatsApp list message / buttons.
   // If not available, fall back to textual menu.
-  const grouped = groupCommandsByCategory();
-  const sections = Object.keys(grouped).map(cat => ({
-    title: cat,
-    rows: grouped[cat].slice(0, 10).map(cmd => ({
-      id: `cmd:${cmd.id}`,
-      title: cmd.title,
-      description: cmd.description
-    }))
-  }));
+  const grouped = registry.groupByCategory(await registry.listFor(to));
+  if (category && !grouped[category]) category = null;
 
   if (typeof context.sendInteractive === 'function') {
     try {
-      const payload = {
-        type: 'list',
-        header: { type: 'text', text: 'WhatsApp AI Chatbot Menu' },
-        body: { text: 'Select a feature from the menu (or send /help)' },
-        footer: { text: 'Tip: you can also type commands directly' },
-        action: { button: 'Open Menu', sections }
-      };
-      await context.sendInteractive(to, payload);
+      await context.sendInteractive(to, menuPayload(grouped, { category, page }));
       return true;
     } catch (err) {
       // fallback below
@@ -167,7 +188,7 @@ async function sendMenuInteractive(to, context) {
   for (const cat of Object.keys(grouped)) {
     lines.push(`\n*${cat}*`);
     for (const cmd of grouped[cat].slice(0, 8)) {
-      lines.push(`${cmd.usage} — ${cmd.description}`);
+      lines.push(`${registry.formatUsage(cmd)} — ${cmd.description}`);
     }
   }
   lines.push('\nTip: send /help for full details or /menu to reopen this menu.');
@@ -177,38 +198,50 @@ async function sendMenuInteractive(to, context) {
 
 /* ---------- Command implementations ---------- */
 
-async function cmd_help(from, args, context) {
-  const lines = [
-    'WhatsApp AI Chatbot — commands quick reference:',
-    '/menu — Open the interactive menu',
-    '/help — This help',
-    '/reset — Reset conversation',
-    '/summary — Summarize chat',
-    '/translate <lang> <text> — Translate text',
-    '/download — Download last media you sent',
-    '/video <url> — Download a remote video',
-    '/image <prompt> — Generate image (requires config)',
-    '/joke — Tell a joke',
-    '/poll "Q" "A" "B" — Create poll (group use)',
-    '',
-    'Admin: /broadcast, /stats'
-  ];
+async function cmd_help(from, params, context) {
+  if (params.command) {
+    const name = params.command.replace(/^\//, '');
+    const target = registry.get(name);
+    if (!target || !(await registry.hasRole(from, target.role))) {
+      await context.sendText(from, `Unknown command "/${name}". Send /help or /menu.`);
+      return;
+    }
+    const lines = [`*/${target.name}* — ${target.description}`, `Usage: ${registry.formatUsage(target)}`];
+    if (target.aliases.length) lines.push(`Aliases: ${target.aliases.map((a) => `/${a}`).join(', ')}`);
+    for (const arg of target.args) {
+      if (arg.description) lines.push(`• ${arg.name}: ${arg.description}`);
+    }
+    await context.sendText(from, lines.join('\n'));
+    return;
+  }
+  const grouped = registry.groupByCategory(await registry.listFor(from));
+  const lines = ['WhatsApp AI Chatbot — commands quick reference:'];
+  for (const cat of Object.keys(grouped)) {
+    lines.push(`\n*${cat}*`);
+    for (const cmd of grouped[cat]) lines.push(`${registry.formatUsage(cmd)} — ${cmd.description}`);
+  }
+  lines.push('\nSend /help <command> for details.');
   await context.sendText(from, lines.join('\n'));
 }
 
-async function cmd_menu(from, args, context) {
+async function cmd_menu(from, params, context) {
   await sendMenuInteractive(from, context);
 }
 
-async function cmd_reset(from, args, context) {
-  context.sessionStore.reset(from);
+async function cmd_reset(from, params, context) {
+  await context.sessionStore.reset(from);
   await context.sendText(from, '✅ Conversation reset. Say hi to start fresh.');
 }
 
-async function cmd_summary(from, args, context) {
-  const convo = context.sessionStore.getConversationForOpenAI(from);
-  if (!context.openaiClient || typeof context.openaiClient.generateReply !== 'function') {
-    await context.sendText(from, 'Summary requires OpenAI. Configure OPENAI_API_KEY.');
+async function cmd_cancel(from, params, context) {
+  const flow = await flows.cancel(from);
+  await context.sendText(from, flow ? `Cancelled /${flow.name}.` : 'Nothing to cancel.');
+}
+
+async function cmd_summary(from, params, context) {
+  const convo = await context.sessionStore.getConversationForOpenAI(from, { command: 'summary' });
+  if (!aiAvailable(context)) {
+    await context.sendText(from, `Summary ${AI_DISABLED_TEXT}`);
     return;
   }
   const messages = [
@@ -216,72 +249,138 @@ async function cmd_summary(from, args, context) {
     ...convo
   ];
   try {
-    const summary = await context.openaiClient.generateReply(messages);
-    await context.sendText(from, `📝 Summary:\n${safeTruncate(summary, 2000)}`);
+    const summary = await context.openaiClient.generateReply(messages, { command: 'summary', user: from });
+    await context.sendText(from, `📝 Summary:\n${markdownToWhatsApp(await screened(from, summary))}`);
   } catch (err) {
     console.error('summary error', err?.message || err);
-    await context.sendText(from, "Sorry, couldn't create a summary right now.");
+    await context.sendText(from, aiErrorText(err, "Sorry, couldn't create a summary right now."));
   }
 }
 
-async function cmd_export(from, args, context) {
-  const text = context.sessionStore.exportConversationText(from);
-  await context.sendText(from, `📂 Export:\n${safeTruncate(text, 3000)}`);
+async function cmd_export(from, params, context) {
+  const text = await context.sessionStore.exportConversationText(from);
+  const pages = paginate(text, PAGE_SIZE);
+  if (pages.length === 1) {
+    await context.sendText(from, `📂 Export:\n${pages[0]}`);
+    return;
+  }
+  await context.sessionStore.setPages(from, pages.slice(1));
+  await context.sendText(from, `📂 Export (page 1/${pages.length}):\n${pages[0]}\n\n➡️ Send /more for the rest.`);
 }
 
-async function cmd_translate(from, args, context) {
-  if (!context.openaiClient) {
-    await context.sendText(from, 'Translate requires OpenAI. Configure OPENAI_API_KEY.');
+async function cmd_more(from, params, context) {
+  const page = await context.sessionStore.nextPage(from);
+  if (!page) {
+    await context.sendText(from, 'Nothing more to send.');
     return;
   }
-  const lang = args[0];
-  if (!lang || args.length < 2) {
-    await context.sendText(from, 'Usage: /translate <lang> <text>');
+  const tail = page.remaining ? `\n\n➡️ ${page.remaining} more — send /more to continue.` : '\n\n✅ End.';
+  await context.sendText(from, `${page.text}${tail}`);
+}
+
+// offered as buttons when /translate asks for the language; any other language can be typed
+function translateLanguages() {
+  return (process.env.TRANSLATE_LANGUAGES || 'English,Spanish,French').split(',').map((l) => l.trim()).filter(Boolean);
+}
+
+async function cmd_translate(from, params, context) {
+  if (!aiAvailable(context)) {
+    await context.sendText(from, `Translate ${AI_DISABLED_TEXT}`);
     return;
   }
-  const text = args.slice(1).join(' ');
+  const { lang, text } = params;
   const prompt = `Translate the following text to ${lang} and return only the translation:\n\n${text}`;
   try {
-    const translation = await context.openaiClient.generateReply([{ role: 'user', content: prompt }]);
-    await context.sendText(from, `🔤 Translation (${lang}):\n${translation}`);
+    const translation = await context.openaiClient.generateReply([{ role: 'user', content: prompt }], { command: 'translate', user: from });
+    await context.sendText(from, `🔤 Translation (${lang}):\n${markdownToWhatsApp(await screened(from, translation))}`);
   } catch (err) {
     console.error('translate error', err?.message || err);
-    await context.sendText(from, "Sorry, translation failed.");
+    await context.sendText(from, aiErrorText(err, "Sorry, translation failed."));
   }
 }
 
-async function cmd_define(from, args, context) {
-  const term = args.join(' ');
-  if (!term) {
-    await context.sendText(from, 'Usage: /define <word>');
-    return;
-  }
-  if (!context.openaiClient) {
-    await context.sendText(from, 'Define requires OpenAI. Configure OPENAI_API_KEY.');
+async function cmd_define(from, params, context) {
+  const { term } = params;
+  if (!aiAvailable(context)) {
+    await context.sendText(from, `Define ${AI_DISABLED_TEXT}`);
     return;
   }
   const prompt = `Define "${term}" in 2-3 sentences, include a simple example sentence.`;
   try {
-    const def = await context.openaiClient.generateReply([{ role: 'user', content: prompt }]);
-    await context.sendText(from, `📚 Definition:\n${def}`);
+    const def = await context.openaiClient.generateReply([{ role: 'user', content: prompt }], { command: 'define', user: from });
+    await context.sendText(from, `📚 Definition:\n${markdownToWhatsApp(await screened(from, def))}`);
   } catch (err) {
     console.error('define error', err?.message || err);
-    await context.sendText(from, "Sorry, couldn't fetch definition.");
+    await context.sendText(from, aiErrorText(err, "Sorry, couldn't fetch definition."));
   }
 }
 
-async function cmd_tts(from, args, context) {
-  const text = args.join(' ');
-  if (!text) {
-    await context.sendText(from, 'Usage: /tts <text>');
+async function cmd_tts(from, params, context) {
+  if (!speech.ttsAvailable() || typeof context.sendAudio !== 'function') {
+    await context.sendText(from, '⚠️ Text-to-speech is not configured on this server (TTS_PROVIDER).');
     return;
   }
-  // Optional: If you have a TTS system, integrate here. We'll return an instruction link placeholder.
-  await context.sendText(from, "⚠️ TTS not configured on this server. To enable, add a TTS provider and I'll return an audio link.");
+  try {
+    await usageTracker.assertWithinQuota(from);
+    const audio = await speech.synthesize(markdownToSpeech(params.text), { user: from });
+    await context.sendAudio(normalizeBare(from), audio);
+  } catch (err) {
+    if (err.code !== 'QUOTA_EXCEEDED') console.error('tts error', err?.response?.data || err?.message || err);
+    await context.sendText(from, err.code === 'TTS_TOO_LONG' ? `⚠️ ${err.message}` : aiErrorText(err, "Sorry, couldn't create the audio."));
+  }
+}
+
+async function cmd_voice(from, params, context) {
+  if (params.mode) await context.sessionStore.setVoiceReplies(from, params.mode);
+  const { voiceReplies } = await context.sessionStore.getSettings(from);
+  const meaning = {
+    on: 'I reply to chat messages with voice notes',
+    auto: 'I reply with a voice note when you send me one',
+    off: 'I reply with text'
+  }[voiceReplies];
+  const lines = [`🔊 Voice replies: ${voiceReplies} — ${meaning}.`];
+  if (voiceReplies !== 'off' && !speech.ttsAvailable()) lines.push('⚠️ Text-to-speech is not configured on this server, so replies stay text for now.');
+  if (!params.mode) lines.push('Change with /voice on, /voice auto or /voice off.');
+  await context.sendText(from, lines.join('\n'));
+}
+
+// a signed, expiring link to a file under ./media that only works for its owner (media-library.js)
+function mediaLink(from, filename, context) {
+  const base = context.env_serve_base || process.env.SERVE_BASE_URL || '';
+  const url = mediaLibrary.signedUrl(filename, { owner: from, base });
+  if (url) return url;
+  return base
+    ? `media/${filename} on the server (set MEDIA_URL_SECRET to get a link)`
+    : `media/${filename} on the server (set SERVE_BASE_URL to get a link)`;
 }
 
-async function cmd_download(from, args, context) {
-  const last = context.sessionStore.getLastMedia(from);
+/**
+ * Sends a file saved under ./media inline as `type` (image, audio, video or document). Files
+ * WhatsApp won't take as that type go as a document; if nothing can be sent, a link is sent instead.
+ */
+async function deliverMediaFile(from, type, outPath, { caption, filename, label }, context) {
+  const senders = { image: context.sendImage, audio: context.sendAudio, video: context.sendVideo, document: context.sendDocument };
+  const attempts = type === 'document' ? ['document'] : [type, 'document'];
+  for (const kind of attempts) {
+    if (typeof senders[kind] !== 'function') continue;
+    try {
+      await senders[kind](normalizeBare(from), { path: outPath }, { caption, filename: filename || path.basename(outPath) });
+      return;
+    } catch (err) {
+      console.error(`send ${kind} error`, err?.response?.data || err?.message || err);
+      if (err.code !== 'MEDIA_UNSUPPORTED' && err.code !== 'MEDIA_TOO_LARGE') break;
+    }
+  }
+  await context.sendText(from, `${label}: ${mediaLink(from, path.basename(outPath), context)}`);
+}
+
+// fetcher errors (media-fetcher.js) explain themselves; anything else gets the fallback text
+function fetchErrorText(err, fallback) {
+  return /^(FETCH|QUOTA)_/.test(err?.code || '') ? `❌ ${err.message}` : fallback;
+}
+
+async function cmd_download(from, params, context) {
+  const last = await context.sessionStore.getLastMedia(from);
   if (!last) {
     await context.sendText(from, "I don't have any recent media from you. Send an image/video/document first.");
     return;
@@ -290,307 +389,1195 @@ async function cmd_download(from, args, context) {
     await context.sendText(from, 'Server not configured to download media (missing WHATSAPP_ACCESS_TOKEN).');
     return;
   }
+  const name = `${normalizeBare(from)}-${last.id}`;
   try {
-    const mediaId = last.id;
-    const ext = last.filename ? path.extname(last.filename) : (last.mime_type && last.mime_type.includes('video') ? '.mp4' : '');
-    const filename = `${normalizeBare(from)}-${mediaId}${ext}`;
-    // step 1: get URL
-    const mediaResp = await axios.get(`https://graph.facebook.com/v17.0/${mediaId}`, {
-      headers: { Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}` },
-      params: { fields: 'id,url' },
-      timeout: 20000
-    });
-    const url = mediaResp.data?.url;
-    if (!url) throw new Error('No media url');
-    // step 2: download to disk (commands.js delegates actual file download to previously provided commands.js implementation — if that is not present, instruct user)
-    // Here we will attempt to download and save to ./media; if your server doesn't allow, this may fail.
-    const mediaDir = path.join(process.cwd(), 'media');
-    const fs = require('fs');
-    if (!fs.existsSync(mediaDir)) fs.mkdirSync(mediaDir, { recursive: true });
-    const outPath = path.join(mediaDir, filename);
-    if (!fs.existsSync(outPath)) {
-      const writer = fs.createWriteStream(outPath);
-      const resp = await axios.get(url, { responseType: 'stream', headers: { Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}` }, timeout: 120000 });
-      await new Promise((resolve, reject) => {
-        resp.data.pipe(writer);
-        writer.on('close', resolve);
-        writer.on('error', reject);
-      });
+    // saved by an earlier /download: the extension already comes from the file's contents
+    let outPath = await mediaFetcher.existing(name);
+    let mimeType = outPath ? detectMimeType(null, { filename: outPath }) : null;
+    if (!outPath) {
+      const headers = { Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}` };
+      const mediaResp = await axios.get(`https://graph.facebook.com/v17.0/${last.id}`, { headers, params: { fields: 'id,url' }, timeout: 20000 });
+      const url = mediaResp.data?.url;
+      if (!url) throw new Error('No media url');
+      const file = await mediaFetcher.fetchToMedia(url, { owner: from, source: 'download', name, headers });
+      outPath = file.path;
+      mimeType = file.mimeType;
     }
-    const serveBase = context.env_serve_base || process.env.SERVE_BASE_URL || '';
-    const link = serveBase ? `${serveBase.replace(/\/$/, '')}/media/${encodeURIComponent(filename)}` : `./media/${encodeURIComponent(filename)}`;
-    await context.sendText(from, `✅ Downloaded and saved: ${link}`);
+    await deliverMediaFile(from, mediaTypeFor(mimeType), outPath, { filename: last.filename, label: '✅ Downloaded and saved' }, context);
   } catch (err) {
     console.error('download command error', err?.response?.data || err?.message || err);
-    await context.sendText(from, "Couldn't download media. The media might have expired or the server can't fetch it.");
+    await context.sendText(from, fetchErrorText(err, "Couldn't download media. The media might have expired or the server can't fetch it."));
   }
 }
 
-async function cmd_video(from, args, context) {
-  const url = args[0];
-  if (!url) { await context.sendText(from, 'Usage: /video <direct-download-url>'); return; }
-  // download remote video to ./media
-  const fs = require('fs');
-  const mediaDir = path.join(process.cwd(), 'media');
-  if (!fs.existsSync(mediaDir)) fs.mkdirSync(mediaDir, { recursive: true });
-  const filename = `${normalizeBare(from)}-remote-${Date.now()}.mp4`;
-  const outPath = path.join(mediaDir, filename);
+async function cmd_video(from, params, context) {
+  const { url } = params;
   try {
-    const resp = await axios.get(url, { responseType: 'stream', timeout: 120000 });
-    const writer = fs.createWriteStream(outPath);
-    await new Promise((resolve, reject) => {
-      resp.data.pipe(writer);
-      writer.on('close', resolve);
-      writer.on('error', reject);
+    const file = await mediaFetcher.fetchToMedia(url, {
+      owner: from, source: 'video', name: `${normalizeBare(from)}-remote-${Date.now()}`, accept: ['video/']
     });
-    const serveBase = context.env_serve_base || process.env.SERVE_BASE_URL || '';
-    const link = serveBase ? `${serveBase.replace(/\/$/, '')}/media/${encodeURIComponent(filename)}` : `./media/${encodeURIComponent(filename)}`;
-    await context.sendText(from, `✅ Video downloaded: ${link}`);
+    await deliverMediaFile(from, 'video', file.path, { label: '✅ Video downloaded' }, context);
   } catch (err) {
     console.error('video download error', err?.message || err);
-    await context.sendText(from, "Couldn't download the video. Ensure the URL is a direct link to the file.");
+    await context.sendText(from, fetchErrorText(err, "Couldn't download the video. Ensure the URL is a direct link to the file."));
   }
 }
 
-async function cmd_image(from, args, context) {
-  const prompt = args.join(' ');
-  if (!prompt) { await context.sendText(from, 'Usage: /image <prompt>'); return; }
+async function cmd_image(from, params, context) {
+  const { prompt } = params;
   // Use OpenAI images API if OPENAI_API_KEY present
   const key = process.env.OPENAI_API_KEY;
   if (!key) { await context.sendText(from, 'Image generation requires OPENAI_API_KEY.'); return; }
+  const model = process.env.IMAGE_MODEL || 'dall-e-2';
+  // the prompt was moderated with the image actions before the command ran (moderation: 'image')
   try {
+    await usageTracker.assertWithinQuota(from);
     // call OpenAI Images API (v1) — simple implementation
     const resp = await axios.post('https://api.openai.com/v1/images/generations', {
+      model,
       prompt,
       n: 1,
-      size: '1024x1024'
+      size: '1024x1024',
+      // dall-e models return a URL unless asked; gpt-image models always return base64
+      ...(model.startsWith('dall-e') ? { response_format: 'b64_json' } : {})
     }, {
       headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
       timeout: 120000
     });
-    const b64 = resp.data?.data?.[0]?.b64_json;
-    if (!b64) throw new Error('No image returned');
-    // save locally
-    const fs = require('fs');
-    const mediaDir = path.join(process.cwd(), 'media');
-    if (!fs.existsSync(mediaDir)) fs.mkdirSync(mediaDir, { recursive: true });
-    const filename = `${normalizeBare(from)}-img-${Date.now()}.png`;
-    const outPath = path.join(mediaDir, filename);
-    fs.writeFileSync(outPath, Buffer.from(b64, 'base64'));
-    const serveBase = context.env_serve_base || process.env.SERVE_BASE_URL || '';
-    const link = serveBase ? `${serveBase.replace(/\/$/, '')}/media/${encodeURIComponent(filename)}` : `./media/${encodeURIComponent(filename)}`;
-    await context.sendText(from, `🖼️ Image generated: ${link}`);
+    const image = resp.data?.data?.[0];
+    if (!image?.b64_json && !image?.url) throw new Error('No image returned');
+    await usageTracker.record({ user: from, command: 'image', model, images: 1 });
+    // save locally; compatible servers may still answer with a URL
+    const saveAs = { owner: from, source: 'image', name: `${normalizeBare(from)}-img-${Date.now()}`, accept: ['image/'] };
+    const file = image.b64_json
+      ? await mediaFetcher.saveBuffer(Buffer.from(image.b64_json, 'base64'), saveAs)
+      : await mediaFetcher.fetchToMedia(image.url, saveAs);
+    await deliverMediaFile(from, 'image', file.path, { caption: `🖼️ ${prompt}`, label: '🖼️ Image generated' }, context);
   } catch (err) {
     console.error('image gen error', err?.response?.data || err?.message || err);
-    await context.sendText(from, "Image generation failed. Check OPENAI_API_KEY and quota.");
+    await context.sendText(from, fetchErrorText(err, aiErrorText(err, "Image generation failed. Check OPENAI_API_KEY and quota.")));
+  }
+}
+
+function formatSize(bytes) {
+  const mb = bytes / (1024 * 1024);
+  return mb >= 1 ? `${mb.toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+// /media list shows the user's files newest first; delete takes a list number, a file name or "all"
+async function cmd_media(from, params, context) {
+  const files = await mediaLibrary.list({ owner: from });
+  if (params.action === 'delete') {
+    const target = String(params.file || '').trim();
+    if (!target) {
+      await context.sendText(from, 'Usage: /media delete <number|name|all> (numbers as in /media list)');
+      return;
+    }
+    if (!files.length) {
+      await context.sendText(from, 'You have no saved media.');
+      return;
+    }
+    const picked = target.toLowerCase() === 'all'
+      ? files
+      : files.filter((f, i) => String(i + 1) === target || f.filename === target || path.parse(f.filename).name === target);
+    if (!picked.length) {
+      await context.sendText(from, `No file "${target}" in your media. See /media list.`);
+      return;
+    }
+    for (const file of picked) await mediaLibrary.remove(file.filename);
+    const freed = picked.reduce((sum, f) => sum + (f.size || 0), 0);
+    await context.sendText(from, `🗑️ Deleted ${picked.length === 1 ? picked[0].filename : plural(picked.length, 'file')} (${formatSize(freed)}).`);
+    return;
+  }
+
+  if (!files.length) {
+    await context.sendText(from, 'You have no saved media. Files from /download, /video and /image show up here.');
+    return;
   }
+  const { user, userQuota } = await mediaFetcher.usage(from);
+  const days = parseInt(process.env.MEDIA_RETENTION_DAYS || '30', 10);
+  const lines = [`📁 Your media (${formatSize(user)} of ${formatSize(userQuota)}, kept ${plural(days, 'day')}):`];
+  files.forEach((f, i) => {
+    lines.push(`${i + 1}. ${f.filename} — ${formatSize(f.size || 0)}, ${f.source ? `/${f.source}, ` : ''}${formatDateTime(f.createdAt)}`);
+    lines.push(`   ${mediaLink(from, f.filename, context)}`);
+  });
+  lines.push('Links expire; send /media list again for fresh ones. Delete with /media delete <number|all>.');
+  await context.sendText(from, lines.join('\n'));
 }
 
-async function cmd_joke(from, args, context) {
+async function cmd_joke(from, params, context) {
   await context.sendText(from, pickOne(JOKES));
 }
 
-async function cmd_meme(from, args, context) {
-  const topic = args.join(' ') || 'When your code runs on first try';
+async function cmd_meme(from, params, context) {
+  const topic = params.topic || 'When your code runs on first try';
   const top = topic;
   const bottom = pickOne(['I knew I was right', 'It was a feature', 'Now ship it']);
   const meme = `Top: ${top}\nBottom: ${bottom}`;
   await context.sendText(from, meme);
 }
 
-async function cmd_flirt(from, args, context) {
-  const name = args.join(' ').trim();
+async function cmd_flirt(from, params, context) {
+  const name = (params.name || '').trim();
   await context.sendText(from, name ? `${name}, ${pickOne(FLIRTS)}` : pickOne(FLIRTS));
 }
 
-async function cmd_compliment(from, args, context) {
-  const name = args.join(' ').trim();
+async function cmd_compliment(from, params, context) {
+  const name = (params.name || '').trim();
   await context.sendText(from, name ? `${name}, ${pickOne(COMPLIMENTS)}` : pickOne(COMPLIMENTS));
 }
 
-async function cmd_insult(from, args, context) {
-  const target = args.join(' ').trim() || 'You';
-  if (touchesProtectedClass(target)) {
+async function cmd_insult(from, params, context) {
+  const target = (params.name || '').trim() || 'You';
+  if (moderation.mentionsGroup(target)) {
     await context.sendText(from, "I won't generate insults targeting protected groups. Keep it playful and safe.");
     return;
   }
-  if (containsProfanity(target)) {
-    await context.sendText(from, "Please avoid profanity.");
+  // the whole command was moderated already; an insult aimed at anything flagged is not sent at all
+  if ((await moderation.check(target)).categories.length) {
+    await context.sendText(from, 'Please keep it playful and pick a different name.');
     return;
   }
   await context.sendText(from, `${target}, ${pickOne(INSULTS)}`);
 }
 
-async function cmd_wasted(from, args, context) {
-  const name = args.join(' ').trim();
+async function cmd_wasted(from, params, context) {
+  const name = (params.name || '').trim();
   const out = name ? `💥 WASTED — ${name} took it too far 🤪` : '💥 WASTED — That was legendary 🤪';
   await context.sendText(from, out);
 }
 
-/* Polls (very simple in-memory poll store) */
-const POLLS = new Map(); // pollId -> { question, options: [str], votes: { optionIdx: [voterBareNumbers] }, creator }
-function generatePollId() { return `poll_${Date.now().toString(36)}_${Math.floor(Math.random()*1000)}`; }
-async function cmd_poll(from, args, context) {
-  // Usage: /poll "Question" "Option1" "Option2" ...
-  // naive parser for quoted strings
-  const joined = context.rawCommand || ''; // fallback if provided
-  const text = args.join(' ');
-  const m = text.match(/"([^"]+)"\s*"([^"]+)"(?:\s*"([^"]+)")?(?:\s*"([^"]+)")?(?:\s*"([^"]+)")?/);
-  if (!m) {
-    await context.sendText(from, 'Usage: /poll "Question" "Option1" "Option2" [...]. Use quotes around each.');
-    return;
-  }
-  const question = m[1];
-  const options = m.slice(2).filter(Boolean);
-  if (options.length < 2) { await context.sendText(from, 'Create a poll with at least 2 options.'); return; }
-  const id = generatePollId();
-  const votes = {};
-  options.forEach((_, idx) => votes[idx] = []);
-  POLLS.set(id, { question, options, votes, creator: normalizeBare(from) });
-  const optList = options.map((o, i) => `${i}. ${o}`).join('\n');
-  await context.sendText(from, `✅ Poll created: ${id}\nQ: ${question}\n${optList}\nTo vote: /vote ${id} <optionIndex>`);
-}
-async function cmd_vote(from, args, context) {
-  const pollId = args[0];
-  const idx = parseInt(args[1], 10);
-  if (!pollId || Number.isNaN(idx)) {
-    await context.sendText(from, 'Usage: /vote <pollId> <optionIndex>');
-    return;
-  }
-  const poll = POLLS.get(pollId);
+/* Polls (polls.js): stored in the session backend, voted on by tapping the ballot */
+const POLL_SETTINGS = ['anonymous', 'public', 'multi', 'closes'];
+
+// settings follow the options: "Q" "A" "B" multi public closes 18:00
+function parsePollOptions(tokens) {
+  const at = tokens.findIndex((t) => POLL_SETTINGS.includes(t.toLowerCase()));
+  const options = at === -1 ? tokens : tokens.slice(0, at);
+  const settings = { anonymous: true, multi: false, closesAt: null };
+  const rest = at === -1 ? [] : tokens.slice(at);
+  for (let i = 0; i < rest.length; i++) {
+    const word = rest[i].toLowerCase();
+    if (word === 'anonymous') settings.anonymous = true;
+    else if (word === 'public') settings.anonymous = false;
+    else if (word === 'multi') settings.multi = true;
+    else if (word === 'closes') {
+      // everything up to the next setting is the time, e.g. closes 2026-05-01 09:00
+      const when = [];
+      while (i + 1 < rest.length && !POLL_SETTINGS.includes(rest[i + 1].toLowerCase())) when.push(rest[++i]);
+      settings.closesAt = campaigns.parseWhen(when.join(' '));
+      if (!settings.closesAt) return { error: 'Use closes +2h, closes 18:30 or closes 2026-05-01 09:00.' };
+    } else return { error: `Unknown poll setting "${rest[i]}". Settings go after the options: anonymous, public, multi, closes <when>.` };
+  }
+  return { options, settings };
+}
+
+async function sendBallot(to, poll, context) {
+  if (typeof context.sendInteractive === 'function') {
+    try {
+      await context.sendInteractive(to, polls.ballot(poll));
+      return;
+    } catch (err) {
+      console.warn('sendInteractive failed, sending the poll as text', err?.message || err);
+    }
+  }
+  const optList = poll.options.map((o, i) => `${i}. ${o}`).join('\n');
+  await context.sendText(to, `📊 ${poll.question}\n${optList}\nTo vote: /vote ${poll.id} <optionIndex>`);
+}
+
+function pollState(poll) {
+  if (poll.status === 'closed') return `closed ${formatDateTime(poll.closedAt)}`;
+  return poll.closesAt ? `open until ${formatDateTime(poll.closesAt)}` : 'open';
+}
+
+// the poll a creator means: the given id, else their newest one
+async function ownPoll(from, id, context) {
+  const poll = id ? await polls.get(id) : (await polls.list({ creator: from }))[0];
+  if (!poll) {
+    await context.sendText(from, id ? 'Poll not found.' : "You haven't created a poll yet.");
+    return null;
+  }
+  if (poll.creator !== normalizeBare(from)) {
+    await context.sendText(from, '❌ Only the creator of the poll can do that.');
+    return null;
+  }
+  return poll;
+}
+
+async function cmd_poll(from, params, context) {
+  // Usage: /poll "Question" "Option1" "Option2" ... [settings] (quotes are parsed by the registry)
+  const { question, options: tokens = [] } = params;
+  const action = question.toLowerCase();
+  if ((action === 'close' || action === 'results') && tokens.length <= 1) {
+    const poll = await ownPoll(from, tokens[0], context);
+    if (!poll) return;
+    if (action === 'results') {
+      await context.sendText(from, `📊 Results (${pollState(poll)})\n${polls.formatResults(await polls.tally(poll.id))}`);
+      return;
+    }
+    const result = await polls.close(poll.id, { send: context.sendText });
+    if (!result) await context.sendText(from, 'That poll is already closed. See /poll results.');
+    return;
+  }
+  if (action === 'list' && !tokens.length) {
+    const mine = (await polls.list({ creator: from })).slice(0, 10);
+    if (!mine.length) { await context.sendText(from, 'You have no polls. Create one with /poll "Question" "Option 1" "Option 2".'); return; }
+    await context.sendText(from, `📊 Your polls\n${mine.map((p) => `${p.id} — ${p.question} (${pollState(p)})`).join('\n')}\n\nResults: /poll results <id>`);
+    return;
+  }
+
+  const parsed = parsePollOptions(tokens);
+  if (parsed.error) { await context.sendText(from, parsed.error); return; }
+  let poll;
+  try {
+    poll = await polls.create({ question, options: parsed.options, creator: from, ...parsed.settings });
+  } catch (err) {
+    await context.sendText(from, `❌ ${err.message}`);
+    return;
+  }
+  const details = [
+    poll.anonymous ? 'anonymous' : 'public',
+    poll.multi ? 'several choices allowed' : 'one choice',
+    poll.closesAt ? `closes ${formatDateTime(poll.closesAt)}` : 'open until you /poll close it'
+  ].join(', ');
+  await context.sendText(from, `✅ Poll created: ${poll.id} (${details})\nOthers vote by sending /vote ${poll.id}. Everyone who voted gets the results when it closes; /poll results ${poll.id} shows them now.`);
+  await sendBallot(from, poll, context);
+}
+
+// typed /vote and ballot taps end up here
+async function castVote(from, pollId, index, context) {
+  let result;
+  try {
+    result = await polls.vote(pollId, from, index);
+  } catch (err) {
+    await context.sendText(from, err.message);
+    return;
+  }
+  const { poll, choices } = result;
+  if (!choices.length) {
+    await context.sendText(from, `Your vote in "${poll.question}" was removed.`);
+    return;
+  }
+  const picked = choices.map((i) => poll.options[i]).join(', ');
+  const more = poll.multi ? ' Tap another option to add it, or the same one to remove it.' : '';
+  await context.sendText(from, `✅ Vote recorded: ${picked}.${more}`);
+}
+
+async function cmd_vote(from, params, context) {
+  const { pollId, option } = params;
+  const poll = await polls.get(pollId);
   if (!poll) { await context.sendText(from, 'Poll not found.'); return; }
-  // remove previous votes by user
-  const voter = normalizeBare(from);
-  for (const arr of Object.values(poll.votes)) {
-    const pos = arr.indexOf(voter);
-    if (pos !== -1) arr.splice(pos, 1);
+  if (option === undefined) {
+    if (!polls.isOpen(poll)) { await context.sendText(from, 'This poll is closed.'); return; }
+    await sendBallot(from, poll, context);
+    return;
   }
-  if (!poll.votes[idx]) { await context.sendText(from, 'Invalid option index.'); return; }
-  poll.votes[idx].push(voter);
-  await context.sendText(from, `✅ Your vote for option ${idx} recorded.`);
-  // show current results
-  const results = poll.options.map((opt, i) => `${i}. ${opt} — ${poll.votes[i].length} votes`).join('\n');
-  await context.sendText(from, `Poll: ${poll.question}\n${results}`);
+  await castVote(from, poll.id, option, context);
 }
 
 /* Admin commands */
-async function cmd_broadcast(from, args, context) {
-  if (!isAdmin(from)) { await context.sendText(from, '❌ Not authorized.'); return; }
-  const msg = args.join(' ').trim();
-  if (!msg) { await context.sendText(from, 'Usage: /broadcast <message>'); return; }
-  const list = (process.env.BROADCAST_NUMBERS || '').split(',').map(s => s.trim()).filter(Boolean);
-  if (!list.length) { await context.sendText(from, 'No recipients configured (BROADCAST_NUMBERS).'); return; }
-  await context.sendText(from, `Sending broadcast to ${list.length} recipients...`);
-  const results = [];
-  for (const n of list) {
-    const bare = n.replace(/\D/g, '');
+// a broadcast is a campaign to BROADCAST_NUMBERS that starts right away (throttled, resumable, honours STOP)
+async function cmd_broadcast(from, params, context) {
+  const status = params.message.match(/^status(?:\s+(.*))?$/i);
+  if (status) return broadcastStatus(from, status[1], context);
+  await createCampaign(from, 'env', Date.now(), params.message, context);
+}
+
+async function cmd_templates(from, params, context) {
+  const list = templates.listTemplates();
+  if (!list.length) {
+    await context.sendText(from, 'No approved templates registered. List them in templates.json (TEMPLATES_PATH), see templates.example.json.');
+    return;
+  }
+  const fallback = process.env.WHATSAPP_FALLBACK_TEMPLATE;
+  const broadcast = process.env.BROADCAST_TEMPLATE;
+  const lines = list.map((t) => {
+    const counts = templates.paramCounts(t.name);
+    const marks = [t.name === fallback && 'fallback', t.name === broadcast && 'broadcast'].filter(Boolean);
+    const params = counts.header + counts.body + counts.buttons.reduce((a, b) => a + b, 0);
+    return `• ${t.name} (${t.language}${marks.length ? `, ${marks.join(', ')}` : ''}) — ${plural(params, 'parameter')}\n  ${templates.render(t.name).replace(/\n/g, ' · ').slice(0, 120)}`;
+  });
+  await context.sendText(from, `📄 Approved templates\n${lines.join('\n')}`);
+}
+
+/* Delivery reports: one line per recipient, long ones paged with /more */
+const DELIVERY_ICONS = { pending: '⏳', sending: '⏳', sent: '✔️', delivered: '📬', read: '👀', failed: '❌', opted_out: '🔕', unknown: '❔' };
+
+// "[id] [failed]": the id may be left out for the latest one; "failed" lists only failed recipients
+function parseStatusArgs(text) {
+  const out = { id: null, failedOnly: false };
+  for (const token of String(text || '').split(/\s+/).filter(Boolean)) {
+    if (/^failed$/i.test(token)) out.failedOnly = true;
+    else if (!out.id) out.id = token;
+  }
+  return out;
+}
+
+function recipientLine({ to, status, error }) {
+  return `${DELIVERY_ICONS[status] || ''} ${to} — ${status}${error ? ` (${error})` : ''}`;
+}
+
+// the first page goes out now, the rest is stored for /more
+async function sendPaged(from, text, context) {
+  const pages = paginate(text, PAGE_SIZE);
+  if (pages.length > 1) await context.sessionStore.setPages(from, pages.slice(1));
+  await context.sendText(from, pages.length > 1 ? `${pages[0]}\n\n➡️ ${pages.length - 1} more — send /more to continue.` : pages[0]);
+}
+
+async function broadcastStatus(from, args, context) {
+  const { id: broadcastId, failedOnly } = parseStatusArgs(args);
+  // broadcasts sent before campaigns existed have bc_ ids and live in the delivery tracker
+  if (!broadcastId || !/^bc_/.test(broadcastId)) {
+    const id = broadcastId || (await campaigns.list({ limit: 1 }))[0]?.id;
+    if (id || broadcastId) return campaignStatus(from, id, context, { failedOnly });
+  }
+  const tracker = context.deliveryTracker;
+  if (!tracker) { await context.sendText(from, 'Delivery tracking is not available.'); return; }
+  const id = broadcastId || await tracker.getLastBroadcastId();
+  const report = id ? await tracker.getBroadcastReport(id) : null;
+  if (!report) { await context.sendText(from, id ? `Broadcast ${id} not found (reports are kept for a limited time).` : 'No broadcasts yet.'); return; }
+  const counts = Object.entries(report.counts).map(([st, n]) => `${st}: ${n}`).join(', ');
+  const lines = report.recipients
+    .filter((r) => !failedOnly || r.status === 'failed')
+    .map((r) => recipientLine({ ...r, error: r.error ? [r.error.code, r.error.title || r.error.message].filter(Boolean).join(' ') : null }));
+  await sendPaged(from, `📣 Broadcast ${report.id}\n${counts}\n\n${lines.join('\n')}`, context);
+}
+
+/* Campaigns (campaigns.js) and their audiences (audiences.js) */
+const CAMPAIGN_ICONS = { scheduled: '🗓️', running: '📤', paused: '⏸️', done: '✅', cancelled: '🚫' };
+
+function formatDateTime(ts) {
+  return `${new Date(ts).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+async function createCampaign(from, audience, scheduledAt, text, context) {
+  let campaign;
+  try {
+    campaign = await campaigns.create({ text, audience, scheduledAt, createdBy: from });
+  } catch (err) {
+    await context.sendText(from, `❌ ${err.message}`);
+    return;
+  }
+  const lines = [`${CAMPAIGN_ICONS.scheduled} Campaign ${campaign.id} to ${campaign.audience}: ${plural(campaign.total, 'recipient')}${campaign.optedOutAtCreation ? ` (${campaign.optedOutAtCreation} opted out, skipped)` : ''}.`];
+  lines.push(campaign.scheduledAt <= Date.now() + 5000 ? 'Sending starts now.' : `Sending starts ${formatDateTime(campaign.scheduledAt)}.`);
+  if (!campaign.template && !process.env.WHATSAPP_FALLBACK_TEMPLATE) {
+    // free-form text only reaches users who wrote in the last 24 hours
+    const { numbers } = await audiences.resolve(audience);
+    let cold = 0;
+    for (const n of numbers) if (!(await serviceWindow.isOpen(n))) cold++;
+    if (cold) lines.push(`⚠️ ${plural(cold, 'recipient')} ${cold === 1 ? "hasn't" : "haven't"} written in the last 24 hours and no fallback template is set (WHATSAPP_FALLBACK_TEMPLATE), so WhatsApp won't deliver to them.`);
+  }
+  lines.push(`Report: /campaign status ${campaign.id} · Stop: /campaign cancel ${campaign.id}`);
+  await context.sendText(from, lines.join('\n'));
+}
+
+async function campaignStatus(from, id, context, { failedOnly = false } = {}) {
+  const r = await campaigns.report(id);
+  if (!r) { await context.sendText(from, `Campaign ${id} not found (finished campaigns are kept for a limited time).`); return; }
+  const c = r.campaign;
+  const lines = [
+    `${CAMPAIGN_ICONS[c.status] || ''} Campaign ${c.id} — ${c.status}`,
+    `To: ${c.audience}, ${plural(c.total, 'recipient')} · created by ${c.createdBy || '?'} ${formatDateTime(c.createdAt)}`,
+    c.status === 'scheduled' ? `Starts: ${formatDateTime(c.scheduledAt)}` : `Progress: ${c.cursor}/${c.total}${c.finishedAt ? ` · finished ${formatDateTime(c.finishedAt)}` : ''}`
+  ];
+  if (c.throttledUntil && c.throttledUntil > Date.now()) lines.push(`⏳ Throttled by WhatsApp until ${formatDateTime(c.throttledUntil)} (${c.lastError})`);
+  if (c.counts.template) lines.push(`Sent as template (${c.template || process.env.WHATSAPP_FALLBACK_TEMPLATE}): ${c.counts.template}`);
+  lines.push(Object.entries(r.counts).map(([st, n]) => `${st}: ${n}`).join(', '));
+  lines.push(`Message: ${c.text.length > 200 ? `${c.text.slice(0, 200)}…` : c.text}`);
+  const shown = failedOnly ? r.failures : r.recipients;
+  lines.push('', failedOnly ? `Failed (${shown.length}):` : 'Recipients:');
+  lines.push(...shown.map(recipientLine));
+  if (!failedOnly && r.failures.length) lines.push('', `Only the failed ones: /campaign status ${c.id} failed`);
+  await sendPaged(from, lines.join('\n'), context);
+}
+
+async function campaignImport(from, name, context) {
+  if (!name) { await context.sendText(from, 'Usage: /campaign import <list name> (after sending a CSV file)'); return; }
+  const last = await context.sessionStore.getLastMedia(from);
+  if (!last || !(/\.(csv|txt)$/i.test(last.filename || '') || /^text\//.test(last.mime_type || ''))) {
+    await context.sendText(from, 'Send me a CSV file with a phone column first, then /campaign import <list name>.');
+    return;
+  }
+  if (!context.downloadMedia || !process.env.WHATSAPP_ACCESS_TOKEN) {
+    await context.sendText(from, 'Server not configured to download media (missing WHATSAPP_ACCESS_TOKEN).');
+    return;
+  }
+  try {
+    const { buffer } = await context.downloadMedia(last.id, { maxBytes: 10 * 1024 * 1024 });
+    const { numbers, invalid } = audiences.parseCsv(buffer.toString('utf8'));
+    if (!numbers.length) { await context.sendText(from, `No phone numbers found in ${last.filename || 'the file'}.`); return; }
+    const list = await audiences.saveList(name, numbers, { source: last.filename || null, createdBy: normalizeBare(from) });
+    const skipped = invalid ? ` (${plural(invalid, 'row')} without a valid number skipped)` : '';
+    await context.sendText(from, `📇 Imported list:${list.name} with ${plural(list.count, 'number')}${skipped}.\nUse it with /campaign create list:${list.name} now <message>`);
+  } catch (err) {
+    console.error('campaign import error', err?.response?.data || err?.message || err);
+    await context.sendText(from, "Couldn't import the file. It may have expired; please send it again.");
+  }
+}
+
+async function campaignAudiences(from, context) {
+  const envCount = (await audiences.resolve('env').catch(() => ({ numbers: [] }))).numbers.length;
+  const lines = ['👥 Audiences', `• env — ${plural(envCount, 'number')} (BROADCAST_NUMBERS)`];
+  for (const l of await audiences.listLists()) lines.push(`• list:${l.name} — ${plural(l.count, 'number')}${l.source ? ` from ${l.source}` : ''}, ${formatDate(l.createdAt)}`);
+  for (const t of await audiences.listTags()) lines.push(`• tag:${t.tag} — ${plural(t.count, 'user')}`);
+  lines.push(`Opted out (never messaged): ${await audiences.countOptedOut()}`);
+  lines.push('Import a CSV with /campaign import <name>; tag users with /tag <number> <tag>.');
+  await context.sendText(from, lines.join('\n'));
+}
+
+async function cmd_campaign(from, params, context) {
+  const { action, value } = params;
+  if (action === 'create') {
+    const tokens = (value || '').split(/\s+/).filter(Boolean);
+    if (tokens.length < 2) { await context.sendText(from, 'Usage: /campaign create <audience> [now|+2h|18:30|2026-05-01 09:00] <message>'); return; }
+    // the send time is optional; a date may be followed by a time
+    let scheduledAt = null;
+    let used = 1;
+    if (tokens.length > 3) scheduledAt = campaigns.parseWhen(`${tokens[1]} ${tokens[2]}`);
+    if (scheduledAt) used = 3;
+    else if ((scheduledAt = campaigns.parseWhen(tokens[1]))) used = 2;
+    const text = tokens.length > used ? value.trim().replace(new RegExp(`^(\\S+\\s+){${used}}`), '') : '';
+    if (!text) { await context.sendText(from, 'The campaign needs a message after the audience and time.'); return; }
+    await createCampaign(from, tokens[0], scheduledAt || Date.now(), text, context);
+  } else if (action === 'status') {
+    const { id: given, failedOnly } = parseStatusArgs(value);
+    const id = given || (await campaigns.list({ limit: 1 }))[0]?.id;
+    if (!id) { await context.sendText(from, 'No campaigns yet. Start one with /campaign create.'); return; }
+    await campaignStatus(from, id, context, { failedOnly });
+  } else if (action === 'pause' || action === 'resume' || action === 'cancel') {
+    if (!value) { await context.sendText(from, `Usage: /campaign ${action} <id>`); return; }
+    try {
+      const c = await campaigns[action](value);
+      await context.sendText(from, `${CAMPAIGN_ICONS[c.status]} Campaign ${c.id} is ${c.status} (${c.cursor}/${c.total} done).`);
+    } catch (err) {
+      await context.sendText(from, `❌ ${err.message}`);
+    }
+  } else if (action === 'import') {
+    await campaignImport(from, value, context);
+  } else if (action === 'audiences') {
+    await campaignAudiences(from, context);
+  } else {
+    const list = await campaigns.list({ limit: 10 });
+    if (!list.length) { await context.sendText(from, 'No campaigns yet. Start one with /campaign create <audience> [when] <message>.'); return; }
+    const lines = list.map((c) => `${CAMPAIGN_ICONS[c.status] || ''} ${c.id} — ${c.status}, ${c.audience}, ${c.cursor}/${c.total}, ${formatDateTime(c.status === 'scheduled' ? c.scheduledAt : c.createdAt)}`);
+    await context.sendText(from, `📣 Campaigns\n${lines.join('\n')}\n\nDetails: /campaign status <id>`);
+  }
+}
+
+async function cmd_tag(from, params, context) {
+  const number = normalizeBare(params.number);
+  if (!number) { await context.sendText(from, 'Please give a phone number, e.g. 15551234567.'); return; }
+  if (params.tag) {
+    const tag = await audiences.tagUser(number, params.tag, { by: from });
+    await context.sendText(from, `🏷️ ${number} tagged ${tag}. Campaigns can target tag:${tag}.`);
+    return;
+  }
+  const tags = await audiences.tagsOf(number);
+  const optedOut = (await audiences.isOptedOut(number)) ? '\n(opted out of campaigns)' : '';
+  await context.sendText(from, tags.length ? `🏷️ ${number}: ${tags.join(', ')}${optedOut}` : `${number} has no tags.${optedOut}`);
+}
+
+async function cmd_untag(from, params, context) {
+  const removed = await audiences.untagUser(params.number, params.tag);
+  await context.sendText(from, removed ? `🏷️ Removed ${params.tag} from ${normalizeBare(params.number)}.` : `${normalizeBare(params.number)} doesn't have the tag ${params.tag}.`);
+}
+
+/* User management (roles.js); every change is written to the audit log */
+const ROLE_ICONS = { owner: '👑', admin: '🛡️', moderator: '🔧', user: '👤', blocked: '⛔' };
+
+// actors may only change users ranked below them, and only to a role below their own
+async function checkCanManage(from, target, newRole, context) {
+  const actor = await roles.getRecord(from);
+  const current = await roles.getRecord(target);
+  if (!current.number) { await context.sendText(from, 'Please give a phone number, e.g. 15551234567.'); return null; }
+  if (current.number === actor.number) { await context.sendText(from, "You can't change your own role."); return null; }
+  if (roles.rank(current.role) >= roles.rank(actor.role) || roles.rank(newRole) >= roles.rank(actor.role)) {
+    await context.sendText(from, `❌ ${current.number} is ${current.role}; you can't change that as ${actor.role}.`);
+    return null;
+  }
+  return current;
+}
+
+async function changeRole(from, number, role, action, reason, context) {
+  const current = await checkCanManage(from, number, role, context);
+  if (!current) return;
+  try {
+    const change = await roles.setRole(current.number, role, { by: from, reason, action });
+    await context.sendText(from, `✅ ${current.number}: ${change.from} → ${ROLE_ICONS[role]} ${role}`);
+  } catch (err) {
+    await context.sendText(from, `❌ ${err.message}`);
+  }
+}
+
+async function cmd_grant(from, params, context) {
+  await changeRole(from, params.number, params.role, 'grant', null, context);
+}
+
+async function cmd_revoke(from, params, context) {
+  await changeRole(from, params.number, 'user', 'revoke', null, context);
+}
+
+async function cmd_block(from, params, context) {
+  await changeRole(from, params.number, 'blocked', 'block', params.reason || null, context);
+}
+
+async function cmd_unblock(from, params, context) {
+  const current = await roles.getRecord(params.number);
+  if (current.role !== 'blocked') { await context.sendText(from, `${current.number || params.number} is not blocked.`); return; }
+  await changeRole(from, params.number, 'user', 'unblock', null, context);
+}
+
+async function cmd_whois(from, params, context) {
+  const record = await roles.getRecord(params.number);
+  if (!record.number) { await context.sendText(from, 'Please give a phone number, e.g. 15551234567.'); return; }
+  const lines = [`${ROLE_ICONS[record.role] || ''} ${record.number} — ${record.role}`];
+  if (record.source === 'env') lines.push('Set in server config (OWNER_NUMBERS / ADMIN_NUMBERS).');
+  if (record.source === 'stored') {
+    lines.push(`Changed by ${record.by || 'system'} on ${new Date(record.updatedAt).toISOString()}`);
+    if (record.reason) lines.push(`Reason: ${record.reason}`);
+  }
+  const history = await roles.getAuditLog({ target: record.number, limit: 5 });
+  if (history.length) {
+    lines.push('', 'History:');
+    for (const h of history) lines.push(`${new Date(h.ts).toISOString()} ${h.action} by ${h.actor || 'system'}: ${h.from} → ${h.to}`);
+  }
+  await context.sendText(from, lines.join('\n'));
+}
+
+// the moderation review log (moderation.js), newest first; optionally for one user
+async function cmd_modlog(from, params, context) {
+  const user = params.number ? normalizeBare(params.number) : null;
+  const entries = await moderation.getLog({ user, limit: 10 });
+  if (!entries.length) {
+    await context.sendText(from, user ? `Nothing flagged for ${user}.` : 'Nothing flagged yet.');
+    return;
+  }
+  const lines = [`🛡️ Moderation log${user ? ` for ${user}` : ''} (newest first):`];
+  for (const e of entries) {
+    const found = e.hits.map((h) => (h.term ? `${h.checker}: ${h.term}` : `${h.checker}: ${h.category} ${Math.round((h.score || 0) * 100)}%`));
+    lines.push('', `${formatDateTime(e.ts)} · ${e.user || 'unknown'} · ${e.source} · ${e.action.toUpperCase()} (${e.categories.join(', ')})`);
+    lines.push(`  ${found.join('; ')}`);
+    lines.push(`  "${e.excerpt.replace(/\s+/g, ' ').slice(0, 120)}"`);
+  }
+  await context.sendText(from, lines.join('\n'));
+}
+
+async function cmd_ratelimit(from, params, context) {
+  const { setting, value } = params;
+  if (setting === 'reset') {
+    if (value) {
+      await rateLimiter.resetUser(value);
+      await context.sendText(from, `✅ Rate limit counter cleared for ${value.replace(/\D/g, '')}.`);
+    } else {
+      await rateLimiter.resetConfig();
+      await context.sendText(from, '✅ Rate limits reset to the server defaults.');
+    }
+    return;
+  }
+  if (setting) {
+    const n = parseInt(value, 10);
+    if (!/^\d+$/.test(value || '')) { await context.sendText(from, `Usage: /ratelimit ${setting} <number>`); return; }
+    const patch = rateLimiter.KINDS.includes(setting)
+      ? { costs: { [setting]: n } }
+      : { [{ user: 'userLimit', global: 'globalLimit', window: 'windowSeconds' }[setting]]: n };
+    await rateLimiter.updateConfig(patch);
+  }
+  const usage = await rateLimiter.getUsage(from);
+  const c = usage.config;
+  await context.sendText(from, [
+    `⏱️ Rate limits (window ${c.windowSeconds}s, ${usage.retryAfterSec}s left):`,
+    `Per user: ${c.userLimit} points${c.userLimit ? '' : ' (off)'}`,
+    `Global: ${c.globalLimit} points${c.globalLimit ? '' : ' (off)'} — used ${usage.global}`,
+    `Costs: chat ${c.costs.chat}, image ${c.costs.image}, media ${c.costs.media}`
+  ].join('\n'));
+}
+
+/* Long-term memory (user-memory.js) */
+const MEMORY_DISABLED_TEXT = 'Long-term memory is not enabled on this server (MEMORY_ENABLED).';
+
+async function cmd_remember(from, params, context) {
+  if (!userMemory.isEnabled()) { await context.sendText(from, MEMORY_DISABLED_TEXT); return; }
+  const result = await userMemory.remember(from, params.fact);
+  await context.sendText(from, result.replaced ? `🧠 Updated: "${result.item.text}"` : `🧠 I'll remember: "${result.item.text}"`);
+}
+
+async function cmd_forget(from, params, context) {
+  if (!userMemory.isEnabled()) { await context.sendText(from, MEMORY_DISABLED_TEXT); return; }
+  const removed = await userMemory.forget(from, params.what);
+  if (!removed.length) { await context.sendText(from, 'Nothing matched. Send /memories to see the list with numbers.'); return; }
+  const what = removed.length === 1 ? `"${removed[0]}"` : `${removed.length} memories`;
+  await context.sendText(from, `🗑️ Forgotten: ${what}`);
+}
+
+async function cmd_memories(from, params, context) {
+  if (!userMemory.isEnabled()) { await context.sendText(from, MEMORY_DISABLED_TEXT); return; }
+  if (params.mode) await userMemory.setOptIn(from, params.mode === 'on');
+  const status = await userMemory.getStatus(from);
+  const items = await userMemory.list(from);
+  const lines = [
+    `🧠 Learning from your messages: ${status.optIn ? 'on' : 'off'} (/memories ${status.optIn ? 'off' : 'on'} to change)`
+  ];
+  if (items.length) {
+    lines.push('', ...items.map((m, i) => `${i + 1}. ${m.text}${m.source === 'auto' ? ' (learned)' : ''}`));
+    lines.push('', 'Remove one with /forget <number>, or everything with /forget all. /reset does not erase memories.');
+  } else {
+    lines.push('', 'Nothing stored yet. Tell me something with /remember <fact>.');
+  }
+  await context.sendText(from, lines.join('\n'));
+}
+
+/* Knowledge base (knowledge-base.js) */
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+function formatDate(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+async function kbAddLastDocument(from, name, context) {
+  const last = await context.sessionStore.getLastMedia(from);
+  if (!last || !knowledgeBase.typeOf(last.filename, last.mime_type)) {
+    await context.sendText(from, 'Send me a PDF, DOCX, Markdown or text document first, then /kb add [name].');
+    return;
+  }
+  if (!context.downloadMedia || !process.env.WHATSAPP_ACCESS_TOKEN) {
+    await context.sendText(from, 'Server not configured to download media (missing WHATSAPP_ACCESS_TOKEN).');
+    return;
+  }
+  const filename = name ? `${name}${path.extname(name) ? '' : path.extname(last.filename || '')}` : last.filename;
+  await context.sendText(from, `📥 Indexing ${filename}...`);
+  let buffer;
+  try {
+    ({ buffer } = await context.downloadMedia(last.id));
+  } catch (err) {
+    console.error('kb add download error', err?.response?.data || err?.message || err);
+    await context.sendText(from, "Couldn't download the document. It may have expired; please send it again.");
+    return;
+  }
+  try {
+    const { doc, replaced } = await knowledgeBase.addDocument(buffer, { filename, mimeType: last.mime_type, addedBy: normalizeBare(from) });
+    await context.sendText(from, `📚 ${replaced ? 'Updated' : 'Added'} "${doc.name}" (${plural(doc.chunks, 'section')}). Try /kb ask <question>.`);
+  } catch (err) {
+    console.error('kb add error', err?.message || err);
+    await context.sendText(from, `Couldn't index ${filename}: ${err?.message || 'unknown error'}`);
+  }
+}
+
+async function cmd_kb(from, params, context) {
+  const { action, value } = params;
+  if (action === 'add') {
+    await kbAddLastDocument(from, value, context);
+  } else if (action === 'sync') {
+    const r = await knowledgeBase.syncFolder();
+    const lines = [`📚 Folder synced: ${r.added} added, ${r.updated} updated, ${r.removed} removed, ${r.unchanged} unchanged.`];
+    if (r.failed.length) lines.push(...r.failed.map((f) => `⚠️ ${f.path}: ${f.error}`));
+    await context.sendText(from, lines.join('\n'));
+  } else if (action === 'remove') {
+    if (!value) { await context.sendText(from, 'Usage: /kb remove <number|name>'); return; }
+    const doc = await knowledgeBase.removeDocument(value);
+    if (!doc) { await context.sendText(from, 'No such document. Send /kb list to see the numbers.'); return; }
+    const note = doc.source === 'folder' ? ' It comes back on the next sync unless the file is deleted from the knowledge folder.' : '';
+    await context.sendText(from, `🗑️ Removed "${doc.name}".${note}`);
+  } else if (action === 'ask') {
+    if (!value) { await context.sendText(from, 'Usage: /kb ask <question>'); return; }
     try {
-      const toJid = `${bare}@c.us`;
-      await context.sendText(toJid, msg);
-      results.push({ to: bare, ok: true });
+      const result = await knowledgeBase.ask(value, { user: from, openaiClient: context.openaiClient });
+      if (!result.answer) { await context.sendText(from, "I couldn't find anything about that in the documents."); return; }
+      await context.sendText(from, `${markdownToWhatsApp(result.answer)}\n\nSources:\n${result.sources.join('\n')}`);
     } catch (err) {
-      results.push({ to: n, ok: false, error: String(err) });
+      console.error('kb ask error', err?.message || err);
+      await context.sendText(from, aiErrorText(err, "Sorry, couldn't answer from the documents."));
+    }
+  } else {
+    const docs = await knowledgeBase.listDocuments();
+    if (!docs.length) {
+      await context.sendText(from, '📚 The knowledge base is empty. Send a document and then /kb add, or put files in the knowledge folder and /kb sync.');
+      return;
     }
+    const lines = docs.map((d, i) => `${i + 1}. ${d.source === 'folder' ? d.path : d.name} — ${plural(d.chunks, 'section')}, ${d.source === 'folder' ? 'folder' : `added by ${d.addedBy || '?'}`} ${formatDate(d.addedAt)}`);
+    await context.sendText(from, `📚 Knowledge base (${docs.length}):\n${lines.join('\n')}\n\nRemove one with /kb remove <number>.`);
   }
-  const failed = results.filter(r => !r.ok);
-  await context.sendText(from, `Broadcast done. Sent: ${results.length - failed.length}. Failed: ${failed.length}`);
 }
 
-async function cmd_stats(from, args, context) {
-  if (!isAdmin(from)) { await context.sendText(from, '❌ Not authorized.'); return; }
+/* Usage & costs (usage-tracker.js) */
+function formatCost(usd) {
+  return `$${(usd || 0).toFixed(usd >= 1 ? 2 : 4)}`;
+}
+
+function formatBreakdown(map, limit = 6) {
+  return Object.entries(map)
+    .sort((a, b) => b[1].cost - a[1].cost || b[1].tokens - a[1].tokens)
+    .slice(0, limit)
+    .map(([name, v]) => `  ${name}: ${v.calls} calls, ${v.tokens} tokens, ${formatCost(v.cost)}`);
+}
+
+async function cmd_usage(from, params, context) {
+  let who = from;
+  if (params.number) {
+    if (!(await registry.hasRole(from, 'admin'))) { await context.sendText(from, "❌ Only admins can see other users' usage."); return; }
+    who = params.number;
+  }
+  const usage = await usageTracker.getUsage(who);
+  const q = usageTracker.quotas();
+  const quota = (used, limit) => (limit ? ` of ${limit} (${Math.max(0, limit - used)} left)` : '');
+  const lines = [
+    `📊 AI usage${params.number ? ` for ${normalizeBare(who)}` : ''}`,
+    `Today: ${usage.today.tokens} tokens${quota(usage.today.tokens, q.daily)}, ${usage.today.calls} requests, ~${formatCost(usage.today.cost)}`,
+    `This month: ${usage.thisMonth.tokens} tokens${quota(usage.thisMonth.tokens, q.monthly)}, ${usage.thisMonth.calls} requests, ~${formatCost(usage.thisMonth.cost)}`
+  ];
+  const byCommand = formatBreakdown(usage.thisMonth.byCommand);
+  if (byCommand.length) lines.push('', 'By command this month:', ...byCommand);
+  await context.sendText(from, lines.join('\n'));
+}
+
+async function cmd_stats(from, params, context) {
   // simple stats: number of sessions, polls
   const ss = context.sessionStore && typeof context.sessionStore.getStats === 'function'
     ? await context.sessionStore.getStats()
     : { sessions: 'unknown' };
-  await context.sendText(from, `Stats:\nSessions: ${ss.sessions}\nPolls: ${POLLS.size}`);
+  const lines = [`Sessions: ${ss.sessions}`];
+  if (ss.messages !== undefined) lines.push(`Messages: ${ss.messages}`);
+  if (ss.media !== undefined) lines.push(`Media: ${ss.media}`);
+  lines.push(`Polls: ${await polls.count()}`);
+  lines.push(`Duplicate webhooks dropped: ${await metrics.get('webhook.duplicates')}`);
+  lines.push(`Messages from blocked users dropped: ${await metrics.get('webhook.blocked')}`);
+  lines.push(`Rate limited: ${await metrics.get('ratelimit.user')} per-user, ${await metrics.get('ratelimit.global')} global`);
+
+  const usage = await usageTracker.getUsage();
+  lines.push('', `AI cost today: ${formatCost(usage.today.cost)} (${usage.today.tokens} tokens, ${usage.today.calls} calls)`);
+  lines.push(`AI cost this month: ${formatCost(usage.thisMonth.cost)} (${usage.thisMonth.tokens} tokens, ${usage.thisMonth.calls} calls)`);
+  const byCommand = formatBreakdown(usage.thisMonth.byCommand);
+  if (byCommand.length) lines.push('By command:', ...byCommand);
+  const byModel = formatBreakdown(usage.thisMonth.byModel);
+  if (byModel.length) lines.push('By model:', ...byModel);
+  const top = await usageTracker.topUsers(5);
+  if (top.length) lines.push('Top users:', ...top.map((u) => `  ${u.user}: ${u.tokens} tokens, ${formatCost(u.cost)}`));
+  await context.sendText(from, `Stats:\n${lines.join('\n')}`);
+}
+
+/* ---------- Command declarations ---------- */
+
+registry.setRoleResolver((from) => roles.getRole(from));
+
+const nameArg = { name: 'name', type: 'rest', description: 'Optional name to address' };
+
+registry.register({
+  name: 'help', aliases: ['h'], title: 'Help', description: 'Show help and commands', category: 'General',
+  args: [{ name: 'command', type: 'word', description: 'Command to explain, e.g. translate' }],
+  tool: false, handler: cmd_help
+});
+registry.register({ name: 'menu', aliases: ['start'], title: 'Menu', description: 'Open interactive menu', category: 'General', handler: cmd_menu });
+registry.register({ name: 'cancel', title: 'Cancel', description: 'Stop answering the questions a command is asking', category: 'General', tool: false, rate: null, handler: cmd_cancel });
+registry.register({ name: 'reset', aliases: ['new'], title: 'Reset', description: 'Reset your conversation', category: 'General', tool: false, handler: cmd_reset });
+
+registry.register({ name: 'summary', aliases: ['sum'], title: 'Summary', description: 'Summarize the conversation', category: 'Utilities', handler: cmd_summary });
+registry.register({ name: 'export', title: 'Export', description: 'Export recent conversation', category: 'Utilities', tool: false, handler: cmd_export });
+registry.register({ name: 'more', title: 'More', description: 'Send the next page of a long output', category: 'Utilities', tool: false, handler: cmd_more });
+registry.register({
+  name: 'translate', aliases: ['tr'], title: 'Translate', description: 'Translate text to target language', category: 'Utilities',
+  args: [
+    { name: 'lang', type: 'word', required: true, description: 'Target language, e.g. French', prompt: 'Which language?', choices: translateLanguages },
+    { name: 'text', type: 'rest', required: true, description: 'Text to translate', prompt: 'Send the text to translate.' }
+  ],
+  handler: cmd_translate
+});
+registry.register({
+  name: 'define', aliases: ['def'], title: 'Define', description: 'Get a concise definition', category: 'Utilities',
+  args: [{ name: 'term', type: 'rest', required: true, description: 'Word or phrase to define', prompt: 'Which word or phrase?' }],
+  handler: cmd_define
+});
+registry.register({
+  name: 'tts', title: 'Text→Speech (TTS)', description: 'Read text aloud as a voice note', category: 'Utilities', rate: 'media',
+  args: [{ name: 'text', type: 'rest', required: true, description: 'Text to speak', prompt: 'Send the text to read aloud.' }],
+  handler: cmd_tts
+});
+registry.register({
+  name: 'voice', title: 'Voice replies', description: 'Reply with voice notes: on, auto (when you send one) or off', category: 'Utilities', tool: false,
+  args: [{ name: 'mode', type: 'enum', values: ['on', 'auto', 'off'], description: 'When to reply with voice notes' }],
+  handler: cmd_voice
+});
+
+registry.register({ name: 'download', aliases: ['dl'], title: 'Download last media', description: 'Send back the last image/video/document you sent', category: 'Media', rate: 'media', handler: cmd_download });
+registry.register({
+  name: 'video', title: 'Download remote video', description: 'Download a video from a URL and send it here', category: 'Media', rate: 'media',
+  args: [{ name: 'url', type: 'word', required: true, description: 'Direct download URL of the video' }],
+  handler: cmd_video
+});
+
+registry.register({
+  name: 'image', aliases: ['img'], title: 'Generate image', description: 'Generate an image from prompt (requires OpenAI image key)', category: 'Fun', rate: 'image', moderation: 'image',
+  args: [{ name: 'prompt', type: 'rest', required: true, description: 'Description of the image to generate', prompt: 'Describe the image you want.' }],
+  handler: cmd_image
+});
+registry.register({
+  name: 'media', aliases: ['files'], title: 'My media', description: 'List or delete the files saved for you by /download, /video and /image', category: 'Media', tool: false,
+  usage: '/media [list] | /media delete <number|name|all>',
+  args: [
+    { name: 'action', type: 'enum', values: ['list', 'delete'], description: 'list (default) or delete' },
+    { name: 'file', type: 'word', description: 'For delete: the number from /media list, the file name, or all' }
+  ],
+  handler: cmd_media
+});
+registry.register({ name: 'joke', title: 'Joke', description: 'Tell a joke', category: 'Fun', handler: cmd_joke });
+registry.register({
+  name: 'meme', title: 'Meme text', description: 'Generate meme caption', category: 'Fun',
+  args: [{ name: 'topic', type: 'rest', description: 'Meme topic' }],
+  handler: cmd_meme
+});
+registry.register({ name: 'flirt', title: 'Flirt', description: 'Send a playful flirt', category: 'Fun', args: [nameArg], handler: cmd_flirt });
+registry.register({ name: 'compliment', title: 'Compliment', description: 'Send a compliment', category: 'Fun', args: [nameArg], handler: cmd_compliment });
+registry.register({ name: 'insult', title: 'Insult (playful)', description: 'Send a mild playful insult', category: 'Fun', args: [nameArg], handler: cmd_insult });
+registry.register({ name: 'wasted', title: 'Wasted', description: 'Send wasted meme', category: 'Fun', args: [nameArg], handler: cmd_wasted });
+
+registry.register({
+  name: 'poll', title: 'Poll', description: 'Create a poll people vote on with a tap', category: 'Group',
+  usage: '/poll "question" "option"... [anonymous|public] [multi] [closes <when>] | /poll close|results [id] | /poll list',
+  args: [
+    { name: 'question', type: 'string', required: true, description: 'Poll question' },
+    // no max: the settings share this argument, so polls.create checks the number of options
+    {
+      name: 'options', type: 'string', variadic: true,
+      description: `Answer options (2-${polls.MAX_OPTIONS}), optionally followed by settings: public (show who voted), multi (several choices), closes +2h / 18:30`
+    }
+  ],
+  handler: cmd_poll
+});
+registry.register({
+  name: 'vote', title: 'Vote', description: 'Vote in a poll', category: 'Group',
+  args: [
+    { name: 'pollId', type: 'word', required: true, description: 'Poll id, e.g. poll_abc_123' },
+    { name: 'option', type: 'int', min: 0, description: 'Zero-based option index; without it the ballot is sent' }
+  ],
+  handler: cmd_vote
+});
+
+registry.register({
+  name: 'broadcast', aliases: ['bc'], title: 'Broadcast', description: 'Admin: send a message to BROADCAST_NUMBERS now (a campaign) or see its report', category: 'Admin',
+  role: 'admin', usage: '/broadcast <message> | /broadcast status [id] [failed]',
+  args: [{ name: 'message', type: 'rest', required: true, description: 'Message to send to all broadcast recipients' }],
+  handler: cmd_broadcast
+});
+registry.register({
+  name: 'campaign', aliases: ['campaigns'], title: 'Campaigns', description: 'Admin: scheduled, throttled broadcasts to an audience, with reports', category: 'Admin',
+  role: 'admin', tool: false,
+  usage: '/campaign create <audience> [when] <message> | /campaign list | /campaign status [id] [failed] | /campaign pause|resume|cancel <id> | /campaign import <name> | /campaign audiences',
+  args: [
+    { name: 'action', type: 'enum', values: ['create', 'list', 'status', 'pause', 'resume', 'cancel', 'import', 'audiences'] },
+    { name: 'value', type: 'rest' }
+  ],
+  handler: cmd_campaign
+});
+registry.register({
+  name: 'tag', title: 'Tag user', description: 'Admin: tag a user for campaign audiences, or show their tags', category: 'Admin',
+  role: 'admin', tool: false,
+  args: [
+    { name: 'number', type: 'word', required: true, description: 'Phone number' },
+    { name: 'tag', type: 'word', description: 'Tag to add' }
+  ],
+  handler: cmd_tag
+});
+registry.register({
+  name: 'untag', title: 'Untag user', description: 'Admin: remove a tag from a user', category: 'Admin',
+  role: 'admin', tool: false,
+  args: [
+    { name: 'number', type: 'word', required: true, description: 'Phone number' },
+    { name: 'tag', type: 'word', required: true, description: 'Tag to remove' }
+  ],
+  handler: cmd_untag
+});
+registry.register({
+  name: 'templates', title: 'Message templates', description: 'Admin: list the approved message templates', category: 'Admin',
+  role: 'admin', handler: cmd_templates
+});
+registry.register({
+  name: 'remember', title: 'Remember', description: 'Store a fact about you for future chats', category: 'Memory',
+  args: [{ name: 'fact', type: 'rest', required: true, description: 'The fact to remember, e.g. "I am vegetarian"', prompt: 'What should I remember about you?' }],
+  handler: cmd_remember
+});
+registry.register({
+  name: 'forget', title: 'Forget', description: 'Erase stored memories', category: 'Memory', tool: false,
+  args: [{ name: 'what', type: 'rest', required: true, description: 'A number from /memories, "all", or the fact itself' }],
+  usage: '/forget <number|all|text>',
+  handler: cmd_forget
+});
+registry.register({
+  name: 'memories', title: 'Memories', description: 'List what I remember about you; on/off for learning from chats', category: 'Memory',
+  args: [{ name: 'mode', type: 'enum', values: ['on', 'off'], description: 'Turn learning from your messages on or off' }],
+  handler: cmd_memories
+});
+registry.register({
+  name: 'kb', title: 'Knowledge base', description: 'Admin: manage and query the document knowledge base', category: 'Admin', role: 'admin', tool: false,
+  usage: '/kb add [name] | /kb list | /kb remove <number|name> | /kb ask <question> | /kb sync',
+  args: [
+    { name: 'action', type: 'enum', values: ['add', 'list', 'remove', 'ask', 'sync'] },
+    { name: 'value', type: 'rest' }
+  ],
+  handler: cmd_kb
+});
+registry.register({
+  name: 'usage', title: 'My usage', description: 'Show your AI usage and remaining quota', category: 'General', rate: null,
+  args: [{ name: 'number', type: 'word', description: 'Admin: another user\'s number' }],
+  handler: cmd_usage
+});
+registry.register({ name: 'stats', title: 'Stats', description: 'Admin: show usage stats', category: 'Admin', role: 'admin', handler: cmd_stats });
+registry.register({
+  name: 'ratelimit', title: 'Rate limits', description: 'Admin: show or change rate limits', category: 'Admin', role: 'admin', tool: false, rate: null,
+  usage: '/ratelimit [user|global|window|chat|image|media <n>] | /ratelimit reset [number]',
+  args: [
+    { name: 'setting', type: 'enum', values: ['user', 'global', 'window', 'chat', 'image', 'media', 'reset'] },
+    { name: 'value', type: 'word' }
+  ],
+  handler: cmd_ratelimit
+});
+
+// role management is never offered to the model as a tool
+const numberArg = { name: 'number', type: 'word', required: true, description: 'Phone number, digits only' };
+registry.register({
+  name: 'grant', title: 'Grant role', description: 'Owner: give a user a role', category: 'Admin', role: 'owner', tool: false,
+  args: [numberArg, { name: 'role', type: 'enum', values: ['moderator', 'admin', 'user'], required: true }],
+  handler: cmd_grant
+});
+registry.register({ name: 'revoke', title: 'Revoke role', description: 'Owner: reset a user to the default role', category: 'Admin', role: 'owner', tool: false, args: [numberArg], handler: cmd_revoke });
+registry.register({
+  name: 'block', title: 'Block user', description: 'Moderator: ignore all messages from a user', category: 'Admin', role: 'moderator', tool: false,
+  args: [numberArg, { name: 'reason', type: 'rest', description: 'Why the user is blocked' }],
+  handler: cmd_block
+});
+registry.register({ name: 'unblock', title: 'Unblock user', description: 'Moderator: lift a block', category: 'Admin', role: 'moderator', tool: false, args: [numberArg], handler: cmd_unblock });
+registry.register({
+  name: 'modlog', aliases: ['moderation'], title: 'Moderation log', description: 'Moderator: review recently flagged messages and replies', category: 'Admin', role: 'moderator', tool: false, rate: null,
+  args: [{ name: 'number', type: 'word', description: 'Only this user\'s entries' }],
+  handler: cmd_modlog
+});
+registry.register({ name: 'whois', title: 'Who is', description: 'Moderator: show a user\'s role and its history', category: 'Admin', role: 'moderator', tool: false, args: [numberArg], handler: cmd_whois });
+
+// plugins are loaded after the built-ins so a name clash is reported on the plugin
+registry.loadPlugins(process.env.COMMAND_PLUGINS_DIR || path.join(__dirname, 'commands'));
+
+// commands with prompted arguments ask for them when they're missing (command-flows.js)
+for (const command of registry.list()) {
+  const steps = command.args
+    .filter((arg) => arg.required && arg.prompt)
+    .map((arg) => ({
+      name: arg.name,
+      prompt: arg.prompt,
+      choices: arg.choices || (arg.type === 'enum' ? arg.values : null),
+      parse: (text) => registry.parseValue(arg, text)
+    }));
+  if (!steps.length) continue;
+  flows.define(command.name, {
+    steps,
+    complete: async (from, values, context) => {
+      const checked = registry.validateParams(command, values);
+      if (!checked.ok) {
+        await context.sendText(from, `Usage: ${registry.formatUsage(command)}\n(${checked.error})`);
+        return;
+      }
+      if (!(await moderateParams(from, checked.params, context, command.moderation))) return;
+      await executeCommand(command, from, checked.params, context);
+    }
+  });
 }
 
 /* ---------- Command dispatcher ---------- */
 
-const HANDLERS = {
-  help: cmd_help,
-  menu: cmd_menu,
-  reset: cmd_reset,
-  summary: cmd_summary,
-  export: cmd_export,
-  translate: cmd_translate,
-  define: cmd_define,
-  tts: cmd_tts,
-  download: cmd_download,
-  video: cmd_video,
-  image: cmd_image,
-  joke: cmd_joke,
-  meme: cmd_meme,
-  flirt: cmd_flirt,
-  compliment: cmd_compliment,
-  insult: cmd_insult,
-  wasted: cmd_wasted,
-  poll: cmd_poll,
-  vote: cmd_vote,
-  broadcast: cmd_broadcast,
-  stats: cmd_stats
-};
+async function runCommand(command, from, params, context) {
+  try {
+    await command.handler(from, params, context);
+  } catch (err) {
+    console.error('command handler error', command.name, err?.message || err);
+    try { await context.sendText(from, "Sorry — an error occurred while running that command."); } catch (e) {}
+  }
+}
+
+// spends the command's rate-limiter points; admins only count towards the global bucket
+async function spendRate(from, kind) {
+  if (!kind) return { ok: true };
+  return rateLimiter.consume(from, kind, { exempt: await registry.hasRole(from, 'admin') });
+}
+
+// checks the role (again, for flows answered later), spends the rate points and runs the handler
+async function executeCommand(command, from, params, context) {
+  if (!(await registry.hasRole(from, command.role))) {
+    await context.sendText(from, '❌ Not authorized.');
+    return;
+  }
+  const rate = await spendRate(from, command.rate);
+  if (!rate.ok) {
+    if (rate.notify) await context.sendText(from, rateLimiter.cooldownMessage(rate));
+    return;
+  }
+  await runCommand(command, from, params, context);
+}
+
+/**
+ * dispatch(from, command, raw, context)
+ * Runs a typed or menu-selected command. Usage placeholders such as <lang> count as missing, and
+ * missing arguments that have a prompt are asked for
+ * (command-flows.js) instead of answering with the usage. Starting a command ends any flow the
+ * user left open, except /cancel, which reports it.
+ */
+async function dispatch(from, command, raw, context) {
+  if (!(await registry.hasRole(from, command.role))) {
+    await context.sendText(from, '❌ Not authorized.');
+    return;
+  }
+  if (command.name !== 'cancel') await flows.cancel(from);
+  raw = registry.stripPlaceholders(command, raw);
+  const args = registry.parseArgs(command, raw);
+  if (args.ok) {
+    await executeCommand(command, from, args.params, context);
+    return;
+  }
+  const partial = registry.parsePartial(command, raw);
+  if (partial.ok && flows.has(command.name) && partial.missing.every((arg) => arg.prompt)) {
+    await flows.start(from, command.name, context, { values: partial.params });
+    return;
+  }
+  await context.sendText(from, `Usage: ${registry.formatUsage(command)}\n(${args.error})`);
+}
 
 /* ---------- Public API: handleCommand ---------- */
 async function handleCommand(from, text, context = {}) {
-  // attach rawCommand for some handlers (like poll parser fallback)
-  context.rawCommand = text;
   const parsed = parseCommand(text);
   if (!parsed) return { handled: false };
 
-  const cmd = parsed.cmd;
-  const args = parsed.args;
-
   // normalize sendText to always accept JID or bare number
   if (!context.sendText || typeof context.sendText !== 'function') {
     throw new Error('context.sendText must be provided');
   }
 
-  // Basic spam / profanity guard
-  if (containsProfanity(text)) {
-    await context.sendText(from, "Please avoid profanity.");
+  // the command line is moderated like any message (moderation.js), with the command's own
+  // actions if it has them (e.g. MODERATION_ACTIONS_IMAGE for /image); warnings still run the command
+  const command = registry.get(parsed.cmd);
+  const verdict = await moderation.review(text, { user: from, source: command?.moderation || 'inbound' });
+  if (verdict.action === 'block' || verdict.action === 'warn') await context.sendText(from, moderation.notice(verdict));
+  if (verdict.action === 'block') return { handled: true };
+
+  if (!command) {
+    await context.sendText(from, `Unknown command "/${parsed.cmd}". Send /help or /menu.`);
     return { handled: true };
   }
+  await dispatch(from, command, parsed.rest, context);
+  return { handled: true };
+}
 
-  // dispatch
-  const handler = HANDLERS[cmd];
-  if (handler) {
-    try {
-      await handler(from, args, context);
-    } catch (err) {
-      console.error('command handler error', cmd, err?.message || err);
-      try { await context.sendText(from, "Sorry — an error occurred while running that command."); } catch (e) {}
+/**
+ * handleInteractiveReply(from, { id, title }, context) -> { handled: boolean }
+ * Routes a reply to one of our interactive messages by its id rather than its title:
+ *  - menu:<page>             the next page of /menu categories
+ *  - cat:<page>:<category>   a /menu category: lists its commands
+ *  - cmd:<name>              a /menu row: runs the command, asking for any arguments it needs
+ *  - flow:<flow>:<step>:...  a choice offered by command-flows.js
+ *  - poll:<id>:<index>       a vote on a poll ballot (polls.js)
+ * Other ids (e.g. buttons sent by plugins) are not handled; the title is then treated as text.
+ */
+async function handleInteractiveReply(from, { id = '', title = '' } = {}, context = {}) {
+  const menu = id.match(/^(?:menu:(\d+)|cat:(\d+):(.+))$/);
+  if (menu) {
+    const page = parseInt(menu[1] || menu[2], 10);
+    await sendMenuInteractive(from, context, { category: menu[3] || null, page });
+    return { handled: true };
+  }
+  if (id.startsWith('cmd:')) {
+    const command = registry.get(id.slice(4));
+    if (!command) {
+      await context.sendText(from, 'That menu option is no longer available. Send /menu.');
+      return { handled: true };
     }
+    await dispatch(from, command, '', context);
+    return { handled: true };
+  }
+  if (id.startsWith('flow:')) return flows.handleInput(from, { text: title, replyId: id }, context);
+  const ballot = polls.parseBallotId(id);
+  if (ballot) {
+    await castVote(from, ballot.id, ballot.index, context);
     return { handled: true };
   }
+  return { handled: false };
+}
+
+/**
+ * handleFlowInput(from, text, context) -> { handled: boolean }
+ * Takes a plain message as the answer to the question an open flow is asking.
+ */
+async function handleFlowInput(from, text, context = {}) {
+  return flows.handleInput(from, { text }, context);
+}
 
-  // if the command is of form cmd:<id> (from interactive menu), support that
-  if (cmd.startsWith('cmd:')) {
-    const id = cmd.slice(4);
-    const target = COMMANDS.find(c => c.id === id);
-    if (target) {
-      // emulate user sending the usage to trigger handler if exists
-      const usageParts = (target.usage || '').split(/\s+/);
-      const main = usageParts[0].replace('/', '');
-      if (HANDLERS[main]) {
-        try { await HANDLERS[main](from, usageParts.slice(1), context); }
-        catch (e) { console.error(e); }
-        return { handled: true };
+/* ---------- Function calling ---------- */
+
+/**
+ * getTools(from) -> [{ type: 'function', function: { name, description, parameters } }]
+ * Tool definitions for the commands this user may run (registry role check), generated
+ * from the declared arguments. Commands registered with tool: false can only be typed.
+ */
+async function getTools(from) {
+  const cmds = await registry.listFor(from);
+  return cmds
+    .filter((c) => c.tool)
+    .map((c) => ({
+      type: 'function',
+      function: {
+        name: `cmd_${c.name}`,
+        description: `${c.description} (same as typing ${registry.formatUsage(c)})`,
+        parameters: registry.toJsonSchema(c)
       }
-      await context.sendText(from, target.description || 'Command selected.');
-      return { handled: true };
-    }
+    }));
+}
+
+/**
+ * runTool(from, name, params, context) -> String
+ * Runs a tool call with the same role and argument checks as a typed command and returns what
+ * the command would have texted the user, for the model to summarize. Messages the command
+ * sends to other recipients (e.g. a broadcast) and interactive messages are delivered as usual.
+ */
+async function runTool(from, name, params, context) {
+  const command = registry.get(String(name || '').replace(/^cmd_/, ''));
+  if (!command || !command.tool) return `Error: unknown tool "${name}".`;
+  // re-checked here: the model may call a tool it was never offered
+  if (!(await registry.hasRole(from, command.role))) return 'Error: this command is not available to this user.';
+  const checked = registry.validateParams(command, params || {});
+  if (!checked.ok) return `Error: invalid arguments for ${name}: ${checked.error}.`;
+  // tool arguments are written by the model, so they are screened as generated text
+  const verdict = await moderation.review(paramsText(checked.params), { user: from, source: command.moderation || 'reply' });
+  if (verdict.action === 'block') return 'Error: the arguments were blocked by the content policy.';
+  // the user's message already paid for chat; heavier commands cost their own weight
+  if (command.rate && command.rate !== 'chat') {
+    const rate = await spendRate(from, command.rate);
+    if (!rate.ok) return `Error: rate limited. ${rateLimiter.cooldownMessage(rate)}`;
   }
 
-  // unknown command
-  await context.sendText(from, `Unknown command "/${cmd}". Send /help or /menu.`);
-  return { handled: true };
+  const captured = [];
+  const self = normalizeBare(from);
+  const toolContext = {
+    ...context,
+    sendText: async (to, text, options) => {
+      if (normalizeBare(to) !== self) return context.sendText(to, text, options);
+      captured.push(text);
+      return {};
+    },
+    sendInteractive: context.sendInteractive
+      ? async (to, payload, options) => {
+        const resp = await context.sendInteractive(to, payload, options);
+        if (normalizeBare(to) === self) captured.push('[An interactive message was shown to the user.]');
+        return resp;
+      }
+      : undefined
+  };
+  await runCommand(command, from, checked.params, toolContext);
+  return captured.join('\n\n') || 'Done.';
 }
 
 /* ---------- Export ---------- */
 module.exports = {
   handleCommand,
+  handleInteractiveReply,
+  handleFlowInput,
   parseCommand,
-  COMMANDS,
+  registry,
+  getTools,
+  runTool,
   sendMenuInteractive, // exported for tests or direct use
 };
\ No newline at end of file
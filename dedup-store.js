@@ -0,0 +1,53 @@
+/**
+ * dedup-store.js
+ * Remembers WhatsApp message ids so webhooks Meta re-delivers are processed once.
+ *
+ * Storage is any adapter from storage/ (defaults to the session backend, so Redis
+ * dedups across replicas). Ids are kept for DEDUP_RETENTION_MINUTES (default 24h).
+ *
+ * Usage:
+ *  const dedup = require('./dedup-store');
+ *  if (!(await dedup.claim(message.id))) return;  // duplicate, already counted
+ *  ... on failure to accept the message: await dedup.release(message.id);
+ */
+
+const { getDefaultAdapter } = require('./storage');
+const metrics = require('./metrics');
+
+const retentionMinutes = parseInt(process.env.DEDUP_RETENTION_MINUTES || '1440', 10);
+const KEY_PREFIX = 'dedup:';
+
+let adapter = null;
+
+function _adapter() {
+  if (!adapter) adapter = getDefaultAdapter();
+  return adapter;
+}
+
+/** useAdapter(adapter) - keep dedup ids in a different backend than sessions. */
+function useAdapter(next) {
+  adapter = next;
+}
+
+/**
+ * claim(messageId) -> Boolean
+ * true the first time an id is seen within the retention window, false for duplicates.
+ * Atomic on every backend, so two concurrent deliveries can't both win.
+ */
+async function claim(messageId) {
+  if (!messageId) return true; // nothing to key on; let it through
+  const fresh = await _adapter().setIfAbsent(KEY_PREFIX + messageId, Date.now(), retentionMinutes * 60 * 1000);
+  if (!fresh) {
+    await metrics.increment('webhook.duplicates');
+    console.log(`dedup: dropped duplicate message ${messageId}`);
+  }
+  return fresh;
+}
+
+/** release(messageId) - forget a claim, e.g. when the message could not be queued. */
+async function release(messageId) {
+  if (!messageId) return;
+  await _adapter().del(KEY_PREFIX + messageId);
+}
+
+module.exports = { claim, release, useAdapter };
@@ -0,0 +1,164 @@
+/**
+ * delivery-tracker.js
+ * Tracks outbound WhatsApp messages by the `wamid` the Cloud API returns and matches
+ * status webhooks (sent / delivered / read / failed) back to them.
+ *
+ * Records live in the storage adapter (storage/index.js) for DELIVERY_RETENTION_DAYS:
+ *  delivery:<wamid>   { wamid, to, kind, tag, status, error, history: [{status, ts}], createdAt, updatedAt }
+ *  broadcast:<id>     { id, from, text, createdAt, recipients: [{ to, wamid, error }] }
+ *
+ * Usage:
+ *  await tracker.recordOutbound({ wamid, to, kind: 'text', tag });   // whatsapp-utils does this
+ *  await tracker.applyStatus(status);                                // from value.statuses[]
+ *  tracker.onFailed((record, error) => { ... });                     // error = { code, title, message }
+ *  const report = await tracker.getBroadcastReport(id);
+ */
+
+const crypto = require('crypto');
+const { getDefaultAdapter } = require('./storage');
+const metrics = require('./metrics');
+
+const retentionDays = parseInt(process.env.DELIVERY_RETENTION_DAYS || '7', 10);
+const retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+const DELIVERY_PREFIX = 'delivery:';
+const BROADCAST_PREFIX = 'broadcast:';
+const LAST_BROADCAST_KEY = 'broadcast-last';
+
+// statuses only move forward; 'failed' can arrive at any point
+const STATUS_RANK = { pending: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+let adapter = null;
+const failedHooks = [];
+
+function _adapter() {
+  if (!adapter) adapter = getDefaultAdapter();
+  return adapter;
+}
+
+function useAdapter(next) {
+  adapter = next;
+}
+
+/** onFailed(fn) - fn(record, error) runs for every `failed` status; error has the Cloud API code. */
+function onFailed(fn) {
+  failedHooks.push(fn);
+}
+
+async function recordOutbound({ wamid, to, kind = 'text', tag = null }) {
+  if (!wamid) return null;
+  const now = Date.now();
+  const record = {
+    wamid,
+    to: String(to),
+    kind,
+    tag,
+    status: 'pending',
+    error: null,
+    history: [{ status: 'pending', ts: now }],
+    createdAt: now,
+    updatedAt: now
+  };
+  await _adapter().set(DELIVERY_PREFIX + wamid, record, retentionMs);
+  return record;
+}
+
+async function getDelivery(wamid) {
+  return _adapter().get(DELIVERY_PREFIX + wamid);
+}
+
+/**
+ * applyStatus(status)
+ * status is one entry of a webhook's value.statuses[]:
+ *  { id: 'wamid...', status: 'delivered', timestamp: '1700000000', recipient_id, errors: [{ code, title, message }] }
+ * Returns the updated record, or null for messages we didn't send (or no longer remember).
+ */
+async function applyStatus(status) {
+  if (!status || !status.id) return null;
+  const record = await getDelivery(status.id);
+  if (!record) return null;
+
+  const ts = status.timestamp ? parseInt(status.timestamp, 10) * 1000 : Date.now();
+  record.history.push({ status: status.status, ts });
+  if ((STATUS_RANK[status.status] ?? -1) > (STATUS_RANK[record.status] ?? -1)) {
+    record.status = status.status;
+  }
+  let error = null;
+  if (status.status === 'failed') {
+    const e = (status.errors && status.errors[0]) || {};
+    error = {
+      code: e.code ?? null,
+      title: e.title || null,
+      message: e.message || e.error_data?.details || null
+    };
+    record.error = error;
+  }
+  record.updatedAt = Date.now();
+  await _adapter().set(DELIVERY_PREFIX + record.wamid, record, retentionMs);
+  await metrics.increment(`delivery.${status.status}`);
+
+  if (error) {
+    for (const hook of failedHooks) {
+      try {
+        await hook(record, error);
+      } catch (err) {
+        console.error('delivery-tracker: onFailed hook error', err?.message || err);
+      }
+    }
+  }
+  return record;
+}
+
+/** createBroadcast({ from, text }) -> id */
+async function createBroadcast({ from, text }) {
+  const id = `bc_${Date.now().toString(36)}_${crypto.randomBytes(2).toString('hex')}`;
+  await _adapter().set(BROADCAST_PREFIX + id, { id, from: String(from), text, createdAt: Date.now(), recipients: [] }, retentionMs);
+  await _adapter().set(LAST_BROADCAST_KEY, id, retentionMs);
+  return id;
+}
+
+/** addBroadcastRecipient(id, { to, wamid, error }) - wamid when the send was accepted, error when not. */
+async function addBroadcastRecipient(id, { to, wamid = null, error = null }) {
+  const bc = await _adapter().get(BROADCAST_PREFIX + id);
+  if (!bc) return;
+  bc.recipients.push({ to: String(to), wamid, error });
+  await _adapter().set(BROADCAST_PREFIX + id, bc, retentionMs);
+}
+
+async function getLastBroadcastId() {
+  return _adapter().get(LAST_BROADCAST_KEY);
+}
+
+/**
+ * getBroadcastReport(id) -> { id, createdAt, text, counts: {status: n}, recipients: [{ to, status, error }] } | null
+ * Recipients whose send was rejected outright are reported as 'failed'.
+ */
+async function getBroadcastReport(id) {
+  const bc = await _adapter().get(BROADCAST_PREFIX + id);
+  if (!bc) return null;
+  const recipients = [];
+  const counts = {};
+  for (const r of bc.recipients) {
+    let status = 'failed';
+    let error = r.error ? { code: null, title: null, message: r.error } : null;
+    if (r.wamid) {
+      const d = await getDelivery(r.wamid);
+      status = d ? d.status : 'unknown';
+      error = d ? d.error : null;
+    }
+    counts[status] = (counts[status] || 0) + 1;
+    recipients.push({ to: r.to, status, error });
+  }
+  return { id: bc.id, createdAt: bc.createdAt, text: bc.text, counts, recipients };
+}
+
+module.exports = {
+  useAdapter,
+  onFailed,
+  recordOutbound,
+  getDelivery,
+  applyStatus,
+  createBroadcast,
+  addBroadcastRecipient,
+  getLastBroadcastId,
+  getBroadcastReport
+};
@@ -0,0 +1,121 @@
+/**
+ * embeddings.js
+ * Text embeddings for similarity search (user-memory.js, and anything else that needs a vector).
+ *
+ * Backends, chosen with EMBEDDINGS_PROVIDER (auto-detected when unset):
+ *  - openai             : POST /v1/embeddings with OPENAI_API_KEY (EMBEDDINGS_MODEL, default text-embedding-3-small)
+ *  - openai-compatible  : same API on LLM_BASE_URL or EMBEDDINGS_BASE_URL (Ollama, llama.cpp, vLLM...)
+ *  - local              : hashed bag-of-words vectors computed in-process; no network, deterministic,
+ *                         good enough for short facts and handy in tests
+ *
+ * Usage:
+ *  const [vec] = await embeddings.embed(['I am vegetarian']);
+ *  embeddings.useEmbedder({ name: 'stub', embed: async (texts) => texts.map(...) });   // tests
+ *
+ * Every vector is L2-normalized, so cosine similarity is a plain dot product (see vector-index.js).
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const LOCAL_DIMENSIONS = 256;
+
+let embedder; // undefined = not resolved yet
+
+function normalize(vec) {
+  const norm = Math.sqrt(vec.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vec.map((v) => v / norm);
+}
+
+function hashToIndex(token) {
+  return crypto.createHash('md5').update(token).digest().readUInt32LE(0);
+}
+
+// common words carry no meaning for matching facts and questions
+const STOPWORDS = new Set(('a an and are as at be but by do does for from has have he her his i i\'m im in is it its me my ' +
+  'of on or our she so that the their them they this to user user\'s was we what when where which who why will with ' +
+  'you your am can could should would about just').split(' '));
+
+/**
+ * localEmbedding(text) - feature-hashed content words (crudely singularized), signed to reduce
+ * collisions. Only shared words count, so it suits short facts and keyword-ish questions.
+ */
+function localEmbedding(text) {
+  const vec = new Array(LOCAL_DIMENSIONS).fill(0);
+  const words = (String(text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+    .filter((w) => !STOPWORDS.has(w))
+    .map((w) => (w.length > 3 ? w.replace(/'s$/, '').replace(/(?<!s)s$/, '') : w));
+  for (const f of words) {
+    const h = hashToIndex(f);
+    vec[h % LOCAL_DIMENSIONS] += (h & 0x80000000) ? -1 : 1;
+  }
+  return normalize(vec);
+}
+
+function createLocalEmbedder() {
+  return { name: `local-${LOCAL_DIMENSIONS}`, embed: async (texts) => texts.map(localEmbedding) };
+}
+
+function createApiEmbedder({ baseUrl, apiKey, model, name }) {
+  const url = `${baseUrl.replace(/\/$/, '')}/embeddings`;
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  return {
+    name: `${name}:${model}`,
+    embed: async (texts) => {
+      const resp = await axios.post(url, { model, input: texts }, { headers, timeout: 30000 });
+      const rows = (resp.data?.data || []).slice().sort((a, b) => a.index - b.index);
+      if (rows.length !== texts.length) throw new Error(`embeddings: expected ${texts.length} vectors, got ${rows.length}`);
+      return rows.map((r) => normalize(r.embedding));
+    }
+  };
+}
+
+// env is read on first use so dotenv.config() may run after this module is required
+function getEmbedder() {
+  if (embedder !== undefined) return embedder;
+  let name = (process.env.EMBEDDINGS_PROVIDER || '').trim().toLowerCase();
+  if (!name) {
+    if (process.env.OPENAI_API_KEY && !process.env.LLM_BASE_URL) name = 'openai';
+    else if (process.env.EMBEDDINGS_BASE_URL || process.env.LLM_BASE_URL) name = 'openai-compatible';
+    else name = 'local';
+  }
+  if (name === 'openai' && process.env.OPENAI_API_KEY) {
+    embedder = createApiEmbedder({
+      baseUrl: process.env.EMBEDDINGS_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.EMBEDDINGS_MODEL || 'text-embedding-3-small',
+      name
+    });
+  } else if (name === 'openai-compatible' && (process.env.EMBEDDINGS_BASE_URL || process.env.LLM_BASE_URL)) {
+    embedder = createApiEmbedder({
+      baseUrl: process.env.EMBEDDINGS_BASE_URL || process.env.LLM_BASE_URL,
+      apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+      model: process.env.EMBEDDINGS_MODEL || 'nomic-embed-text',
+      name
+    });
+  } else {
+    if (name !== 'local') console.warn(`embeddings: provider "${name}" is unknown or missing its key/URL; using local embeddings.`);
+    embedder = createLocalEmbedder();
+  }
+  return embedder;
+}
+
+/** useEmbedder({ name, embed(texts) -> [vector] }) - swap the backend, e.g. a stub in tests. */
+function useEmbedder(next) {
+  embedder = next;
+}
+
+/** embed(texts) -> [vector]; a single string is accepted too. */
+async function embed(texts) {
+  const list = Array.isArray(texts) ? texts : [texts];
+  if (!list.length) return [];
+  return getEmbedder().embed(list.map((t) => String(t || '')));
+}
+
+/** modelName() - identifies the vector space; vectors from different models can't be compared. */
+function modelName() {
+  return getEmbedder().name;
+}
+
+module.exports = { embed, modelName, useEmbedder, localEmbedding };
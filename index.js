@@ -4,16 +4,28 @@ const crypto = require('crypto');
 const axios = require('axios');
 const dotenv = require('dotenv');
 
+// before the local modules: job-queue, dedup-store, delivery-tracker and session-store read env when loaded
+dotenv.config();
+
 const openaiClient = require('./openai-client');
 const sessionStore = require('./session-store');
-
-dotenv.config();
+const { getDefaultQueue } = require('./job-queue');
+const { markdownToWhatsApp, splitMessage } = require('./message-formatter');
+const dedup = require('./dedup-store');
+const roles = require('./roles');
+const metrics = require('./metrics');
+const serviceWindow = require('./service-window');
+const rateLimiter = require('./rate-limiter');
+const userMemory = require('./user-memory');
+const knowledgeBase = require('./knowledge-base');
+const moderation = require('./moderation');
 
 const {
   WHATSAPP_PHONE_NUMBER_ID,
   WHATSAPP_ACCESS_TOKEN,
   VERIFY_TOKEN,
   APP_SECRET,
+  QUEUE_CONCURRENCY = '4',
   PORT = 3000
 } = process.env;
 
@@ -58,18 +70,117 @@ function verifySignature(req) {
 
 async function sendTextMessage(toPhoneNumber, text) {
   const url = `https://graph.facebook.com/v17.0/${WHATSAPP_PHONE_NUMBER_ID}/messages`;
-  const payload = {
-    messaging_product: 'whatsapp',
-    to: toPhoneNumber,
-    text: { body: text }
-  };
   const headers = {
     Authorization: `Bearer ${WHATSAPP_ACCESS_TOKEN}`,
     'Content-Type': 'application/json'
   };
-  await axios.post(url, payload, { headers, timeout: 60000 });
+  // replies over WhatsApp's body limit go out as numbered parts, in order
+  for (const part of splitMessage(text)) {
+    const payload = {
+      messaging_product: 'whatsapp',
+      to: toPhoneNumber,
+      text: { body: part }
+    };
+    await axios.post(url, payload, { headers, timeout: 60000 });
+  }
 }
 
+function extractUserText(message) {
+  if (message.type === 'text' && message.text) {
+    return message.text.body;
+  } else if (message.type === 'interactive' && message.interactive) {
+    // this server has no commands, so the model gets the option the user saw
+    const reply = message.interactive.button_reply || message.interactive.list_reply;
+    return reply ? reply.title || reply.id || '' : '';
+  } else if (message.type === 'image' && message.image && message.image.caption) {
+    return message.image.caption;
+  }
+  return `[${message.type} message received]`;
+}
+
+// Queue handler: runs for each persisted message; throwing schedules a retry.
+async function processJob(job) {
+  const { message } = job.payload;
+  const from = message.from; // phone number of sender
+  const state = job.state || {};
+
+  if (!openaiClient.isConfigured()) {
+    await sendTextMessage(from, 'AI chat is not enabled on this server.');
+    return;
+  }
+
+  if (!state.reply) {
+    // blocked messages never reach the model (moderation.js); warnings still get a reply
+    if (!state.moderated) {
+      const verdict = await moderation.review(extractUserText(message), { user: from, source: 'inbound' });
+      if (verdict.action === 'block' || verdict.action === 'warn') await sendTextMessage(from, moderation.notice(verdict));
+      if (verdict.action === 'block') return;
+      state.moderated = true;
+      await job.checkpoint(state);
+    }
+
+    // per-user and global limits on paid LLM calls (rate-limiter.js)
+    if (!state.rateChecked) {
+      const isAdmin = roles.rank(await roles.getRole(from)) >= roles.rank('admin');
+      const rate = await rateLimiter.consume(from, 'chat', { exempt: isAdmin });
+      if (!rate.ok) {
+        if (rate.notify) await sendTextMessage(from, rateLimiter.cooldownMessage(rate));
+        return;
+      }
+      state.rateChecked = true;
+      await job.checkpoint(state);
+    }
+
+    // Append message to session store (once, even if the job is retried)
+    if (!state.userRecorded) {
+      const userText = extractUserText(message);
+      if (userText && userText.trim()) {
+        await sessionStore.appendUserMessage(from, userText.trim());
+      } else {
+        await sessionStore.appendUserMessage(from, `[${message.type} message received]`);
+      }
+      state.userRecorded = true;
+      await job.checkpoint(state);
+    }
+
+    // Build conversation and call OpenAI
+    const convo = await sessionStore.getConversationForOpenAI(from);
+    try {
+      const generated = await openaiClient.generateReply(convo, { command: 'chat', user: from });
+      // blocked replies are replaced before they reach the history or the user
+      state.reply = await moderation.screenReply(generated, { user: from });
+    } catch (err) {
+      // over the user's token quota (usage-tracker.js): tell them instead of retrying
+      if (err.code !== 'QUOTA_EXCEEDED') throw err;
+      await sendTextMessage(from, err.message);
+      return;
+    }
+    await sessionStore.appendAssistantMessage(from, state.reply);
+    await userMemory.learnFrom(from, extractUserText(message));
+    await job.checkpoint(state);
+  }
+
+  // Send the reply back over WhatsApp
+  await sendTextMessage(from, markdownToWhatsApp(state.reply));
+}
+
+// Once retries are exhausted, at least tell the user something went wrong
+async function handleDeadLetter(job) {
+  try {
+    await sendTextMessage(job.payload.message.from, "Sorry, I couldn't create a reply at the moment.");
+  } catch (err) {
+    console.error('Failed to send message via WhatsApp Cloud API:', err?.response?.data || err?.message || err);
+  }
+}
+
+// long-term memories relevant to the message are added to the conversation (MEMORY_ENABLED)
+sessionStore.addContextProvider(userMemory.contextFor);
+// excerpts from the document knowledge base that match the message (knowledge-base.js)
+sessionStore.addContextProvider(knowledgeBase.contextFor);
+knowledgeBase.syncFolder().catch((err) => console.error('knowledge-base: folder sync failed', err?.message || err));
+
+const queue = getDefaultQueue();
+
 // Webhook endpoint
 app.post('/webhook', async (req, res) => {
   // Verify signature (if APP_SECRET set)
@@ -78,66 +189,42 @@ app.post('/webhook', async (req, res) => {
     return res.sendStatus(403);
   }
 
-  // Acknowledge quickly
-  res.sendStatus(200);
-
+  // Persist every message before acknowledging; on failure Meta re-delivers
   try {
     const body = req.body;
-    if (!body.entry) return;
-
-    for (const entry of body.entry) {
-      if (!entry.changes) continue;
-      for (const change of entry.changes) {
+    for (const entry of body.entry || []) {
+      for (const change of entry.changes || []) {
         const value = change.value;
         if (!value || !value.messages) continue;
         for (const message of value.messages) {
-          const from = message.from; // phone number of sender
-          let userText = '';
-
-          if (message.type === 'text' && message.text) {
-            userText = message.text.body;
-          } else if (message.type === 'interactive' && message.interactive) {
-            if (message.interactive.type === 'button' && message.interactive.button) {
-              userText = message.interactive.button.text || message.interactive.button.id;
-            } else if (message.interactive.type === 'list' && message.interactive.list_reply) {
-              userText = message.interactive.list_reply.title || message.interactive.list_reply.id;
-            }
-          } else if (message.type === 'image' && message.image && message.image.caption) {
-            userText = message.image.caption;
-          } else {
-            userText = `[${message.type} message received]`;
-          }
-
-          // Append message to session store
-          if (userText && userText.trim()) {
-            sessionStore.appendUserMessage(from, userText.trim());
-          } else {
-            sessionStore.appendUserMessage(from, `[${message.type} message received]`);
+          // blocked users (roles.js) are dropped before any queueing or AI work
+          if (await roles.isBlocked(message.from)) {
+            await metrics.increment('webhook.blocked');
+            continue;
           }
-
-          // Build conversation and call OpenAI
-          const convo = sessionStore.getConversationForOpenAI(from);
-          let reply = "Sorry, I couldn't create a reply at the moment.";
+          // every inbound message opens the 24-hour window for free-form replies (service-window.js)
+          await serviceWindow.recordInbound(message.from, message.timestamp);
+          // Meta re-delivers on slow acks / network drops: process each message id once
+          if (!(await dedup.claim(message.id))) continue;
           try {
-            reply = await openaiClient.generateReply(convo);
-            sessionStore.appendAssistantMessage(from, reply);
+            await queue.enqueue(message.from, { message });
           } catch (err) {
-            console.error('OpenAI error:', err?.message || err);
-            // Keep default reply or send an apology
-          }
-
-          // Send the reply back over WhatsApp
-          try {
-            await sendTextMessage(from, reply);
-          } catch (err) {
-            console.error('Failed to send message via WhatsApp Cloud API:', err?.response?.data || err?.message || err);
+            await dedup.release(message.id);
+            throw err;
           }
         }
       }
     }
   } catch (err) {
-    console.error('Webhook handler error:', err);
+    console.error('Failed to enqueue webhook:', err);
+    return res.sendStatus(500);
   }
+  res.sendStatus(200);
+});
+
+queue.start(processJob, {
+  concurrency: parseInt(QUEUE_CONCURRENCY, 10),
+  onDeadLetter: handleDeadLetter
 });
 
 app.listen(PORT, () => {
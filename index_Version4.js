@@ -2,11 +2,14 @@
  * index.js
  * Integration-ready webhook that:
  *  - verifies webhook (GET /webhook)
- *  - handles incoming message webhooks (POST /webhook)
- *  - stores media metadata into sessionStore.appendMedia
- *  - if message text starts with '/', runs commands.handleCommand
- *  - otherwise forwards conversation to OpenAI via openaiClient
- *  - serves downloaded media at /media
+ *  - writes incoming messages (POST /webhook) to the durable job queue before acknowledging
+ *  - applies message status callbacks (sent/delivered/read/failed) to delivery-tracker.js
+ *  - records each sender's last message time for the 24-hour customer-service window (service-window.js)
+ *  - runs queue workers in-process (message-handler.js: media metadata, commands, OpenAI replies)
+ *    unless WORKER_MODE=separate, in which case run `node worker.js` alongside; the same
+ *    processes send scheduled broadcast campaigns (campaigns.js) and close timed polls (polls.js)
+ *  - serves downloaded media at /media through signed, expiring links and sweeps old files (media-library.js)
+ *  - indexes the knowledge folder at startup (knowledge-base.js)
  */
 
 const express = require('express');
@@ -18,16 +21,26 @@ const fs = require('fs');
 
 dotenv.config();
 
-const { sendText, sendInteractive } = require('./whatsapp-utils');
-const openaiClient = require('./openai-client');
-const sessionStore = require('./session-store');
-const commands = require('./commands');
+const { getDefaultQueue } = require('./job-queue');
+const storage = require('./storage');
+const dedup = require('./dedup-store');
+const roles = require('./roles');
+const metrics = require('./metrics');
+const serviceWindow = require('./service-window');
+const deliveryTracker = require('./delivery-tracker');
+const { processJob, handleDeadLetter } = require('./message-handler');
+const knowledgeBase = require('./knowledge-base');
+const campaigns = require('./campaigns');
+const polls = require('./polls');
+const mediaLibrary = require('./media-library');
 
 const {
   WHATSAPP_PHONE_NUMBER_ID,
   WHATSAPP_ACCESS_TOKEN,
   VERIFY_TOKEN,
   APP_SECRET,
+  WORKER_MODE = 'inline',
+  QUEUE_CONCURRENCY = '4',
   PORT = 3000
 } = process.env;
 
@@ -35,6 +48,11 @@ if (!WHATSAPP_PHONE_NUMBER_ID || !WHATSAPP_ACCESS_TOKEN || !VERIFY_TOKEN) {
   console.error('Missing required configuration. See .env.example');
   process.exit(1);
 }
+// the web server and the workers must see the same sessions, service windows, media records and counters
+if (WORKER_MODE === 'separate' && !storage.isShared()) {
+  console.error('WORKER_MODE=separate needs SESSION_BACKEND=redis: memory and file storage are not shared between processes.');
+  process.exit(1);
+}
 
 const app = express();
 
@@ -43,10 +61,10 @@ app.use(bodyParser.json({
   verify: (req, res, buf) => { req.rawBody = buf; }
 }));
 
-// serve media directory
+// media files are only served to whoever holds a signed link (media-library.signedUrl)
 const MEDIA_DIR = path.join(process.cwd(), 'media');
 if (!fs.existsSync(MEDIA_DIR)) fs.mkdirSync(MEDIA_DIR, { recursive: true });
-app.use('/media', express.static(MEDIA_DIR));
+app.get('/media/:filename', mediaLibrary.serveSigned);
 
 app.get('/', (req, res) => res.send('WhatsApp AI Chatbot running'));
 
@@ -70,24 +88,11 @@ function verifySignature(req) {
   catch (e) { return false; }
 }
 
-async function sendTextWrapper(to, text) {
-  try {
-    // sendText expects bare number or jid; it extracts bare digits.
-    return await sendText(to, text);
-  } catch (err) {
-    console.error('sendTextWrapper error', err?.response?.data || err?.message || err);
-    throw err;
-  }
-}
+const queue = getDefaultQueue();
 
-async function sendInteractiveWrapper(to, payload) {
-  try {
-    return await sendInteractive(to, payload);
-  } catch (err) {
-    console.error('sendInteractiveWrapper error', err?.response?.data || err?.message || err);
-    throw err;
-  }
-}
+deliveryTracker.onFailed((record, error) => {
+  console.error(`Delivery failed for ${record.wamid} to ${record.to}: [${error.code}] ${error.title || ''} ${error.message || ''}`.trim());
+});
 
 // Webhook endpoint
 app.post('/webhook', async (req, res) => {
@@ -95,108 +100,60 @@ app.post('/webhook', async (req, res) => {
     console.warn('Webhook signature verification failed');
     return res.sendStatus(403);
   }
-  // ack quickly
-  res.sendStatus(200);
 
+  // persist every message before acking; if that fails Meta will re-deliver
   try {
     const body = req.body;
-    if (!body.entry) return;
-
-    for (const entry of body.entry) {
-      if (!entry.changes) continue;
-      for (const change of entry.changes) {
+    for (const entry of body.entry || []) {
+      for (const change of entry.changes || []) {
         const value = change.value;
-        if (!value || !value.messages) continue;
+        if (!value) continue;
+        // delivery receipts for messages we sent
+        for (const status of value.statuses || []) {
+          await deliveryTracker.applyStatus(status);
+        }
+        if (!value.messages) continue;
         for (const message of value.messages) {
-          const from = message.from; // usually a phone number like "1555..."
-          let userText = '';
-
-          // handle text / interactive / captions
-          if (message.type === 'text' && message.text) {
-            userText = message.text.body;
-          } else if (message.type === 'interactive' && message.interactive) {
-            if (message.interactive.type === 'button' && message.interactive.button) {
-              userText = message.interactive.button.text || message.interactive.button.id;
-            } else if (message.interactive.type === 'list' && message.interactive.list_reply) {
-              userText = message.interactive.list_reply.title || message.interactive.list_reply.id;
-            }
-          } else if ((message.type === 'image' && message.image) ||
-                     (message.type === 'video' && message.video) ||
-                     (message.type === 'audio' && message.audio) ||
-                     (message.type === 'document' && message.document)) {
-            // Save media metadata to session store for /download
-            const mediaObj = {};
-            if (message.image) {
-              mediaObj.id = message.image.id;
-              mediaObj.mime_type = message.image.mime_type;
-              mediaObj.filename = message.image.filename || `image_${message.image.id}`;
-            } else if (message.video) {
-              mediaObj.id = message.video.id;
-              mediaObj.mime_type = message.video.mime_type;
-              mediaObj.filename = message.video.filename || `video_${message.video.id}.mp4`;
-            } else if (message.audio) {
-              mediaObj.id = message.audio.id;
-              mediaObj.mime_type = message.audio.mime_type;
-              mediaObj.filename = message.audio.filename || `audio_${message.audio.id}.ogg`;
-            } else if (message.document) {
-              mediaObj.id = message.document.id;
-              mediaObj.mime_type = message.document.mime_type;
-              mediaObj.filename = message.document.filename || `doc_${message.document.id}`;
-            }
-            sessionStore.appendMedia(from, mediaObj);
-            userText = (message.caption && message.caption.text) || '';
-          } else {
-            userText = `[${message.type} message received]`;
-          }
-
-          // build command context
-          const commandContext = {
-            sendText: async (to, text) => {
-              // sendTextWrapper expects bare or jid; use the original 'from' formatting allowed
-              return await sendTextWrapper(to, text);
-            },
-            sendInteractive: async (to, payload) => {
-              return await sendInteractiveWrapper(to, payload);
-            },
-            sessionStore,
-            openaiClient,
-            env_serve_base: process.env.SERVE_BASE_URL || ''
-          };
-
-          // If the message looks like a command, handle it locally
-          const cmdResult = await commands.handleCommand(from, userText, commandContext);
-          if (cmdResult && cmdResult.handled) {
-            // command handled; skip OpenAI flow
+          // blocked users (roles.js) are dropped before any queueing or AI work
+          if (await roles.isBlocked(message.from)) {
+            await metrics.increment('webhook.blocked');
             continue;
           }
-
-          // Not a command: normal conversational flow
-          if (userText && userText.trim()) sessionStore.appendUserMessage(from, userText.trim());
-          else sessionStore.appendUserMessage(from, `[${message.type} message received]`);
-
-          const convo = sessionStore.getConversationForOpenAI(from);
-          let reply = "Sorry, I couldn't create a reply at the moment.";
+          // every inbound message opens the 24-hour window for free-form replies (service-window.js)
+          await serviceWindow.recordInbound(message.from, message.timestamp);
+          // Meta re-delivers on slow acks / network drops: process each message id once
+          if (!(await dedup.claim(message.id))) continue;
           try {
-            reply = await openaiClient.generateReply(convo);
-            sessionStore.appendAssistantMessage(from, reply);
+            await queue.enqueue(message.from, { message });
           } catch (err) {
-            console.error('OpenAI error:', err?.message || err);
-          }
-
-          try {
-            const bareTo = String(from).replace(/\D/g, '');
-            await sendTextWrapper(bareTo, reply);
-          } catch (err) {
-            console.error('Failed to send message via WhatsApp Cloud API:', err?.response?.data || err?.message || err);
+            await dedup.release(message.id);
+            throw err;
           }
         }
       }
     }
   } catch (err) {
-    console.error('Webhook handler error:', err);
+    console.error('Failed to enqueue webhook:', err);
+    return res.sendStatus(500);
   }
+  res.sendStatus(200);
 });
 
+// index new or changed files in the knowledge folder; workers pick up the index file
+knowledgeBase.syncFolder().catch((err) => console.error('knowledge-base: folder sync failed', err?.message || err));
+
+// retention for ./media lives with the process that serves it
+mediaLibrary.startSweeper();
+
+if (WORKER_MODE !== 'separate') {
+  queue.start(processJob, {
+    concurrency: parseInt(QUEUE_CONCURRENCY, 10),
+    onDeadLetter: handleDeadLetter
+  });
+  campaigns.startRunner();
+  polls.startRunner();
+}
+
 app.listen(PORT, () => {
   console.log(`Server listening on port ${PORT}`);
 });
\ No newline at end of file
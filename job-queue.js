@@ -0,0 +1,344 @@
+/**
+ * job-queue.js
+ * Durable local job queue for inbound webhook messages.
+ *
+ * Every job is one JSON file, written (and fsync'ed) before the webhook is acknowledged:
+ *   <QUEUE_DIR>/pending/     waiting to run (or waiting for a retry backoff)
+ *   <QUEUE_DIR>/processing/  claimed by a worker (claim = atomic rename)
+ *   <QUEUE_DIR>/dead/        failed QUEUE_MAX_ATTEMPTS times (dead-letter store)
+ *
+ * File names start with the enqueue time so a directory listing is FIFO order.
+ * Jobs of the same sender never run concurrently and never overtake each other:
+ * while a sender has a job in flight (or an earlier job waiting for its retry),
+ * later jobs of that sender stay queued. This holds across processes sharing QUEUE_DIR,
+ * so the webhook server and one or more `node worker.js` processes can run side by side.
+ *
+ * Usage:
+ *  const { getDefaultQueue } = require('./job-queue');
+ *  const queue = getDefaultQueue();
+ *  await queue.enqueue(senderId, payload);          // durable once this resolves
+ *  queue.start(async (job) => { ... }, { concurrency: 4, onDeadLetter });
+ *
+ * A handler signals failure by throwing; the job is retried with exponential backoff.
+ * Long handlers can call `await job.checkpoint(state)` to persist progress in `job.state`
+ * so a retry can skip work that already succeeded (e.g. don't regenerate a reply that
+ * was generated but failed to send).
+ *
+ * A claimed job carries its worker's token and a lease (claimedAt) that the worker renews every
+ * QUEUE_LEASE_MS / 3 while the handler runs, however long it takes. Only when a worker stops
+ * renewing (it died) does another one put the job back in line. A worker that finds its claim
+ * gone leaves the job alone: checkpoint() throws JOB_LOST and the file is not touched again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  dir: process.env.QUEUE_DIR || path.join(process.cwd(), 'data', 'queue'),
+  maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5', 10),
+  backoffMs: parseInt(process.env.QUEUE_BACKOFF_MS || '2000', 10),
+  maxBackoffMs: parseInt(process.env.QUEUE_MAX_BACKOFF_MS || String(5 * 60 * 1000), 10),
+  leaseMs: parseInt(process.env.QUEUE_LEASE_MS || String(2 * 60 * 1000), 10),
+  pollMs: parseInt(process.env.QUEUE_POLL_MS || '1000', 10)
+};
+
+let seq = 0;
+
+async function writeFileDurable(target, data) {
+  const tmp = `${target}.${process.pid}.tmp`;
+  const fh = await fs.promises.open(tmp, 'w');
+  try {
+    await fh.writeFile(data);
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+  await fs.promises.rename(tmp, target);
+}
+
+async function readJob(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null; // claimed or finished meanwhile
+    throw err;
+  }
+}
+
+async function listJobFiles(dir) {
+  const names = await fs.promises.readdir(dir);
+  return names.filter((n) => n.endsWith('.json')).sort();
+}
+
+class JobQueue {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    const { dir } = this.options;
+    this.dirs = {
+      pending: path.join(dir, 'pending'),
+      processing: path.join(dir, 'processing'),
+      dead: path.join(dir, 'dead')
+    };
+    for (const d of Object.values(this.dirs)) fs.mkdirSync(d, { recursive: true });
+    this.handler = null;
+    this.concurrency = 1;
+    this.onDeadLetter = null;
+    this.active = new Map(); // file -> sender, jobs running in this process
+    this.timer = null;
+    this.ticking = false;
+    this.again = false;
+  }
+
+  /**
+   * enqueue(sender, payload) -> job
+   * Resolves once the job is on disk; only then is it safe to acknowledge the webhook.
+   */
+  async enqueue(sender, payload) {
+    const now = Date.now();
+    seq = (seq + 1) % 1e6;
+    const id = crypto.randomUUID();
+    const file = `${String(now).padStart(15, '0')}-${String(process.pid).padStart(7, '0')}-${String(seq).padStart(6, '0')}-${id}.json`;
+    const job = {
+      id,
+      file,
+      sender: String(sender),
+      payload,
+      attempts: 0,
+      availableAt: now,
+      createdAt: now,
+      claimedAt: null,
+      lastError: null,
+      state: null
+    };
+    await writeFileDurable(path.join(this.dirs.pending, file), JSON.stringify(job));
+    this._kick();
+    return job;
+  }
+
+  /**
+   * start(handler, { concurrency, onDeadLetter })
+   * handler(job) runs for each job; onDeadLetter(job, err) runs once a job is given up on.
+   */
+  start(handler, { concurrency = 4, onDeadLetter = null } = {}) {
+    this.handler = handler;
+    this.concurrency = Math.max(1, concurrency);
+    this.onDeadLetter = onDeadLetter;
+    if (!this.timer) {
+      this.timer = setInterval(() => this._kick(), this.options.pollMs);
+      this.timer.unref();
+    }
+    this._kick();
+  }
+
+  /** stop() - stop claiming new jobs and wait for in-flight ones to finish. */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.handler = null;
+    while (this.active.size) await new Promise((r) => setTimeout(r, 50));
+  }
+
+  async stats() {
+    const [pending, processing, dead] = await Promise.all([
+      listJobFiles(this.dirs.pending),
+      listJobFiles(this.dirs.processing),
+      listJobFiles(this.dirs.dead)
+    ]);
+    return { pending: pending.length, processing: processing.length, dead: dead.length };
+  }
+
+  async listDead() {
+    const out = [];
+    for (const name of await listJobFiles(this.dirs.dead)) {
+      const job = await readJob(path.join(this.dirs.dead, name));
+      if (job) out.push(job);
+    }
+    return out;
+  }
+
+  /** requeueDead(id) - move a dead-lettered job back to pending with a fresh attempt budget. */
+  async requeueDead(id) {
+    const job = (await this.listDead()).find((j) => j.id === id);
+    if (!job) return false;
+    job.attempts = 0;
+    job.availableAt = Date.now();
+    job.lastError = null;
+    await writeFileDurable(path.join(this.dirs.dead, job.file), JSON.stringify(job));
+    await fs.promises.rename(path.join(this.dirs.dead, job.file), path.join(this.dirs.pending, job.file));
+    this._kick();
+    return true;
+  }
+
+  _kick() {
+    if (!this.handler) return;
+    if (this.ticking) { this.again = true; return; }
+    this.ticking = true;
+    this._tick()
+      .catch((err) => console.error('job-queue: poll failed', err?.message || err))
+      .finally(() => {
+        this.ticking = false;
+        if (this.again) { this.again = false; this._kick(); }
+      });
+  }
+
+  async _tick() {
+    if (this.active.size >= this.concurrency) return;
+    const now = Date.now();
+
+    // senders with a job in flight anywhere (this process or another one) are blocked
+    const blocked = new Set(this.active.values());
+    for (const name of await listJobFiles(this.dirs.processing)) {
+      if (this.active.has(name)) continue;
+      const file = path.join(this.dirs.processing, name);
+      const job = await readJob(file);
+      if (!job) continue;
+      if (job.claimedAt && now - job.claimedAt > this.options.leaseMs) {
+        // the worker that claimed it died: put it back in line
+        console.warn(`job-queue: lease expired for job ${job.id}, requeueing`);
+        job.claimedAt = null;
+        job.owner = null;
+        await writeFileDurable(file, JSON.stringify(job));
+        await fs.promises.rename(file, path.join(this.dirs.pending, name)).catch(() => {});
+      }
+      blocked.add(job.sender);
+    }
+
+    for (const name of await listJobFiles(this.dirs.pending)) {
+      if (this.active.size >= this.concurrency) break;
+      const job = await readJob(path.join(this.dirs.pending, name));
+      if (!job || blocked.has(job.sender)) continue;
+      // earliest job of this sender: later ones wait for it even if it is only backing off
+      blocked.add(job.sender);
+      if (job.availableAt > now) continue;
+      try {
+        await fs.promises.rename(path.join(this.dirs.pending, name), path.join(this.dirs.processing, name));
+      } catch (err) {
+        if (err.code === 'ENOENT') continue; // another worker claimed it
+        throw err;
+      }
+      if (await this._earlierInFlight(job.sender, name)) {
+        // another worker claimed an earlier job of this sender while we were listing: give this one back
+        await fs.promises.rename(path.join(this.dirs.processing, name), path.join(this.dirs.pending, name)).catch(() => {});
+        continue;
+      }
+      this.active.set(name, job.sender);
+      this._run(job).finally(() => {
+        this.active.delete(name);
+        this._kick();
+      });
+    }
+  }
+
+  /** True when an older job of this sender is already in processing (claimed by any worker). */
+  async _earlierInFlight(sender, name) {
+    for (const other of await listJobFiles(this.dirs.processing)) {
+      if (other >= name) break;
+      const job = await readJob(path.join(this.dirs.processing, other));
+      if (job && job.sender === sender) return true;
+    }
+    return false;
+  }
+
+  async _run(job) {
+    const file = path.join(this.dirs.processing, job.file);
+    const token = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    job.attempts += 1;
+    job.claimedAt = Date.now();
+    job.owner = token;
+    await writeFileDurable(file, JSON.stringify(job));
+
+    // lease renewals and checkpoints are written one at a time, and only while the claim is ours
+    let lost = false;
+    let writing = Promise.resolve();
+    const renew = () => {
+      writing = writing.then(async () => {
+        if (lost) return;
+        const current = await readJob(file);
+        if (!current || current.owner !== token) {
+          lost = true;
+          return;
+        }
+        job.claimedAt = Date.now();
+        await writeFileDurable(file, JSON.stringify(job));
+      });
+      return writing;
+    };
+    const lostError = () => {
+      const err = new Error(`job ${job.id} was taken over by another worker`);
+      err.code = 'JOB_LOST';
+      return err;
+    };
+    const heartbeat = setInterval(() => {
+      renew().catch((err) => console.error('job-queue: lease renewal failed', err?.message || err));
+    }, Math.max(1000, Math.floor(this.options.leaseMs / 3)));
+    heartbeat.unref();
+
+    const runnable = {
+      ...job,
+      checkpoint: async (state) => {
+        job.state = state;
+        runnable.state = state;
+        await renew();
+        if (lost) throw lostError();
+      }
+    };
+
+    let failure = null;
+    try {
+      await this.handler(runnable);
+    } catch (err) {
+      failure = err;
+    }
+    clearInterval(heartbeat);
+    await writing.catch(() => {});
+    if (!lost) {
+      const current = await readJob(file);
+      lost = !current || current.owner !== token;
+    }
+    if (lost) {
+      // requeued by another worker while we ran: the file is theirs now
+      console.warn(`job-queue: job ${job.id} was taken over by another worker, leaving it to them`);
+      return;
+    }
+
+    if (!failure) {
+      try {
+        await fs.promises.unlink(file);
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        console.warn(`job-queue: job ${job.id} finished but was already taken over by another worker`);
+      }
+      return;
+    }
+
+    job.lastError = String(failure?.message || failure);
+    job.claimedAt = null;
+    job.owner = null;
+    if (job.attempts >= this.options.maxAttempts) {
+      console.error(`job-queue: job ${job.id} failed ${job.attempts} times, moving to dead-letter`, job.lastError);
+      job.deadAt = Date.now();
+      await writeFileDurable(file, JSON.stringify(job));
+      await fs.promises.rename(file, path.join(this.dirs.dead, job.file));
+      if (typeof this.onDeadLetter === 'function') {
+        try { await this.onDeadLetter(job, failure); } catch (e) { console.error('job-queue: onDeadLetter error', e?.message || e); }
+      }
+    } else {
+      const delay = Math.min(this.options.backoffMs * 2 ** (job.attempts - 1), this.options.maxBackoffMs);
+      job.availableAt = Date.now() + delay;
+      console.warn(`job-queue: job ${job.id} failed (attempt ${job.attempts}), retrying in ${delay}ms`, job.lastError);
+      await writeFileDurable(file, JSON.stringify(job));
+      await fs.promises.rename(file, path.join(this.dirs.pending, job.file));
+    }
+  }
+}
+
+let defaultQueue = null;
+
+/** Shared queue configured from the environment (QUEUE_DIR etc.). */
+function getDefaultQueue() {
+  if (!defaultQueue) defaultQueue = new JobQueue();
+  return defaultQueue;
+}
+
+module.exports = { JobQueue, getDefaultQueue };
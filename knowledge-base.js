@@ -0,0 +1,389 @@
+/**
+ * knowledge-base.js
+ * Answers from our own documents (retrieval-augmented generation).
+ *
+ * Sources:
+ *  - files in KB_DIR (default ./knowledge, subfolders included), indexed at startup and by /kb sync;
+ *    changed files are indexed again and deleted files drop out of the index
+ *  - documents admins send on WhatsApp, added with /kb add (the last document they sent)
+ * Formats: .pdf (pdf-parse), .docx (mammoth), .md / .markdown, .txt
+ *
+ * Text is split into overlapping chunks (KB_CHUNK_CHARS, default 1000, with KB_CHUNK_OVERLAP 150),
+ * embedded with embeddings.js and kept in one JSON file, KB_INDEX_PATH (default ./data/kb-index.json):
+ *  { model, docs: { <id>: { id, name, source: 'folder'|'upload', path, hash, addedBy, addedAt, chunks } },
+ *    chunks: [{ docId, n, text, vector }] }
+ * The file is reloaded when another process (worker.js) rewrote it. When the embedding model
+ * changes, chunks are embedded again from their stored text.
+ *
+ * Answers cite the excerpts they use as [1], [2]... and list those sources at the end.
+ * The chat flow gets matching excerpts as context too (contextFor; KB_CHAT_CONTEXT=false turns that off).
+ * Config: KB_TOP_K (4), KB_MIN_SCORE (0.3 with API embeddings, 0.05 with local ones; API embeddings
+ * match paraphrased questions much better)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const embeddings = require('./embeddings');
+const { topK } = require('./vector-index');
+
+const TYPES = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text'
+};
+const MIME_TYPES = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/markdown': 'markdown',
+  'text/plain': 'text'
+};
+const EMBED_BATCH = 64;
+
+let index = null;
+let indexMtime = 0;
+let chain = Promise.resolve(); // serializes changes to the index file
+
+function config() {
+  return {
+    dir: process.env.KB_DIR || path.join(process.cwd(), 'knowledge'),
+    indexPath: process.env.KB_INDEX_PATH || path.join(process.cwd(), 'data', 'kb-index.json'),
+    chunkChars: parseInt(process.env.KB_CHUNK_CHARS || '1000', 10),
+    chunkOverlap: parseInt(process.env.KB_CHUNK_OVERLAP || '150', 10),
+    topK: parseInt(process.env.KB_TOP_K || '4', 10)
+  };
+}
+
+// hashed local vectors score far lower than API embeddings for the same match
+function minScore() {
+  if (process.env.KB_MIN_SCORE) return parseFloat(process.env.KB_MIN_SCORE);
+  return embeddings.modelName().startsWith('local') ? 0.05 : 0.3;
+}
+
+/** typeOf(filename, mimeType) -> 'pdf'|'docx'|'markdown'|'text'|null */
+function typeOf(filename, mimeType) {
+  const mime = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  return TYPES[path.extname(String(filename || '')).toLowerCase()] || MIME_TYPES[mime] || null;
+}
+
+/**
+ * extractText(buffer, { filename, mimeType }) -> String
+ * Throws an error with code KB_UNSUPPORTED for other formats.
+ */
+async function extractText(buffer, { filename, mimeType } = {}) {
+  const type = typeOf(filename, mimeType);
+  if (type === 'pdf') {
+    const pdfParse = require('pdf-parse');
+    return (await pdfParse(buffer)).text;
+  }
+  if (type === 'docx') {
+    const mammoth = require('mammoth');
+    return (await mammoth.extractRawText({ buffer })).value;
+  }
+  if (type === 'markdown' || type === 'text') return buffer.toString('utf8');
+  const err = new Error(`Unsupported document type: ${filename || mimeType || 'unknown'} (PDF, DOCX, Markdown or text only)`);
+  err.code = 'KB_UNSUPPORTED';
+  throw err;
+}
+
+function splitLong(paragraph, size) {
+  if (paragraph.length <= size) return [paragraph];
+  const pieces = [];
+  let current = '';
+  for (const sentence of paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph]) {
+    if (current && current.length + sentence.length > size) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+    while (current.length > size) {
+      pieces.push(current.slice(0, size).trim());
+      current = current.slice(size);
+    }
+  }
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+}
+
+/**
+ * chunkText(text, { size, overlap }) -> [String]
+ * Packs paragraphs into chunks of about `size` characters; each chunk repeats the last
+ * `overlap` characters of the previous one so a sentence cut at a boundary is still found.
+ */
+function chunkText(text, { size = config().chunkChars, overlap = config().chunkOverlap } = {}) {
+  const paragraphs = String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map((p) => p.replace(/[ \t]+/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap((p) => splitLong(p, Math.max(100, size - overlap)));
+  const chunks = [];
+  let current = '';
+  for (const p of paragraphs) {
+    if (current && current.length + p.length + 2 > size) {
+      chunks.push(current);
+      const tail = overlap > 0 ? current.slice(-overlap) : '';
+      current = tail.includes(' ') ? tail.slice(tail.indexOf(' ') + 1) : '';
+    }
+    current = current ? `${current}\n\n${p}` : p;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/* ---------- Index file ---------- */
+
+function emptyIndex() {
+  return { model: null, docs: {}, chunks: [] };
+}
+
+async function _load() {
+  const { indexPath } = config();
+  let stat = null;
+  try {
+    stat = await fs.promises.stat(indexPath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  if (!stat) {
+    if (!index) index = emptyIndex();
+    return index;
+  }
+  if (!index || stat.mtimeMs !== indexMtime) {
+    index = JSON.parse(await fs.promises.readFile(indexPath, 'utf8'));
+    indexMtime = stat.mtimeMs;
+  }
+  return index;
+}
+
+async function _save() {
+  const { indexPath } = config();
+  await fs.promises.mkdir(path.dirname(indexPath), { recursive: true });
+  const tmp = `${indexPath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(index));
+  await fs.promises.rename(tmp, indexPath);
+  indexMtime = (await fs.promises.stat(indexPath)).mtimeMs;
+}
+
+function _update(fn) {
+  const run = chain.then(async () => {
+    const idx = await _load();
+    const result = await fn(idx);
+    await _save();
+    return result;
+  });
+  chain = run.catch(() => {});
+  return run;
+}
+
+async function embedAll(texts) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH) {
+    vectors.push(...(await embeddings.embed(texts.slice(i, i + EMBED_BATCH))));
+  }
+  return vectors;
+}
+
+// vectors from another embedding model can't be compared: embed every chunk again
+async function _refreshVectors(idx) {
+  const model = embeddings.modelName();
+  if (idx.model === model || !idx.chunks.length) {
+    idx.model = model;
+    return;
+  }
+  const vectors = await embedAll(idx.chunks.map((c) => c.text));
+  idx.chunks.forEach((c, i) => { c.vector = vectors[i]; });
+  idx.model = model;
+}
+
+function docId(source, key) {
+  return crypto.createHash('sha1').update(`${source}:${key}`).digest('hex').slice(0, 10);
+}
+
+function publicDoc(doc) {
+  const { id, name, source, path: docPath, addedBy, addedAt, chunks } = doc;
+  return { id, name, source, path: docPath, addedBy, addedAt, chunks };
+}
+
+/* ---------- Ingestion ---------- */
+
+/**
+ * addDocument(buffer, { filename, mimeType, source, path, addedBy }) -> { doc, replaced }
+ * Extracts, chunks and embeds a document. An upload with the same name, or a folder file with
+ * the same path, replaces the earlier version.
+ */
+async function addDocument(buffer, { filename, mimeType, source = 'upload', path: docPath = null, addedBy = null } = {}) {
+  const name = path.basename(String(filename || 'document'));
+  const text = await extractText(buffer, { filename: name, mimeType });
+  const chunks = chunkText(text);
+  if (!chunks.length) throw new Error(`No text found in ${name} (a scanned PDF needs OCR first)`);
+  const vectors = await embedAll(chunks);
+  const hash = crypto.createHash('sha1').update(buffer).digest('hex');
+  const id = docId(source, docPath || name.toLowerCase());
+  return _update(async (idx) => {
+    await _refreshVectors(idx);
+    const replaced = Boolean(idx.docs[id]);
+    idx.chunks = idx.chunks.filter((c) => c.docId !== id);
+    chunks.forEach((t, n) => idx.chunks.push({ docId: id, n, text: t, vector: vectors[n] }));
+    idx.docs[id] = { id, name, source, path: docPath, hash, addedBy, addedAt: Date.now(), chunks: chunks.length };
+    return { doc: publicDoc(idx.docs[id]), replaced };
+  });
+}
+
+async function listFolder(dir) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const files = [];
+  for (const e of entries) {
+    if (e.name.startsWith('.')) continue;
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) files.push(...(await listFolder(full)));
+    else if (e.isFile() && typeOf(e.name)) files.push(full);
+  }
+  return files;
+}
+
+/**
+ * syncFolder() -> { added, updated, removed, unchanged, failed: [{ path, error }] }
+ * Brings the index in line with KB_DIR. Uploads are left alone.
+ */
+async function syncFolder() {
+  const { dir } = config();
+  const result = { added: 0, updated: 0, removed: 0, unchanged: 0, failed: [] };
+  const files = await listFolder(dir);
+  const seen = new Set();
+  for (const file of files) {
+    const rel = path.relative(dir, file).split(path.sep).join('/');
+    seen.add(docId('folder', rel));
+    try {
+      const buffer = await fs.promises.readFile(file);
+      const hash = crypto.createHash('sha1').update(buffer).digest('hex');
+      const existing = (await _load()).docs[docId('folder', rel)];
+      if (existing && existing.hash === hash) {
+        result.unchanged += 1;
+        continue;
+      }
+      await addDocument(buffer, { filename: path.basename(file), source: 'folder', path: rel });
+      result[existing ? 'updated' : 'added'] += 1;
+    } catch (err) {
+      console.error('knowledge-base: failed to index', rel, err?.message || err);
+      result.failed.push({ path: rel, error: err?.message || String(err) });
+    }
+  }
+  const gone = Object.values((await _load()).docs).filter((d) => d.source === 'folder' && !seen.has(d.id));
+  for (const doc of gone) {
+    await removeDocument(doc.id);
+    result.removed += 1;
+  }
+  return result;
+}
+
+/** listDocuments() -> [doc] in the order they were added */
+async function listDocuments() {
+  const idx = await _load();
+  return Object.values(idx.docs).sort((a, b) => a.addedAt - b.addedAt).map(publicDoc);
+}
+
+/**
+ * removeDocument(selector) -> doc|null
+ * selector: a 1-based number from listDocuments(), a document id or a file name.
+ */
+async function removeDocument(selector) {
+  const sel = String(selector || '').trim();
+  const docs = await listDocuments();
+  const doc = /^\d+$/.test(sel)
+    ? docs[parseInt(sel, 10) - 1]
+    : docs.find((d) => d.id === sel) || docs.find((d) => d.name.toLowerCase() === sel.toLowerCase() || d.path === sel);
+  if (!doc) return null;
+  await _update(async (idx) => {
+    delete idx.docs[doc.id];
+    idx.chunks = idx.chunks.filter((c) => c.docId !== doc.id);
+  });
+  return doc;
+}
+
+/* ---------- Retrieval ---------- */
+
+/**
+ * search(query, { k, minScore }) -> [{ text, score, doc: { id, name }, n }] best first
+ */
+async function search(query, { k = config().topK, minScore: min = minScore() } = {}) {
+  let idx = await _load();
+  if (!idx.chunks.length || !String(query || '').trim()) return [];
+  if (idx.model !== embeddings.modelName()) idx = await _update(async (i) => { await _refreshVectors(i); return i; });
+  const [vector] = await embeddings.embed([query]);
+  return topK(idx.chunks, vector, { k, minScore: min }).map(({ item, score }) => ({
+    text: item.text,
+    score,
+    n: item.n,
+    doc: { id: item.docId, name: idx.docs[item.docId]?.name || 'unknown' }
+  }));
+}
+
+function sourceLabel(hit) {
+  return `${hit.doc.name}, part ${hit.n + 1}`;
+}
+
+function excerpts(hits) {
+  return hits.map((h, i) => `[${i + 1}] (${sourceLabel(h)})\n${h.text}`).join('\n\n');
+}
+
+/**
+ * contextFor({ user, query }) -> String|null
+ * Context provider for session-store.addContextProvider: matching excerpts for the chat model.
+ */
+async function contextFor({ query }) {
+  if (process.env.KB_CHAT_CONTEXT === 'false' || !query) return null;
+  const hits = await search(query);
+  if (!hits.length) return null;
+  return 'Excerpts from our own documents that may answer the user. Prefer them over general knowledge, ' +
+    'cite the ones you use as [1], [2]... and end with a "Sources:" line naming them. ' +
+    'If they do not cover the question, say so rather than guessing.\n\n' + excerpts(hits);
+}
+
+/**
+ * ask(question, { user, openaiClient }) -> { answer, sources: [label], hits }
+ * Answers from the best matching excerpts only. Without an LLM the excerpts themselves are returned.
+ */
+async function ask(question, { user = null, openaiClient = null } = {}) {
+  const hits = await search(question);
+  if (!hits.length) return { answer: null, sources: [], hits };
+  const client = openaiClient || require('./openai-client');
+  if (!client.isConfigured()) {
+    return { answer: hits.map((h, i) => `[${i + 1}] ${h.text}`).join('\n\n'), sources: hits.map((h, i) => `[${i + 1}] ${sourceLabel(h)}`), hits };
+  }
+  const answer = await client.generateReply([
+    {
+      role: 'system',
+      content: 'Answer the question using only the numbered excerpts below. Cite every statement with the ' +
+        'excerpt number in brackets, e.g. [2]. If the excerpts do not contain the answer, say that the documents ' +
+        "don't cover it. Keep it short.\n\n" + excerpts(hits)
+    },
+    { role: 'user', content: question }
+  ], { command: 'kb', user, temperature: 0 });
+  const cited = [...new Set((String(answer).match(/\[(\d+)\]/g) || []).map((m) => parseInt(m.slice(1), 10)))]
+    .filter((n) => n >= 1 && n <= hits.length)
+    .sort((a, b) => a - b);
+  const used = cited.length ? cited : hits.map((h, i) => i + 1);
+  return { answer, sources: used.map((n) => `[${n}] ${sourceLabel(hits[n - 1])}`), hits };
+}
+
+module.exports = {
+  typeOf,
+  extractText,
+  chunkText,
+  addDocument,
+  syncFolder,
+  listDocuments,
+  removeDocument,
+  search,
+  contextFor,
+  ask
+};
@@ -0,0 +1,111 @@
+/**
+ * llm-providers/anthropic.js
+ * Provider for Anthropic-style Messages APIs (POST /v1/messages).
+ *
+ * The bot keeps history in Chat Completions shape ({role: system|user|assistant}); this
+ * provider moves system messages into the top-level `system` field and merges
+ * consecutive turns of the same role, which the Messages API does not accept.
+ * Tool turns are translated too: assistant `tool_calls` become tool_use blocks and
+ * `role: 'tool'` results become tool_result blocks in a user turn. Image parts
+ * ({ type: 'image_url' } with a data: or https URL) become image blocks.
+ *
+ * createProvider({ apiKey, baseUrl }) -> { name, chat(messages, params) }
+ */
+
+const axios = require('axios');
+
+function toImageBlock(part) {
+  const url = part.image_url?.url || '';
+  const data = url.match(/^data:([^;,]+);base64,(.*)$/);
+  if (data) return { type: 'image', source: { type: 'base64', media_type: data[1], data: data[2] } };
+  return { type: 'image', source: { type: 'url', url } };
+}
+
+function toBlocks(content) {
+  if (Array.isArray(content)) return content.map((part) => (part.type === 'image_url' ? toImageBlock(part) : part));
+  return content ? [{ type: 'text', text: String(content) }] : [];
+}
+
+function toMessagesApi(messages) {
+  const system = [];
+  const turns = [];
+  for (const m of messages) {
+    if (m.role === 'system') { system.push(m.content); continue; }
+    let role = m.role;
+    let content = Array.isArray(m.content) ? toBlocks(m.content) : m.content;
+    if (m.role === 'tool') {
+      role = 'user';
+      content = [{ type: 'tool_result', tool_use_id: m.tool_call_id, content: String(m.content ?? '') }];
+    } else if (m.role === 'assistant' && m.tool_calls && m.tool_calls.length) {
+      content = [
+        ...toBlocks(m.content),
+        ...m.tool_calls.map((tc) => ({
+          type: 'tool_use',
+          id: tc.id,
+          name: tc.function.name,
+          input: typeof tc.function.arguments === 'string' ? JSON.parse(tc.function.arguments || '{}') : (tc.function.arguments || {})
+        }))
+      ];
+    }
+    const last = turns[turns.length - 1];
+    if (last && last.role === role) {
+      if (typeof last.content === 'string' && typeof content === 'string') last.content += `\n\n${content}`;
+      else last.content = [...toBlocks(last.content), ...toBlocks(content)];
+    } else {
+      turns.push({ role, content });
+    }
+  }
+  // the first turn has to come from the user
+  if (turns.length && turns[0].role !== 'user') turns.unshift({ role: 'user', content: '(conversation continues)' });
+  return { system: system.join('\n\n'), turns };
+}
+
+function createProvider({ apiKey, baseUrl = 'https://api.anthropic.com', name = 'anthropic' }) {
+  const url = `${baseUrl.replace(/\/$/, '')}/v1/messages`;
+  const headers = {
+    'x-api-key': apiKey,
+    'anthropic-version': '2023-06-01',
+    'Content-Type': 'application/json'
+  };
+
+  async function chat(messages, { model, temperature, maxTokens, tools }) {
+    const { system, turns } = toMessagesApi(messages);
+    const payload = {
+      model,
+      messages: turns,
+      max_tokens: maxTokens,
+      temperature
+    };
+    if (system) payload.system = system;
+    if (tools && tools.length) {
+      payload.tools = tools.map((t) => ({
+        name: t.function.name,
+        description: t.function.description,
+        input_schema: t.function.parameters
+      }));
+    }
+    const resp = await axios.post(url, payload, { headers, timeout: 60000 });
+    const parts = resp.data?.content || [];
+    const content = parts
+      .filter((part) => part.type === 'text')
+      .map((part) => part.text)
+      .join('');
+    const toolCalls = parts
+      .filter((part) => part.type === 'tool_use')
+      .map((part) => ({ id: part.id, name: part.name, arguments: part.input || {} }));
+    if (!content && !toolCalls.length) {
+      throw new Error(`No content in ${name} response`);
+    }
+    const u = resp.data.usage || {};
+    const usage = {
+      prompt_tokens: u.input_tokens || 0,
+      completion_tokens: u.output_tokens || 0,
+      total_tokens: (u.input_tokens || 0) + (u.output_tokens || 0)
+    };
+    return { content: content.trim(), toolCalls, usage, model: resp.data.model || model };
+  }
+
+  return { name, chat };
+}
+
+module.exports = { createProvider, toMessagesApi };
@@ -0,0 +1,55 @@
+/**
+ * llm-providers/openai.js
+ * Chat Completions provider for OpenAI and any OpenAI-compatible server
+ * (llama.cpp server, Ollama, vLLM, LM Studio, OpenRouter...), selected by baseUrl.
+ *
+ * createProvider({ apiKey, baseUrl, name }) -> { name, chat(messages, params) }
+ * chat() resolves { content, toolCalls, usage: { prompt_tokens, completion_tokens, total_tokens }, model }.
+ *
+ * Tools use the Chat Completions shape on the way in (params.tools = [{ type: 'function', function }])
+ * and come back normalized as toolCalls: [{ id, name, arguments: Object }].
+ */
+
+const axios = require('axios');
+
+function parseArguments(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    return {};
+  }
+}
+
+function createProvider({ apiKey, baseUrl = 'https://api.openai.com/v1', name = 'openai' }) {
+  const url = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+  const headers = { 'Content-Type': 'application/json' };
+  // local servers usually need no key
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  async function chat(messages, { model, temperature, maxTokens, tools }) {
+    const payload = {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    };
+    if (tools && tools.length) payload.tools = tools;
+    const resp = await axios.post(url, payload, { headers, timeout: 60000 });
+    const message = resp.data?.choices?.[0]?.message || {};
+    const toolCalls = (message.tool_calls || []).map((tc) => ({
+      id: tc.id,
+      name: tc.function?.name,
+      arguments: parseArguments(tc.function?.arguments)
+    }));
+    const content = message.content;
+    if (!content && !toolCalls.length) {
+      throw new Error(`No content in ${name} response`);
+    }
+    return { content: (content || '').trim(), toolCalls, usage: resp.data.usage || null, model: resp.data.model || model };
+  }
+
+  return { name, chat };
+}
+
+module.exports = { createProvider };
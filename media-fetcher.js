@@ -0,0 +1,317 @@
+/**
+ * media-fetcher.js
+ * The one way files from outside get saved under ./media (/download, /video, /image):
+ *  - only http(s) URLs; a host is resolved first and refused if any of its addresses is private,
+ *    loopback, link-local (cloud metadata) or otherwise not public, and the connection is made
+ *    to the address that was checked, so a second DNS answer can't point it elsewhere
+ *  - redirects are followed by hand, at most MEDIA_MAX_REDIRECTS (default 3), each hop checked
+ *    again; request headers (e.g. the Graph token) are only sent while scheme and host are the
+ *    original ones, so an https -> http hop never carries them in the clear
+ *  - the download stops as soon as it passes its size limit (MEDIA_MAX_DOWNLOAD_MB, default 100,
+ *    WhatsApp's document limit), without trusting Content-Length
+ *  - the file is named after its sniffed content type (whatsapp-utils detectMimeType), not the URL
+ *  - ./media has a per-user quota (files named <number>-...) of MEDIA_USER_QUOTA_MB (default 200)
+ *    and a total quota of MEDIA_TOTAL_QUOTA_MB (default 2048)
+ *  - every saved file is recorded in media-library.js with its owner, source command, size and
+ *    SHA-256 checksum
+ * MEDIA_TRUSTED_HOSTS lists hosts that may be fetched even though they're on a private network
+ * (e.g. an internal file server).
+ *
+ * Errors have err.code (FETCH_URL, FETCH_BLOCKED, FETCH_REDIRECTS, FETCH_HTTP, FETCH_FAILED,
+ * FETCH_TOO_LARGE, FETCH_TYPE, QUOTA_USER, QUOTA_TOTAL) and a message that can be shown to the user.
+ *
+ * Usage:
+ *  const file = await fetcher.fetchToMedia(url, { owner: from, source: 'video', name: `${from}-remote-${Date.now()}`, accept: ['video/'] });
+ *  // -> { path, filename, mimeType, size, sha256 }
+ *  const image = await fetcher.saveBuffer(buffer, { owner: from, name: `${from}-img-${Date.now()}` });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { detectMimeType, extensionFor } = require('./whatsapp-utils');
+const library = require('./media-library');
+
+const MB = 1024 * 1024;
+const SNIFF_BYTES = 64;
+const TIMEOUT_MS = 120000;
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+
+// everything that isn't a public unicast address
+const BLOCKED = new net.BlockList();
+for (const [net4, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) BLOCKED.addSubnet(net4, bits, 'ipv4');
+// 6to4 (2002::/16), Teredo (2001::/32) and local-use NAT64 (64:ff9b:1::/48) can wrap any IPv4 address
+for (const [net6, bits] of [
+  ['::', 96], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['2001:db8::', 32],
+  ['2002::', 16], ['2001::', 32], ['64:ff9b:1::', 48]
+]) BLOCKED.addSubnet(net6, bits, 'ipv6');
+
+function fetchError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function mediaDir() {
+  return path.join(process.cwd(), 'media');
+}
+
+function limits() {
+  return {
+    user: parseInt(process.env.MEDIA_USER_QUOTA_MB || '200', 10) * MB,
+    total: parseInt(process.env.MEDIA_TOTAL_QUOTA_MB || '2048', 10) * MB,
+    redirects: parseInt(process.env.MEDIA_MAX_REDIRECTS || '3', 10),
+    download: parseInt(process.env.MEDIA_MAX_DOWNLOAD_MB || '100', 10) * MB
+  };
+}
+
+function formatMb(bytes) {
+  return `${(bytes / MB).toFixed(bytes < 10 * MB ? 1 : 0)} MB`;
+}
+
+// IPv4-mapped (::ffff:10.0.0.1) and NAT64 (64:ff9b::a00:1) addresses carry an IPv4 address;
+// the URL parser brings both spellings to the hex form
+function embeddedIPv4(address) {
+  let normalized;
+  try {
+    normalized = new URL(`http://[${address}]/`).hostname;
+  } catch (err) {
+    return null;
+  }
+  const m = normalized.match(/^\[(?:::ffff:|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})\]$/);
+  if (!m) return null;
+  const [hi, lo] = [parseInt(m[1], 16), parseInt(m[2], 16)];
+  return [hi >> 8, hi & 255, lo >> 8, lo & 255].join('.');
+}
+
+/** isPublicAddress(ip) -> false for private, loopback, link-local, reserved and multicast addresses */
+function isPublicAddress(ip) {
+  let address = String(ip).replace(/^\[|\]$/g, '');
+  if (net.isIPv6(address)) address = embeddedIPv4(address) || address;
+  const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  if (!type) return false;
+  // any other spelling of those prefixes is refused rather than decoded
+  if (type === 'ipv6' && /^(::ffff:|64:ff9b:)/i.test(address)) return false;
+  return !BLOCKED.check(address, type);
+}
+
+function trustedHosts() {
+  return (process.env.MEDIA_TRUSTED_HOSTS || '').split(',').map((h) => h.trim().toLowerCase()).filter(Boolean);
+}
+
+// resolves the host and returns the address to connect to; refuses non-public ones
+async function resolvePublic(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true }).catch(() => {
+      throw fetchError('FETCH_FAILED', `Couldn't find the server ${host}.`);
+    });
+  if (!addresses.length) throw fetchError('FETCH_FAILED', `Couldn't find the server ${host}.`);
+  if (!trustedHosts().includes(host.toLowerCase()) && addresses.some((a) => !isPublicAddress(a.address))) {
+    throw fetchError('FETCH_BLOCKED', "That link points to a private or local network address, so I can't fetch it.");
+  }
+  return addresses[0];
+}
+
+function parseUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch (err) {
+    throw fetchError('FETCH_URL', 'Please send a full link starting with http:// or https://.');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw fetchError('FETCH_URL', 'Only http:// and https:// links can be fetched.');
+  }
+  return parsed;
+}
+
+// one request to the checked address; resolves with the response (body not read yet)
+function request(target, address, headers) {
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.get(target, {
+      headers: { 'User-Agent': 'whatsapp-ai-cloud media fetcher', ...headers },
+      // connect to the address that passed the check (the Host header and TLS name stay the host)
+      lookup: (hostname, options, cb) => (options && options.all
+        ? cb(null, [{ address: address.address, family: address.family }])
+        : cb(null, address.address, address.family)),
+      timeout: TIMEOUT_MS
+    }, resolve);
+    req.on('timeout', () => req.destroy(fetchError('FETCH_FAILED', 'The server took too long to answer.')));
+    req.on('error', (err) => reject(err.code && err.code.startsWith('FETCH_') ? err : fetchError('FETCH_FAILED', `Couldn't download the file (${err.code || err.message}).`)));
+  });
+}
+
+/* ---------- Storage quotas ---------- */
+
+/** usage(owner) -> { user, total, userQuota, totalQuota } in bytes, from the files in ./media */
+async function usage(owner = null) {
+  const prefix = owner ? `${String(owner).replace(/\D/g, '')}-` : null;
+  let user = 0;
+  let total = 0;
+  let files = [];
+  try {
+    files = await fs.promises.readdir(mediaDir());
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  for (const file of files) {
+    const stat = await fs.promises.stat(path.join(mediaDir(), file)).catch(() => null);
+    if (!stat || !stat.isFile()) continue;
+    total += stat.size;
+    if (prefix && file.startsWith(prefix)) user += stat.size;
+  }
+  const { user: userQuota, total: totalQuota } = limits();
+  return { user, total, userQuota, totalQuota };
+}
+
+// the byte budget for one new file: the smallest of maxBytes and what is left of each quota
+async function budget(owner, maxBytes) {
+  const u = await usage(owner);
+  const userLeft = owner ? u.userQuota - u.user : Infinity;
+  const totalLeft = u.totalQuota - u.total;
+  if (userLeft <= 0) throw quotaError('QUOTA_USER', u);
+  if (totalLeft <= 0) throw quotaError('QUOTA_TOTAL', u);
+  const limit = Math.min(maxBytes, userLeft, totalLeft);
+  return { limit, reason: limit === maxBytes ? 'size' : limit === userLeft ? 'QUOTA_USER' : 'QUOTA_TOTAL', usage: u };
+}
+
+function quotaError(code, u) {
+  return code === 'QUOTA_USER'
+    ? fetchError('QUOTA_USER', `Your media storage is full (${formatMb(u.user)} of ${formatMb(u.userQuota)}). Send /media delete to make room.`)
+    : fetchError('QUOTA_TOTAL', 'The server has run out of media storage. Please try again later.');
+}
+
+function overLimit(allowance, maxBytes) {
+  if (allowance.reason === 'size') return fetchError('FETCH_TOO_LARGE', `The file is larger than the ${formatMb(maxBytes)} limit.`);
+  return quotaError(allowance.reason, allowance.usage);
+}
+
+/* ---------- Saving ---------- */
+
+function checkType(mimeType, accept) {
+  if (!accept || !accept.length) return;
+  if (!accept.some((a) => (a.endsWith('/') ? mimeType.startsWith(a) : mimeType === a))) {
+    const wanted = accept.map((a) => (a.endsWith('/') ? a.slice(0, -1) : a)).join(' or ');
+    throw fetchError('FETCH_TYPE', `That isn't ${/^[aeiou]/.test(wanted) ? 'an' : 'a'} ${wanted} file (it is ${mimeType}).`);
+  }
+}
+
+// moves a finished download to <name><extension of its real type> and records it in the library
+async function finish(tmpPath, head, { name, filename, mimeType, accept, size, sha256, owner, source }) {
+  const type = detectMimeType(head, { filename, mimeType });
+  try {
+    checkType(type, accept);
+  } catch (err) {
+    await fs.promises.unlink(tmpPath).catch(() => {});
+    throw err;
+  }
+  const finalName = `${name}${extensionFor(type) || path.extname(filename || '').toLowerCase()}`;
+  const finalPath = path.join(mediaDir(), finalName);
+  await fs.promises.rename(tmpPath, finalPath);
+  await library.record({ filename: finalName, owner, source, size, sha256, mimeType: type });
+  return { path: finalPath, filename: finalName, mimeType: type, size, sha256 };
+}
+
+/**
+ * fetchToMedia(url, { owner, source, name, headers, accept, maxBytes }) -> { path, filename, mimeType, size, sha256 }
+ * Downloads url into ./media as <name>.<ext>. owner is the user the file counts against and
+ * belongs to; source names the command that saved it (shown in /media list); accept lists the allowed types ('video/' for a whole family); headers go to the first scheme and host only.
+ */
+async function fetchToMedia(url, { owner = null, source = null, name, headers = {}, accept = null, maxBytes = limits().download } = {}) {
+  let target = parseUrl(url);
+  const first = target;
+  const allowance = await budget(owner, maxBytes);
+  let res;
+  for (let hop = 0; ; hop++) {
+    const address = await resolvePublic(target.hostname);
+    const sameOrigin = target.protocol === first.protocol && target.host === first.host;
+    res = await request(target, address, sameOrigin ? headers : {});
+    if (!REDIRECT_CODES.includes(res.statusCode) || !res.headers.location) break;
+    res.resume();
+    if (hop >= limits().redirects) throw fetchError('FETCH_REDIRECTS', 'That link redirects too many times.');
+    target = parseUrl(new URL(res.headers.location, target).toString());
+  }
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    res.resume();
+    throw fetchError('FETCH_HTTP', `The server answered ${res.statusCode}${res.statusMessage ? ` ${res.statusMessage}` : ''}.`);
+  }
+  const declared = parseInt(res.headers['content-length'], 10);
+  if (declared > allowance.limit) {
+    res.destroy();
+    throw overLimit(allowance, maxBytes);
+  }
+
+  await fs.promises.mkdir(mediaDir(), { recursive: true });
+  const tmpPath = path.join(mediaDir(), `.${name}.part`);
+  const out = fs.createWriteStream(tmpPath);
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  let head = Buffer.alloc(0);
+  try {
+    await new Promise((resolve, reject) => {
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        hash.update(chunk);
+        if (head.length < SNIFF_BYTES) head = Buffer.concat([head, chunk]).subarray(0, SNIFF_BYTES);
+        if (size > allowance.limit) {
+          reject(overLimit(allowance, maxBytes));
+          res.destroy();
+        }
+      });
+      res.on('error', () => reject(fetchError('FETCH_FAILED', 'The download was interrupted.')));
+      res.on('aborted', () => reject(fetchError('FETCH_FAILED', 'The download was interrupted.')));
+      out.on('error', reject);
+      out.on('finish', resolve);
+      res.pipe(out);
+    });
+  } catch (err) {
+    out.destroy();
+    await fs.promises.unlink(tmpPath).catch(() => {});
+    throw err;
+  }
+  const filename = path.basename(target.pathname);
+  return finish(tmpPath, head, {
+    name, filename, mimeType: res.headers['content-type'], accept, size, sha256: hash.digest('hex'), owner, source
+  });
+}
+
+/**
+ * saveBuffer(buffer, { owner, source, name, filename, mimeType, accept, maxBytes }) -> { path, filename, mimeType, size, sha256 }
+ * Same checks for data that is already in memory (e.g. a generated image).
+ */
+async function saveBuffer(buffer, { owner = null, source = null, name, filename = '', mimeType = '', accept = null, maxBytes = limits().download } = {}) {
+  const allowance = await budget(owner, maxBytes);
+  if (buffer.length > allowance.limit) throw overLimit(allowance, maxBytes);
+  await fs.promises.mkdir(mediaDir(), { recursive: true });
+  const tmpPath = path.join(mediaDir(), `.${name}.part`);
+  await fs.promises.writeFile(tmpPath, buffer);
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  return finish(tmpPath, buffer.subarray(0, SNIFF_BYTES), { name, filename, mimeType, accept, size: buffer.length, sha256, owner, source });
+}
+
+/** existing(name) -> path of a file saved earlier as <name>.<any extension>, or null; only files the library knows count */
+async function existing(name) {
+  const files = await fs.promises.readdir(mediaDir()).catch(() => []);
+  const match = files.find((f) => path.parse(f).name === name && !f.startsWith('.'));
+  return match && (await library.get(match)) ? path.join(mediaDir(), match) : null;
+}
+
+module.exports = {
+  fetchToMedia,
+  saveBuffer,
+  existing,
+  usage,
+  isPublicAddress,
+  mediaDir
+};
@@ -0,0 +1,252 @@
+/**
+ * media-library.js
+ * What is in ./media, who it belongs to, who may fetch it and when it goes away.
+ *
+ *  - every file media-fetcher.js saves is recorded with its owner, the command that made it,
+ *    size and SHA-256 checksum
+ *  - files are only served through signed links (signedUrl) that name the owner and expire after
+ *    MEDIA_URL_TTL_MINUTES (default 60); serveSigned is the Express handler for GET /media/:filename.
+ *    Only images, audio, video and PDF open in the browser; anything else (HTML, SVG, ...) is a
+ *    sandboxed download so a file a user sent can never run as a page on the bot's origin
+ *  - the sweeper deletes files older than MEDIA_RETENTION_DAYS (default 30) and, while ./media is
+ *    over 80% of MEDIA_TOTAL_QUOTA_MB (default 2048), the oldest ones; files without a record
+ *    (e.g. saved before the library existed) go by their modification time
+ *
+ * Links are signed with MEDIA_URL_SECRET (falling back to APP_SECRET); every process that signs or
+ * serves links needs the same secret. Without one no links are handed out.
+ *
+ * Storage is any adapter from storage/ (defaults to the session backend):
+ *  mediafile:<filename>   { filename, owner, source, size, sha256, mimeType, createdAt }
+ *
+ * Usage:
+ *  await library.record({ filename, owner: from, source: 'video', size, sha256, mimeType });
+ *  const url = library.signedUrl(filename, { owner: from }); // null without SERVE_BASE_URL or a secret
+ *  app.get('/media/:filename', library.serveSigned);         // index_Version4.js
+ *  library.startSweeper();
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getDefaultAdapter } = require('./storage');
+
+const FILE_PREFIX = 'mediafile:';
+const LOCK_KEY = 'media-sweep-lock';
+const SWEEP_MS = 60 * 60 * 1000;
+const LOCK_MS = 10 * 60 * 1000;
+const BUDGET_SHARE = 0.8;
+const MB = 1024 * 1024;
+
+let adapter = null;
+let sweeper = null;
+
+function _adapter() {
+  if (!adapter) adapter = getDefaultAdapter();
+  return adapter;
+}
+
+function useAdapter(next) {
+  adapter = next;
+}
+
+function normalizeBare(jidOrNumber) {
+  return String(jidOrNumber || '').replace(/\D/g, '');
+}
+
+function mediaDir() {
+  return path.join(process.cwd(), 'media');
+}
+
+// SVG is an image type that runs scripts, so it is not on the list
+function servesInline(mimeType) {
+  const type = String(mimeType || '').toLowerCase().split(';')[0].trim();
+  return /^(image\/(jpeg|png|gif|webp)|audio\/[\w.+-]+|video\/[\w.+-]+|application\/pdf)$/.test(type);
+}
+
+function secret() {
+  return process.env.MEDIA_URL_SECRET || process.env.APP_SECRET || '';
+}
+
+// plain names only: no directories, no dotfiles (downloads in progress are .<name>.part)
+function isSafeName(filename) {
+  return typeof filename === 'string' && filename === path.basename(filename) && !filename.startsWith('.') && filename.length > 0;
+}
+
+/* ---------- Index ---------- */
+
+/** record({ filename, owner, source, size, sha256, mimeType }) - adds or replaces a file's entry */
+async function record({ filename, owner, source = null, size = 0, sha256 = null, mimeType = null }) {
+  const entry = { filename, owner: normalizeBare(owner) || null, source, size, sha256, mimeType, createdAt: Date.now() };
+  await _adapter().set(FILE_PREFIX + filename, entry);
+  return entry;
+}
+
+async function get(filename) {
+  return _adapter().get(FILE_PREFIX + filename);
+}
+
+/** list({ owner }) -> entries of files that still exist, newest first */
+async function list({ owner = null } = {}) {
+  const out = [];
+  for (const key of await _adapter().keys(FILE_PREFIX)) {
+    const entry = await _adapter().get(key);
+    if (!entry) continue;
+    if (owner && entry.owner !== normalizeBare(owner)) continue;
+    if (!fs.existsSync(path.join(mediaDir(), entry.filename))) {
+      await _adapter().del(key);
+      continue;
+    }
+    out.push(entry);
+  }
+  return out.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/** remove(filename) -> true if a file or its record was there */
+async function remove(filename) {
+  if (!isSafeName(filename)) return false;
+  const had = Boolean(await get(filename));
+  await _adapter().del(FILE_PREFIX + filename);
+  try {
+    await fs.promises.unlink(path.join(mediaDir(), filename));
+    return true;
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return had;
+  }
+}
+
+/* ---------- Signed links ---------- */
+
+function signature(filename, owner, expires) {
+  return crypto.createHmac('sha256', secret()).update(`${filename}\n${owner}\n${expires}`).digest('base64url');
+}
+
+/**
+ * signedUrl(filename, { owner, base, ttlMinutes }) -> URL | null
+ * A link to the file for its owner (it only opens files recorded for that owner) that stops
+ * working after ttlMinutes (MEDIA_URL_TTL_MINUTES).
+ * base defaults to SERVE_BASE_URL; null when there is no base URL or no secret.
+ */
+function signedUrl(filename, { owner = null, base = process.env.SERVE_BASE_URL || '', ttlMinutes = null } = {}) {
+  if (!base || !secret() || !isSafeName(filename)) return null;
+  const minutes = ttlMinutes || parseInt(process.env.MEDIA_URL_TTL_MINUTES || '60', 10);
+  const expires = Math.floor(Date.now() / 1000) + minutes * 60;
+  const u = normalizeBare(owner);
+  const query = new URLSearchParams({ u, e: String(expires), s: signature(filename, u, expires) });
+  return `${base.replace(/\/$/, '')}/media/${encodeURIComponent(filename)}?${query}`;
+}
+
+/**
+ * verify(filename, { u, e, s }) -> null if the link is valid, else the reason
+ * The link must be unexpired, correctly signed and name the file's recorded owner.
+ */
+async function verify(filename, { u = '', e = '', s = '' } = {}) {
+  if (!secret() || !isSafeName(filename)) return 'forbidden';
+  if (!/^\d+$/.test(e)) return 'forbidden';
+  const expected = Buffer.from(signature(filename, u, e));
+  const given = Buffer.from(String(s));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return 'forbidden';
+  if (parseInt(e, 10) * 1000 < Date.now()) return 'expired';
+  const entry = await get(filename);
+  if (!entry || (entry.owner || '') !== u) return 'forbidden';
+  return null;
+}
+
+/** serveSigned(req, res) - Express handler for GET /media/:filename?u=&e=&s= */
+async function serveSigned(req, res) {
+  try {
+    const { filename } = req.params;
+    const problem = await verify(filename, req.query);
+    if (problem === 'expired') return res.status(410).send('This link has expired. Ask the bot for a new one with /media list.');
+    if (problem) return res.sendStatus(403);
+    const entry = await get(filename);
+    const headers = {
+      'Content-Type': entry.mimeType || 'application/octet-stream',
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    };
+    if (!servesInline(entry.mimeType)) {
+      res.attachment(filename);
+      headers['Content-Security-Policy'] = 'sandbox';
+    }
+    return res.sendFile(path.join(mediaDir(), filename), { dotfiles: 'deny', headers }, (err) => {
+      if (err && !res.headersSent) res.sendStatus(err.statusCode === 404 || err.code === 'ENOENT' ? 404 : 500);
+    });
+  } catch (err) {
+    console.error('media-library: serve error', err?.message || err);
+    if (!res.headersSent) res.sendStatus(500);
+  }
+}
+
+/* ---------- Retention ---------- */
+
+/**
+ * sweep({ now }) -> { deleted: [filenames], freed }
+ * Deletes files past MEDIA_RETENTION_DAYS, then the oldest ones until ./media is within
+ * 80% of MEDIA_TOTAL_QUOTA_MB. Records of files that are gone are dropped.
+ */
+async function sweep({ now = Date.now() } = {}) {
+  const maxAge = parseInt(process.env.MEDIA_RETENTION_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+  const budget = parseInt(process.env.MEDIA_TOTAL_QUOTA_MB || '2048', 10) * MB * BUDGET_SHARE;
+  const files = [];
+  for (const filename of await fs.promises.readdir(mediaDir()).catch(() => [])) {
+    if (!isSafeName(filename)) continue;
+    const stat = await fs.promises.stat(path.join(mediaDir(), filename)).catch(() => null);
+    if (!stat || !stat.isFile()) continue;
+    const entry = await get(filename);
+    files.push({ filename, size: stat.size, createdAt: entry?.createdAt || stat.mtimeMs });
+  }
+  files.sort((a, b) => a.createdAt - b.createdAt);
+
+  let total = files.reduce((sum, f) => sum + f.size, 0);
+  const deleted = [];
+  let freed = 0;
+  for (const file of files) {
+    if (now - file.createdAt <= maxAge && total <= budget) break;
+    await remove(file.filename);
+    total -= file.size;
+    freed += file.size;
+    deleted.push(file.filename);
+  }
+  // records whose file was deleted by hand
+  await list();
+  return { deleted, freed };
+}
+
+/** startSweeper() - sweeps every hour (and once now); safe to call in several processes. */
+function startSweeper() {
+  if (sweeper) return;
+  const run = async () => {
+    const owner = `${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    if (!(await _adapter().setIfAbsent(LOCK_KEY, owner, LOCK_MS))) return;
+    try {
+      const { deleted, freed } = await sweep();
+      if (deleted.length) console.log(`media-library: removed ${deleted.length} files (${(freed / MB).toFixed(1)} MB)`);
+    } finally {
+      if ((await _adapter().get(LOCK_KEY)) === owner) await _adapter().del(LOCK_KEY);
+    }
+  };
+  const tick = () => run().catch((err) => console.error('media-library: sweep error', err?.message || err));
+  sweeper = setInterval(tick, SWEEP_MS);
+  sweeper.unref();
+  tick();
+}
+
+function stopSweeper() {
+  clearInterval(sweeper);
+  sweeper = null;
+}
+
+module.exports = {
+  useAdapter,
+  record,
+  get,
+  list,
+  remove,
+  signedUrl,
+  verify,
+  serveSigned,
+  sweep,
+  startSweeper,
+  stopSweeper
+};
@@ -0,0 +1,180 @@
+/**
+ * message-formatter.js
+ * Outbound text helpers for WhatsApp:
+ *  - markdownToWhatsApp(md)   converts model Markdown to WhatsApp formatting
+ *                             (**bold** -> *bold*, *italic* -> _italic_, # Heading -> *Heading*,
+ *                             code fences/inline code -> ```monospace```, tables -> aligned monospace)
+ *  - splitMessage(text)       splits text that exceeds WhatsApp's 4096-char body limit on
+ *                             paragraph, line, then sentence boundaries into numbered parts "(1/3) ..."
+ *  - paginate(text, size)     fixed-size pages for "send the rest" style flows (e.g. /export)
+ *  - markdownToSpeech(md)     plain text for text-to-speech: markup, code blocks and links removed
+ *
+ * Usage:
+ *  const { markdownToWhatsApp, splitMessage } = require('./message-formatter');
+ *  for (const part of splitMessage(markdownToWhatsApp(reply))) await sendText(to, part);
+ */
+
+const MAX_TEXT_LENGTH = parseInt(process.env.WHATSAPP_MAX_TEXT_LENGTH || '4096', 10);
+const PART_LABEL_RESERVE = 12; // room for "(12/12) "
+
+/* ---------- Markdown -> WhatsApp ---------- */
+
+function renderTable(rows) {
+  const cells = rows
+    .filter((r) => !/^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(r)) // drop |---|---| separators
+    .map((r) => r.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map((c) => c.trim()));
+  const widths = [];
+  for (const row of cells) row.forEach((c, i) => { widths[i] = Math.max(widths[i] || 0, c.length); });
+  const lines = cells.map((row) => row.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd());
+  return '```\n' + lines.join('\n') + '\n```';
+}
+
+function convertInline(line) {
+  const stash = [];
+  const keep = (s) => { stash.push(s); return `\u0000${stash.length - 1}\u0000`; };
+
+  let out = line
+    // inline code is left untouched apart from the fence style
+    .replace(/`([^`\n]+)`/g, (_, code) => keep('```' + code + '```'))
+    // links: [text](url) -> text (url)
+    .replace(/\[([^\]]+)\]\((\S+?)\)/g, (_, text, url) => (text === url ? url : `${text} (${url})`))
+    // bold+italic, bold, italic, strike
+    .replace(/\*\*\*(.+?)\*\*\*/g, (_, t) => keep(`*_${t}_*`))
+    .replace(/(\*\*|__)(.+?)\1/g, (_, __, t) => keep(`*${t}*`))
+    .replace(/(^|[^\w*])\*(?!\s)([^*\n]+?)\*(?!\w)/g, (_, pre, t) => `${pre}${keep(`_${t}_`)}`)
+    .replace(/~~(.+?)~~/g, (_, t) => keep(`~${t}~`));
+
+  out = out.replace(/\u0000(\d+)\u0000/g, (_, i) => stash[Number(i)]);
+  return out;
+}
+
+/**
+ * markdownToWhatsApp(md) -> String
+ * Best-effort conversion; text that is already WhatsApp-formatted passes through mostly unchanged.
+ */
+function markdownToWhatsApp(md) {
+  if (!md) return '';
+  const lines = String(md).replace(/\r\n/g, '\n').split('\n');
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // fenced code block: keep verbatim, drop the language tag
+    if (/^\s*```/.test(line)) {
+      const body = [];
+      i += 1;
+      while (i < lines.length && !/^\s*```/.test(lines[i])) { body.push(lines[i]); i += 1; }
+      i += 1; // closing fence
+      out.push('```\n' + body.join('\n') + '\n```');
+      continue;
+    }
+
+    // table: consecutive lines that start with '|'
+    if (/^\s*\|.*\|\s*$/.test(line)) {
+      const rows = [];
+      while (i < lines.length && /^\s*\|.*\|\s*$/.test(lines[i])) { rows.push(lines[i]); i += 1; }
+      out.push(renderTable(rows));
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      out.push(`*${heading[1].replace(/\*\*/g, '')}*`);
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      out.push('──────────');
+    } else {
+      const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+      out.push(bullet ? `${bullet[1]}• ${convertInline(bullet[2])}` : convertInline(line));
+    }
+    i += 1;
+  }
+  return out.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/* ---------- Splitting ---------- */
+
+// split `text` into pieces no longer than `limit`, preferring the coarsest boundary that fits
+function splitOn(text, limit) {
+  if (text.length <= limit) return [text];
+  const separators = [/\n\n+/g, /\n/g, /(?<=[.!?…])\s+/g, /\s+/g];
+  for (const sep of separators) {
+    const pieces = [];
+    let last = 0;
+    let m;
+    sep.lastIndex = 0;
+    while ((m = sep.exec(text)) !== null) {
+      pieces.push(text.slice(last, m.index + m[0].length));
+      last = m.index + m[0].length;
+    }
+    pieces.push(text.slice(last));
+    if (pieces.length < 2) continue;
+
+    const chunks = [];
+    let current = '';
+    for (const piece of pieces) {
+      if ((current + piece).length <= limit) { current += piece; continue; }
+      if (current) chunks.push(current);
+      current = piece;
+    }
+    if (current) chunks.push(current);
+    // recurse into pieces that are still too long using finer separators
+    return chunks.flatMap((c) => (c.length > limit ? splitOn(c, limit) : [c]));
+  }
+  // no boundary at all: hard split
+  const out = [];
+  for (let i = 0; i < text.length; i += limit) out.push(text.slice(i, i + limit));
+  return out;
+}
+
+// a split inside a ``` block would break formatting: close the fence and reopen it in the next part
+function balanceFences(chunks) {
+  let open = false;
+  return chunks.map((chunk) => {
+    let c = open ? '```\n' + chunk : chunk;
+    const fences = (chunk.match(/```/g) || []).length;
+    if (fences % 2 === 1) open = !open;
+    if (open) c += '\n```';
+    return c;
+  });
+}
+
+/**
+ * splitMessage(text, { limit, numbered }) -> [String]
+ * Parts are numbered "(1/3) " when there is more than one (numbered: false to disable).
+ */
+function splitMessage(text, { limit = MAX_TEXT_LENGTH, numbered = true } = {}) {
+  const body = String(text || '').trim();
+  if (body.length <= limit) return [body];
+  // fence balancing may add up to 8 chars per part
+  const chunks = balanceFences(splitOn(body, limit - PART_LABEL_RESERVE - 8).map((c) => c.trim()).filter(Boolean));
+  if (!numbered || chunks.length < 2) return chunks;
+  return chunks.map((c, idx) => `(${idx + 1}/${chunks.length}) ${c}`);
+}
+
+/**
+ * paginate(text, pageSize) -> [String]
+ * Like splitMessage but unnumbered and with a caller-chosen size, for paging through
+ * long content one message at a time.
+ */
+function paginate(text, pageSize = 3000) {
+  return splitMessage(text, { limit: pageSize, numbered: false });
+}
+
+/**
+ * markdownToSpeech(md) -> String
+ * Text to read aloud: code blocks are left out, link targets dropped and markup characters removed.
+ */
+function markdownToSpeech(md) {
+  return String(md || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/^\s*(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/[*_~`|]/g, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = { markdownToWhatsApp, markdownToSpeech, splitMessage, paginate, MAX_TEXT_LENGTH };
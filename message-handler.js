@@ -0,0 +1,419 @@
+/**
+ * message-handler.js
+ * Processes one queued inbound WhatsApp message (see job-queue.js):
+ *  - stores media metadata into sessionStore.appendMedia; images and stickers are kept in the
+ *    history as references that vision-capable models get to see (sessionStore.setImageResolver)
+ *  - transcribes voice notes (speech.js) and treats the transcript like a typed message;
+ *    saying "slash help" runs /help
+ *  - STOP / UNSUBSCRIBE opts the sender out of campaigns (audiences.js), START opts back in
+ *  - replies to the /menu list and to follow-up question buttons are routed by their id
+ *    (commands.handleInteractiveReply); a command waiting on an answer takes the next message
+ *  - if message text starts with '/', runs commands.handleCommand
+ *  - otherwise forwards conversation to the configured LLM via openaiClient and sends the reply;
+ *    the model may call bot commands as tools (commands.getTools/runTool) and summarize the result;
+ *    the message and the reply both go through moderation.js (blocked messages never reach the
+ *    model, blocked replies are replaced);
+ *    the reply goes out as a voice note when the user's voiceReplies setting asks for it
+ *
+ * Used by the in-process workers of index_Version4.js and by `node worker.js`.
+ *
+ * Exports:
+ *  - async processJob(job)          : queue handler; throws to request a retry
+ *  - async handleDeadLetter(job)    : apologizes to the sender once retries are exhausted
+ */
+
+const { sendText, sendInteractive, sendImage, sendAudio, sendVideo, sendDocument, downloadMedia } = require('./whatsapp-utils');
+const openaiClient = require('./openai-client');
+const sessionStore = require('./session-store');
+const commands = require('./commands');
+const deliveryTracker = require('./delivery-tracker');
+const roles = require('./roles');
+const rateLimiter = require('./rate-limiter');
+const usageTracker = require('./usage-tracker');
+const userMemory = require('./user-memory');
+const knowledgeBase = require('./knowledge-base');
+const speech = require('./speech');
+const audiences = require('./audiences');
+const moderation = require('./moderation');
+const { markdownToWhatsApp, markdownToSpeech } = require('./message-formatter');
+
+const MAX_TOOL_ROUNDS = parseInt(process.env.LLM_MAX_TOOL_ROUNDS || '3', 10);
+const FALLBACK_REPLY = "Sorry, I couldn't create a reply at the moment.";
+const AI_DISABLED_REPLY = 'AI chat is not enabled on this server. Commands still work — send /help or /menu.';
+const VISION_MAX_BYTES = 5 * 1024 * 1024; // WhatsApp's own image limit
+const IMAGE_CACHE_SIZE = 20;
+const imageCache = new Map(); // media id -> data: URL, oldest first
+
+// long-term memories relevant to the message are added to the conversation (MEMORY_ENABLED)
+sessionStore.addContextProvider(userMemory.contextFor);
+// excerpts from the document knowledge base that match the message (knowledge-base.js)
+sessionStore.addContextProvider(knowledgeBase.contextFor);
+// images the user sent are shown to vision-capable models
+sessionStore.setImageResolver(resolveImage);
+
+async function sendTextWrapper(to, text, options) {
+  try {
+    // sendText expects bare number or jid; it extracts bare digits.
+    return await sendText(to, text, options);
+  } catch (err) {
+    console.error('sendTextWrapper error', err?.response?.data || err?.message || err);
+    throw err;
+  }
+}
+
+async function sendInteractiveWrapper(to, payload, options) {
+  try {
+    return await sendInteractive(to, payload, options);
+  } catch (err) {
+    console.error('sendInteractiveWrapper error', err?.response?.data || err?.message || err);
+    throw err;
+  }
+}
+
+/**
+ * extractMessage(message) -> { userText, replyId, media, images }
+ * Turns a Cloud API message object into the text the bot reacts to (captions live on the
+ * media object, e.g. message.image.caption), for replies to our buttons and lists the id of
+ * the chosen option, for media messages the metadata to remember for /download and, for
+ * images and static stickers, the references shown to vision models.
+ */
+function extractMessage(message) {
+  let userText = '';
+  let replyId = null;
+  let media = null;
+  let images = null;
+
+  // handle text / interactive / captions
+  if (message.type === 'text' && message.text) {
+    userText = message.text.body;
+  } else if (message.type === 'interactive' && message.interactive) {
+    // interactive.type is button_reply or list_reply; the id says what was picked, the title is what the user saw
+    const reply = message.interactive.button_reply || message.interactive.list_reply;
+    if (reply) {
+      userText = reply.title || reply.id || '';
+      replyId = reply.id || null;
+    }
+  } else if (message.type === 'button' && message.button) {
+    // quick-reply button of a template message
+    userText = message.button.text || message.button.payload || '';
+  } else if ((message.type === 'image' && message.image) ||
+             (message.type === 'video' && message.video) ||
+             (message.type === 'audio' && message.audio) ||
+             (message.type === 'document' && message.document) ||
+             (message.type === 'sticker' && message.sticker)) {
+    media = {};
+    if (message.image) {
+      media.id = message.image.id;
+      media.mime_type = message.image.mime_type;
+      media.filename = message.image.filename || `image_${message.image.id}`;
+    } else if (message.video) {
+      media.id = message.video.id;
+      media.mime_type = message.video.mime_type;
+      media.filename = message.video.filename || `video_${message.video.id}.mp4`;
+    } else if (message.audio) {
+      media.id = message.audio.id;
+      media.mime_type = message.audio.mime_type;
+      media.filename = message.audio.filename || `audio_${message.audio.id}.ogg`;
+    } else if (message.document) {
+      media.id = message.document.id;
+      media.mime_type = message.document.mime_type;
+      media.filename = message.document.filename || `doc_${message.document.id}`;
+    } else if (message.sticker) {
+      media.id = message.sticker.id;
+      media.mime_type = message.sticker.mime_type || 'image/webp';
+      media.filename = `sticker_${message.sticker.id}.webp`;
+    }
+    userText = (message[message.type] && message[message.type].caption) || '';
+    // animated stickers are not accepted by vision models
+    if (message.type === 'image' || (message.type === 'sticker' && !message.sticker.animated)) {
+      images = [{ id: media.id, mimeType: media.mime_type, kind: message.type }];
+    }
+  } else {
+    userText = `[${message.type} message received]`;
+  }
+
+  return { userText, replyId, media, images };
+}
+
+/**
+ * resolveImage({ id, mimeType }) -> data: URL | null
+ * Image resolver for session-store: downloads the media (WhatsApp keeps it ~30 days) and
+ * caches a few recent images in memory so every turn doesn't fetch them again.
+ */
+async function resolveImage({ id, mimeType }) {
+  if (imageCache.has(id)) return imageCache.get(id);
+  let url;
+  try {
+    const { buffer, mimeType: fetchedType } = await downloadMedia(id, { maxBytes: VISION_MAX_BYTES });
+    const type = String(mimeType || fetchedType || 'image/jpeg').split(';')[0].trim();
+    url = `data:${type};base64,${buffer.toString('base64')}`;
+  } catch (err) {
+    // expired or too large: the model gets a text marker instead
+    console.error('resolveImage error', id, err?.response?.status || err?.message || err);
+    return null;
+  }
+  imageCache.set(id, url);
+  if (imageCache.size > IMAGE_CACHE_SIZE) imageCache.delete(imageCache.keys().next().value);
+  return url;
+}
+
+/**
+ * transcribeVoiceNote(from, media) -> String
+ * Downloads an audio message and runs speech-to-text on it. A leading spoken "slash <command>"
+ * becomes "/<command>" so voice notes can run commands too. Audio over the provider's upload
+ * limit is never downloaded in full (code STT_TOO_LARGE).
+ */
+async function transcribeVoiceNote(from, media) {
+  let download;
+  try {
+    download = await downloadMedia(media.id, { maxBytes: speech.maxAudioBytes() });
+  } catch (err) {
+    throw err.code === 'MEDIA_TOO_LARGE' ? speech.tooLargeError() : err;
+  }
+  const { buffer, mimeType } = download;
+  const text = await speech.transcribe(buffer, { mimeType: mimeType || media.mime_type, filename: media.filename, user: from });
+  const spoken = text.match(/^slash\s+([a-z]+)[.,!?]?\s*([\s\S]*)$/i);
+  // transcripts end in punctuation that would break enum arguments ("/voice off.")
+  return spoken ? `/${spoken[1].toLowerCase()} ${spoken[2].replace(/[.!?]+$/, '')}`.trim() : text;
+}
+
+/**
+ * sendReply(from, reply, { voice })
+ * Sends the AI reply as a voice note when asked to and TTS is available; falls back to text
+ * when synthesis fails or the reply is too long to speak.
+ */
+async function sendReply(from, reply, { voice = false } = {}) {
+  const bareTo = String(from).replace(/\D/g, '');
+  if (voice && speech.ttsAvailable()) {
+    try {
+      const audio = await speech.synthesize(markdownToSpeech(reply), { user: from });
+      await sendAudio(bareTo, audio);
+      return;
+    } catch (err) {
+      if (err.code !== 'TTS_TOO_LONG') console.error('voice reply error', err?.response?.data || err?.message || err);
+    }
+  }
+  // sendText splits long replies into numbered parts
+  await sendTextWrapper(bareTo, markdownToWhatsApp(reply));
+}
+
+async function handleOptKeyword(from, keyword, text) {
+  const bareTo = String(from).replace(/\D/g, '');
+  if (keyword === 'out') {
+    await audiences.optOut(from, String(text).trim().toUpperCase());
+    await sendTextWrapper(bareTo, "You're unsubscribed and won't get broadcasts from us anymore. Send START to subscribe again.");
+  } else {
+    await audiences.optIn(from);
+    await sendTextWrapper(bareTo, "You're subscribed to broadcasts again. Send STOP at any time to unsubscribe.");
+  }
+}
+
+function buildCommandContext() {
+  return {
+    sendText: async (to, text, options) => {
+      // sendTextWrapper expects bare or jid; use the original 'from' formatting allowed
+      return await sendTextWrapper(to, text, options);
+    },
+    sendInteractive: async (to, payload, options) => {
+      return await sendInteractiveWrapper(to, payload, options);
+    },
+    sendImage,
+    sendAudio,
+    sendVideo,
+    sendDocument,
+    deliveryTracker,
+    downloadMedia,
+    sessionStore,
+    openaiClient,
+    env_serve_base: process.env.SERVE_BASE_URL || ''
+  };
+}
+
+/**
+ * generateReplyWithTools(from, convo, job, state) -> String
+ * Lets the model run bot commands as tools: tool results are fed back until it answers
+ * in text (at most LLM_MAX_TOOL_ROUNDS rounds). The tool transcript is checkpointed so a
+ * retry never re-runs a command that already ran (e.g. creates the same poll twice).
+ */
+async function generateReplyWithTools(from, convo, job, state) {
+  if (!openaiClient.supportsTools() || typeof commands.getTools !== 'function') {
+    return openaiClient.generateReply(convo, { command: 'chat', user: from });
+  }
+  const tools = await commands.getTools(from);
+  const transcript = state.toolTranscript || [];
+  let rounds = transcript.filter((m) => m.role === 'assistant').length;
+
+  while (rounds < MAX_TOOL_ROUNDS) {
+    const result = await openaiClient.complete([...convo, ...transcript], { command: 'chat', user: from, tools });
+    if (!result.toolCalls.length) return result.content;
+
+    transcript.push({
+      role: 'assistant',
+      content: result.content || null,
+      tool_calls: result.toolCalls.map((tc) => ({
+        id: tc.id,
+        type: 'function',
+        function: { name: tc.name, arguments: JSON.stringify(tc.arguments || {}) }
+      }))
+    });
+    for (const call of result.toolCalls) {
+      let output;
+      try {
+        output = await commands.runTool(from, call.name, call.arguments, buildCommandContext());
+      } catch (err) {
+        console.error('tool call error', call.name, err?.message || err);
+        output = `Error: ${err?.message || 'the command failed'}`;
+      }
+      transcript.push({ role: 'tool', tool_call_id: call.id, content: output });
+    }
+    rounds += 1;
+    state.toolTranscript = transcript;
+    await job.checkpoint(state);
+  }
+
+  // out of rounds: take whatever text the model gives, else the last tool output
+  const final = await openaiClient.complete([...convo, ...transcript], { command: 'chat', user: from, tools });
+  return final.content || transcript[transcript.length - 1].content;
+}
+
+/**
+ * processJob(job)
+ * job.payload = { message } as received in the webhook's value.messages[].
+ * Progress is checkpointed so a retry after a failed send does not append the
+ * user's message twice or generate a second, different reply.
+ */
+async function processJob(job) {
+  const { message } = job.payload;
+  const from = message.from; // usually a phone number like "1555..."
+  const state = job.state || {};
+  const { userText: typedText, replyId, media, images } = extractMessage(message);
+
+  // the sender may have been blocked while this job waited in the queue
+  if (!state.reply && await roles.isBlocked(from)) return;
+
+  if (!state.reply) {
+    if (media && !state.mediaRecorded) {
+      // Save media metadata to session store for /download
+      await sessionStore.appendMedia(from, media);
+      state.mediaRecorded = true;
+      await job.checkpoint(state);
+    }
+
+    // voice notes: the transcript stands in for the message text (a failed download/STT is retried)
+    if (message.type === 'audio' && media && speech.sttAvailable() && state.transcript === undefined) {
+      // transcription is billed per minute: it spends media points and needs AI allowance left
+      if (!state.sttChecked) {
+        const isAdmin = roles.rank(await roles.getRole(from)) >= roles.rank('admin');
+        const rate = await rateLimiter.consume(from, 'media', { exempt: isAdmin });
+        if (!rate.ok) {
+          if (rate.notify) await sendTextWrapper(String(from).replace(/\D/g, ''), rateLimiter.cooldownMessage(rate));
+          return;
+        }
+        try {
+          await usageTracker.assertWithinQuota(from);
+        } catch (err) {
+          if (err.code !== 'QUOTA_EXCEEDED') throw err;
+          await sendTextWrapper(String(from).replace(/\D/g, ''), err.message);
+          return;
+        }
+        state.sttChecked = true;
+        await job.checkpoint(state);
+      }
+      try {
+        state.transcript = await transcribeVoiceNote(from, media);
+      } catch (err) {
+        if (err.code !== 'STT_TOO_LARGE') throw err;
+        await sendTextWrapper(String(from).replace(/\D/g, ''), `⚠️ ${err.message}`);
+        return;
+      }
+      await job.checkpoint(state);
+    }
+    const userText = state.transcript ?? typedText;
+
+    // STOP / UNSUBSCRIBE opts out of campaigns; START opts back in
+    const keyword = audiences.matchKeyword(userText);
+    if (keyword === 'out' || (keyword === 'in' && await audiences.isOptedOut(from))) {
+      await handleOptKeyword(from, keyword, userText);
+      return;
+    }
+
+    const context = buildCommandContext();
+    // menu rows and flow choices are routed by their id (cat:..., cmd:<name>, flow:...), not their title
+    if (replyId) {
+      const replyResult = await commands.handleInteractiveReply(from, { id: replyId, title: userText }, context);
+      if (replyResult && replyResult.handled) return;
+    }
+    // a command waiting on an answer ("Which language?") takes the message (command-flows.js)
+    const flowResult = await commands.handleFlowInput(from, userText, context);
+    if (flowResult && flowResult.handled) return;
+
+    // If the message looks like a command, handle it locally
+    const cmdResult = await commands.handleCommand(from, userText, context);
+    if (cmdResult && cmdResult.handled) {
+      // command handled; skip OpenAI flow
+      return;
+    }
+
+    // Not a command: normal conversational flow
+    if (!openaiClient.isConfigured()) {
+      await sendTextWrapper(String(from).replace(/\D/g, ''), AI_DISABLED_REPLY);
+      return;
+    }
+    if (!state.moderated) {
+      const verdict = await moderation.review(userText, { user: from, source: 'inbound' });
+      if (verdict.action === 'block' || verdict.action === 'warn') {
+        await sendTextWrapper(String(from).replace(/\D/g, ''), moderation.notice(verdict));
+      }
+      if (verdict.action === 'block') return;
+      state.moderated = true;
+      await job.checkpoint(state);
+    }
+    if (!state.rateChecked) {
+      const isAdmin = roles.rank(await roles.getRole(from)) >= roles.rank('admin');
+      const rate = await rateLimiter.consume(from, 'chat', { exempt: isAdmin });
+      if (!rate.ok) {
+        if (rate.notify) await sendTextWrapper(String(from).replace(/\D/g, ''), rateLimiter.cooldownMessage(rate));
+        return;
+      }
+      state.rateChecked = true;
+      await job.checkpoint(state);
+    }
+    if (!state.userRecorded) {
+      if (images) await sessionStore.appendUserMessage(from, (userText || '').trim(), { images });
+      else if (userText && userText.trim()) await sessionStore.appendUserMessage(from, userText.trim());
+      else await sessionStore.appendUserMessage(from, `[${message.type} message received]`);
+      state.userRecorded = true;
+      await job.checkpoint(state);
+    }
+
+    const convo = await sessionStore.getConversationForOpenAI(from);
+    // errors propagate so the queue retries with backoff; an exhausted quota is final
+    try {
+      const generated = await generateReplyWithTools(from, convo, job, state);
+      // blocked replies are replaced before they reach the history or the user
+      state.reply = await moderation.screenReply(generated, { user: from });
+    } catch (err) {
+      if (err.code !== 'QUOTA_EXCEEDED') throw err;
+      await sendTextWrapper(String(from).replace(/\D/g, ''), err.message);
+      return;
+    }
+    await sessionStore.appendAssistantMessage(from, state.reply);
+    await userMemory.learnFrom(from, userText);
+    await job.checkpoint(state);
+  }
+
+  const { voiceReplies } = await sessionStore.getSettings(from);
+  const voice = voiceReplies === 'on' || (voiceReplies === 'auto' && message.type === 'audio');
+  await sendReply(from, state.reply, { voice });
+}
+
+async function handleDeadLetter(job) {
+  const from = job.payload?.message?.from || job.sender;
+  try {
+    await sendTextWrapper(String(from).replace(/\D/g, ''), FALLBACK_REPLY);
+  } catch (err) {
+    console.error('Failed to send fallback reply via WhatsApp Cloud API:', err?.response?.data || err?.message || err);
+  }
+}
+
+module.exports = { processJob, handleDeadLetter, extractMessage };
@@ -0,0 +1,226 @@
+/**
+ * message-templates.js
+ * Local registry of the message templates approved for our WhatsApp Business account, and the
+ * builder for the `template` object of a Cloud API template message. Templates are the only
+ * messages delivered to users outside the 24-hour customer-service window (service-window.js).
+ *
+ * Templates are created and approved in WhatsApp Manager; list the approved ones in TEMPLATES_PATH
+ * (default ./templates.json, see templates.example.json) or add them with defineTemplate():
+ *  {
+ *    "name": "order_update", "language": "en_US",
+ *    "header": { "format": "text", "text": "Order {{1}}" },        // or format image|video|document
+ *    "body": "Hi {{1}}, your order has shipped.",
+ *    "buttons": [{ "type": "url", "text": "Track", "url": "https://example.com/t/{{1}}" },
+ *                { "type": "quick_reply", "text": "Stop updates" }]
+ *  }
+ * Parameter counts come from the {{n}} placeholders, so sends are checked before Meta rejects them.
+ *
+ * Usage:
+ *  const template = templates.buildTemplate('order_update', {
+ *    header: ['A-1001'], body: ['Sam'], buttons: [['A-1001'], ['stop']]
+ *  });
+ *  await sendTemplate(to, 'order_update', { header: ['A-1001'], body: ['Sam'] });   // whatsapp-utils
+ */
+
+const fs = require('fs');
+
+const MEDIA_FORMATS = ['image', 'video', 'document'];
+const PARAM_MAX_CHARS = 1000;
+
+const registry = new Map(); // name -> definition
+let loadedFrom = null;
+
+function templateError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function countParams(text) {
+  const found = String(text || '').match(/\{\{\s*\d+\s*\}\}/g) || [];
+  return new Set(found.map((p) => p.replace(/\D/g, ''))).size;
+}
+
+function normalize(def) {
+  if (!def || !def.name) throw new Error('message-templates: a template needs a name');
+  const header = def.header ? { format: String(def.header.format || 'text').toLowerCase(), text: def.header.text || '' } : null;
+  if (header && header.format !== 'text' && !MEDIA_FORMATS.includes(header.format)) {
+    throw new Error(`message-templates: ${def.name} has an unknown header format "${header.format}"`);
+  }
+  return {
+    name: String(def.name),
+    language: def.language || process.env.TEMPLATE_LANGUAGE || 'en_US',
+    category: def.category || null,
+    header,
+    body: String(def.body || ''),
+    footer: def.footer || null,
+    buttons: (def.buttons || []).map((b) => ({
+      type: String(b.type || 'quick_reply').toLowerCase(),
+      text: b.text || '',
+      url: b.url || ''
+    }))
+  };
+}
+
+// the file is read on first use so dotenv.config() may run after this module is required
+function load() {
+  const file = process.env.TEMPLATES_PATH || './templates.json';
+  if (loadedFrom === file) return;
+  loadedFrom = file;
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('message-templates: read error', err?.message || err);
+    return;
+  }
+  try {
+    const parsed = JSON.parse(raw);
+    for (const def of Array.isArray(parsed) ? parsed : parsed.templates || []) {
+      const t = normalize(def);
+      if (!registry.has(t.name)) registry.set(t.name, t);
+    }
+  } catch (err) {
+    console.error(`message-templates: ${file} is invalid`, err?.message || err);
+  }
+}
+
+/** defineTemplate(def) - registers (or replaces) an approved template; see the header for the shape. */
+function defineTemplate(def) {
+  load();
+  const t = normalize(def);
+  registry.set(t.name, t);
+  return t;
+}
+
+function getTemplate(name) {
+  load();
+  return registry.get(String(name || '')) || null;
+}
+
+function listTemplates() {
+  load();
+  return Array.from(registry.values());
+}
+
+/** paramCounts(name) -> { header, body, buttons: [n per button] } */
+function paramCounts(name) {
+  const t = getTemplate(name);
+  if (!t) throw templateError('TEMPLATE_UNKNOWN', `Template "${name}" is not in the approved template list.`);
+  return {
+    header: !t.header ? 0 : t.header.format === 'text' ? countParams(t.header.text) : 1,
+    body: countParams(t.body),
+    // quick-reply payloads are optional (they default to the button text), so they aren't counted
+    buttons: t.buttons.map((b) => (b.type === 'url' ? countParams(b.url) : 0))
+  };
+}
+
+/**
+ * cleanParam(value) -> String a template accepts: Meta rejects parameters with newlines, tabs or
+ * more than four consecutive spaces, so whitespace is collapsed; at most PARAM_MAX_CHARS.
+ */
+function cleanParam(value) {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  return text.length > PARAM_MAX_CHARS ? text.slice(0, PARAM_MAX_CHARS - 1) + '…' : text;
+}
+
+function textParams(values, expected, where, name) {
+  const list = (values || []).map(cleanParam);
+  if (list.length !== expected) {
+    throw templateError('TEMPLATE_PARAMS', `Template "${name}" takes ${expected} ${where} parameter${expected === 1 ? '' : 's'}, got ${list.length}.`);
+  }
+  if (list.some((p) => !p)) throw templateError('TEMPLATE_PARAMS', `Template "${name}" has an empty ${where} parameter.`);
+  return list.map((text) => ({ type: 'text', text }));
+}
+
+// a media header is { id }, { link }, a URL or a media id
+function mediaParam(format, value, name) {
+  const media = typeof value === 'string' ? (/^https?:\/\//i.test(value) ? { link: value } : { id: value }) : value;
+  if (!media || !(media.id || media.link)) {
+    throw templateError('TEMPLATE_PARAMS', `Template "${name}" needs a ${format} for its header (a media id or a link).`);
+  }
+  return { type: format, [format]: media.id ? { id: media.id } : { link: media.link } };
+}
+
+/**
+ * buildTemplate(name, { header, body, buttons, language }) -> Cloud API `template` object
+ * header: [text params] for text headers, or the media ({ id } / { link }) for media headers.
+ * body: [text params]. buttons: one entry per template button, in order - [text] for URL buttons
+ * with a placeholder, [payload] (or a payload string) for quick replies; quick replies without
+ * a payload get the button text. Throws with err.code TEMPLATE_UNKNOWN or TEMPLATE_PARAMS.
+ */
+function buildTemplate(name, { header, body, buttons, language } = {}) {
+  const t = getTemplate(name);
+  const counts = paramCounts(name);
+  const components = [];
+  if (!counts.header && header && header.length !== 0) {
+    throw templateError('TEMPLATE_PARAMS', `Template "${name}" takes no header parameters.`);
+  }
+  if (t.header && counts.header) {
+    const parameters = t.header.format === 'text'
+      ? textParams(header, counts.header, 'header', name)
+      : [mediaParam(t.header.format, Array.isArray(header) ? header[0] : header, name)];
+    components.push({ type: 'header', parameters });
+  }
+  if (counts.body || (body && body.length)) {
+    components.push({ type: 'body', parameters: textParams(body, counts.body, 'body', name) });
+  }
+  t.buttons.forEach((button, index) => {
+    const given = buttons?.[index];
+    if (button.type === 'quick_reply') {
+      const payload = Array.isArray(given) ? given[0] : given;
+      components.push({
+        type: 'button',
+        sub_type: 'quick_reply',
+        index: String(index),
+        parameters: [{ type: 'payload', payload: String(payload || button.text || index) }]
+      });
+    } else if (button.type === 'url' && counts.buttons[index]) {
+      components.push({
+        type: 'button',
+        sub_type: 'url',
+        index: String(index),
+        parameters: textParams(Array.isArray(given) ? given : given ? [given] : [], counts.buttons[index], `button ${index + 1}`, name)
+      });
+    }
+  });
+  const template = { name: t.name, language: { code: language || t.language } };
+  if (components.length) template.components = components;
+  return template;
+}
+
+/**
+ * fallbackParams(name, text) -> params for buildTemplate
+ * Used when free-form text can't be delivered: the text becomes the template's only body
+ * parameter, so a fallback template takes exactly one ({{1}}) and no header parameters.
+ */
+function fallbackParams(name, text) {
+  const counts = paramCounts(name);
+  if (counts.body !== 1 || counts.header) {
+    throw templateError('TEMPLATE_PARAMS', `Fallback template "${name}" must take exactly one body parameter and no header parameters.`);
+  }
+  return { body: [text] };
+}
+
+/** render(name, params) -> the text the recipient will see, for logs and previews. */
+function render(name, { header, body } = {}) {
+  const t = getTemplate(name);
+  if (!t) return '';
+  const fill = (text, values) => String(text || '').replace(/\{\{\s*(\d+)\s*\}\}/g, (m, n) => cleanParam(values?.[n - 1] ?? m));
+  const parts = [];
+  if (t.header?.format === 'text' && t.header.text) parts.push(fill(t.header.text, header));
+  parts.push(fill(t.body, body));
+  if (t.footer) parts.push(t.footer);
+  return parts.filter(Boolean).join('\n');
+}
+
+module.exports = {
+  defineTemplate,
+  getTemplate,
+  listTemplates,
+  paramCounts,
+  buildTemplate,
+  fallbackParams,
+  render,
+  cleanParam
+};
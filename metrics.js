@@ -0,0 +1,51 @@
+/**
+ * metrics.js
+ * Counters (e.g. duplicate webhooks dropped) kept in the storage adapter (storage/index.js),
+ * so the web server and separate workers add up to the same totals in /stats.
+ *  metric:<name>   Number, never expires
+ * Counting never throws: a storage error is logged and the caller carries on.
+ *
+ * Usage:
+ *  const metrics = require('./metrics');
+ *  await metrics.increment('webhook.duplicates');
+ *  await metrics.get('webhook.duplicates'); // -> 3
+ *  await metrics.snapshot();                // -> { 'webhook.duplicates': 3 }
+ */
+
+const { getDefaultAdapter } = require('./storage');
+
+const KEY_PREFIX = 'metric:';
+
+let adapter = null;
+
+function _adapter() {
+  if (!adapter) adapter = getDefaultAdapter();
+  return adapter;
+}
+
+function useAdapter(next) {
+  adapter = next;
+}
+
+async function increment(name, by = 1) {
+  try {
+    await _adapter().incr(KEY_PREFIX + name, by);
+  } catch (err) {
+    console.error('metrics: increment error', err?.message || err);
+  }
+}
+
+async function get(name) {
+  return Number(await _adapter().get(KEY_PREFIX + name)) || 0;
+}
+
+async function snapshot() {
+  const out = {};
+  for (const key of await _adapter().keys(KEY_PREFIX)) {
+    const name = key.slice(KEY_PREFIX.length);
+    out[name] = await get(name);
+  }
+  return out;
+}
+
+module.exports = { useAdapter, increment, get, snapshot };
@@ -0,0 +1,41 @@
+/**
+ * moderation-checkers/openai.js
+ * Checker backed by a moderation API in OpenAI's /v1/moderations shape (OpenAI itself, or any
+ * compatible server via baseUrl).
+ *
+ * createChecker({ apiKey, baseUrl, model }) -> { name: 'openai', check(text) }
+ * check() resolves [{ category, score }] for the categories the API flagged. API categories are
+ * folded into moderation.js's: hate/threatening -> hate, sexual/minors -> minors,
+ * self-harm/intent -> self-harm, and so on.
+ */
+
+const axios = require('axios');
+
+function categoryFor(apiCategory) {
+  if (apiCategory === 'sexual/minors') return 'minors';
+  return apiCategory.split('/')[0];
+}
+
+function createChecker({ apiKey, baseUrl = 'https://api.openai.com/v1', model = 'omni-moderation-latest' }) {
+  const url = `${baseUrl.replace(/\/$/, '')}/moderations`;
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  async function check(text) {
+    const resp = await axios.post(url, { model, input: String(text) }, { headers, timeout: 15000 });
+    const result = resp.data?.results?.[0];
+    if (!result || !result.flagged) return [];
+    const best = new Map(); // category -> highest score
+    for (const [name, flagged] of Object.entries(result.categories || {})) {
+      if (!flagged) continue;
+      const category = categoryFor(name);
+      const score = result.category_scores?.[name] ?? 1;
+      if (!best.has(category) || best.get(category) < score) best.set(category, score);
+    }
+    return Array.from(best, ([category, score]) => ({ category, score }));
+  }
+
+  return { name: 'openai', check };
+}
+
+module.exports = { createChecker };
@@ -0,0 +1,81 @@
+/**
+ * moderation-checkers/wordlist.js
+ * Local word-list checker: no network, always available.
+ *
+ * createChecker({ file }) -> { name: 'wordlist', check(text) }
+ * check() resolves [{ category, term }] for every list entry found in the text.
+ *
+ * The list (moderation-words.json, or MODERATION_WORDLIST_FILE) maps categories to entries.
+ * Entries match whole words only, so "Whitney" or "Scunthorpe" never match; a trailing *
+ * also matches longer words (fuck* -> fucking). Before matching the text is normalised:
+ * accents are dropped, leetspeak inside words is undone (sh1t, $hit, b!tch), letters spelled
+ * out with spaces or dots are joined (f u c k, s.h.i.t) and stretched letters (fuuuck) match.
+ * matchesGroup() uses the list's `groups` the same way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'moderation-words.json');
+const LEET = { 0: 'o', 1: 'i', 2: 'z', 3: 'e', 4: 'a', 5: 's', 6: 'g', 7: 't', 8: 'b', 9: 'g', '@': 'a', $: 's', '!': 'i', '|': 'l' };
+
+/** normalize(text) -> lower-case text with accents, leetspeak and spelled-out letters undone */
+function normalize(text) {
+  let t = String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  // digits and symbols only count as letters inside a word ("b!tch", but not "2024" or "hi!")
+  t = t.replace(/[a-z0-9@$!|]+/g, (word) => (/[a-z]/.test(word)
+    ? word.replace(/[0-9@$]|[!|](?=[a-z0-9])/g, (c) => LEET[c] || c)
+    : word));
+  return t.replace(/(?<![a-z])[a-z](?:[\s.\-_*]+[a-z](?![a-z])){2,}/g, (m) => m.replace(/[\s.\-_*]+/g, ''));
+}
+
+function escape(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "fuck*" -> fuuuck, fucking; "kill yourself" -> any spacing between the words
+function compile(entry) {
+  const wildcard = entry.endsWith('*');
+  const words = normalize(wildcard ? entry.slice(0, -1) : entry).trim().split(/\s+/);
+  const body = words.map((w) => Array.from(w).map((c) => (/[a-z]/.test(c) ? `${c}+` : escape(c))).join('')).join('\\s+');
+  return new RegExp(`(?<![a-z])${body}${wildcard ? '[a-z]*' : ''}(?![a-z])`);
+}
+
+function load(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const categories = Object.entries(data.categories || {}).map(([category, entries]) => ({
+    category,
+    terms: entries.map((term) => ({ term, pattern: compile(term) }))
+  }));
+  const groups = (data.groups || []).map((term) => ({ term, pattern: compile(term) }));
+  return { categories, groups };
+}
+
+function createChecker({ file = process.env.MODERATION_WORDLIST_FILE || DEFAULT_FILE } = {}) {
+  let list = null;
+  const getList = () => {
+    if (!list) list = load(file);
+    return list;
+  };
+
+  async function check(text) {
+    const t = normalize(text);
+    const hits = [];
+    for (const { category, terms } of getList().categories) {
+      const found = terms.find(({ pattern }) => pattern.test(t));
+      if (found) hits.push({ category, term: found.term });
+    }
+    return hits;
+  }
+
+  /** matchesGroup(text) -> the group entry the text names, or null */
+  function matchesGroup(text) {
+    const t = normalize(text);
+    const found = getList().groups.find(({ pattern }) => pattern.test(t));
+    return found ? found.term : null;
+  }
+
+  return { name: 'wordlist', check, matchesGroup };
+}
+
+module.exports = { createChecker, normalize };
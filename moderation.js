@@ -0,0 +1,216 @@
+/**
+ * moderation.js
+ * Content moderation for what users send and what the bot generates.
+ *
+ * Text is run through the configured checkers (MODERATION_CHECKERS, default "wordlist"):
+ *  - wordlist : moderation-checkers/wordlist.js, the local list in moderation-words.json
+ *  - openai   : moderation-checkers/openai.js, a /v1/moderations API (MODERATION_API_KEY or
+ *               OPENAI_API_KEY, optional MODERATION_BASE_URL and MODERATION_MODEL)
+ * addChecker({ name, check(text) -> [{ category, term?, score? }] }) plugs in another one. A checker
+ * that fails is logged and skipped, so an API outage never stops the bot.
+ *
+ * Each flagged category maps to an action:
+ *  - block : the message is refused / the generated text is withheld
+ *  - warn  : the user is told to keep it respectful, the message goes through
+ *  - log   : only recorded in the review log
+ *  - off   : ignored
+ * Defaults are in DEFAULT_ACTIONS; MODERATION_ACTIONS overrides them ("profanity=log,violence=warn")
+ * and MODERATION_ACTIONS_<SOURCE> overrides those for one source: INBOUND (user messages and
+ * command arguments), REPLY (generated replies and tool arguments) or IMAGE (/image prompts).
+ * The strictest action of all flagged categories wins.
+ *
+ * Everything flagged is kept in the review log for moderators (/modlog) for MODERATION_LOG_DAYS
+ * (default 30). Storage is any adapter from storage/ (defaults to the session backend):
+ *  modlog:<ts>-<rnd>   { ts, user, source, action, categories, hits, excerpt }
+ *
+ * Usage:
+ *  const verdict = await moderation.review(text, { user: from, source: 'inbound' });
+ *  if (verdict.action === 'block') await sendText(from, moderation.notice(verdict));
+ *  const reply = await moderation.screenReply(generated, { user: from });
+ */
+
+const crypto = require('crypto');
+const { getDefaultAdapter } = require('./storage');
+const wordlist = require('./moderation-checkers/wordlist');
+const openaiChecker = require('./moderation-checkers/openai');
+
+const LOG_PREFIX = 'modlog:';
+const EXCERPT_MAX = 200;
+const CATEGORIES = ['profanity', 'hate', 'harassment', 'sexual', 'minors', 'violence', 'self-harm', 'illicit'];
+const DEFAULT_ACTIONS = {
+  hate: 'block',
+  minors: 'block',
+  sexual: 'block',
+  harassment: 'warn',
+  profanity: 'warn',
+  violence: 'log',
+  'self-harm': 'log',
+  illicit: 'log'
+};
+const SEVERITY = { off: 0, log: 1, warn: 2, block: 3 };
+const WITHHELD_TEXT = "Sorry, I can't share that reply. Please try asking in a different way.";
+
+let adapter = null;
+let checkers = null; // built on first use so dotenv.config() may run after this module is required
+const extraCheckers = [];
+let wordChecker = null;
+
+function _adapter() {
+  if (!adapter) adapter = getDefaultAdapter();
+  return adapter;
+}
+
+function useAdapter(next) {
+  adapter = next;
+}
+
+function normalizeBare(jidOrNumber) {
+  return String(jidOrNumber || '').replace(/\D/g, '');
+}
+
+function getWordChecker() {
+  if (!wordChecker) wordChecker = wordlist.createChecker();
+  return wordChecker;
+}
+
+function getCheckers() {
+  if (checkers) return [...checkers, ...extraCheckers];
+  checkers = [];
+  const names = (process.env.MODERATION_CHECKERS || 'wordlist').split(',').map((n) => n.trim().toLowerCase()).filter(Boolean);
+  for (const name of names) {
+    if (name === 'wordlist') {
+      checkers.push(getWordChecker());
+    } else if (name === 'openai' && (process.env.MODERATION_API_KEY || process.env.OPENAI_API_KEY || process.env.MODERATION_BASE_URL)) {
+      checkers.push(openaiChecker.createChecker({
+        apiKey: process.env.MODERATION_API_KEY || process.env.OPENAI_API_KEY,
+        baseUrl: process.env.MODERATION_BASE_URL || undefined,
+        model: process.env.MODERATION_MODEL || undefined
+      }));
+    } else {
+      console.warn(`moderation: checker "${name}" is unknown or missing its key; skipped.`);
+    }
+  }
+  return [...checkers, ...extraCheckers];
+}
+
+/** addChecker({ name, check }) - adds a checker after the configured ones */
+function addChecker(checker) {
+  if (!checker || !checker.name || typeof checker.check !== 'function') throw new Error('a checker needs a name and a check function');
+  extraCheckers.push(checker);
+}
+
+function parseActions(raw) {
+  const out = {};
+  for (const pair of String(raw || '').split(',')) {
+    const [category, action] = pair.split('=').map((s) => s.trim().toLowerCase());
+    if (category && SEVERITY[action] !== undefined) out[category] = action;
+  }
+  return out;
+}
+
+/** actionsFor(source) -> { category: action } after MODERATION_ACTIONS and MODERATION_ACTIONS_<SOURCE> */
+function actionsFor(source = 'inbound') {
+  return {
+    ...DEFAULT_ACTIONS,
+    ...parseActions(process.env.MODERATION_ACTIONS),
+    ...parseActions(process.env[`MODERATION_ACTIONS_${String(source).toUpperCase()}`])
+  };
+}
+
+/**
+ * check(text, { source }) -> { action, categories, hits }
+ * action is 'allow' when nothing was flagged (or every flagged category is off).
+ */
+async function check(text, { source = 'inbound' } = {}) {
+  const verdict = { action: 'allow', categories: [], hits: [] };
+  if (!text || !String(text).trim()) return verdict;
+  for (const checker of getCheckers()) {
+    try {
+      for (const hit of await checker.check(String(text))) verdict.hits.push({ checker: checker.name, ...hit });
+    } catch (err) {
+      console.error(`moderation: ${checker.name} checker error`, err?.response?.data || err?.message || err);
+    }
+  }
+  const actions = actionsFor(source);
+  for (const category of new Set(verdict.hits.map((h) => h.category))) {
+    // categories a checker invents that nobody configured are only logged
+    const action = actions[category] || 'log';
+    if (action === 'off') continue;
+    verdict.categories.push(category);
+    if (verdict.action === 'allow' || SEVERITY[action] > SEVERITY[verdict.action]) verdict.action = action;
+  }
+  return verdict;
+}
+
+/** review(text, { user, source }) -> verdict of check(); anything flagged is written to the review log */
+async function review(text, { user = null, source = 'inbound' } = {}) {
+  const verdict = await check(text, { source });
+  if (verdict.action === 'allow') return verdict;
+  const ts = Date.now();
+  const entry = {
+    ts,
+    user: normalizeBare(user) || null,
+    source,
+    action: verdict.action,
+    categories: verdict.categories,
+    hits: verdict.hits,
+    excerpt: String(text).slice(0, EXCERPT_MAX)
+  };
+  const key = `${LOG_PREFIX}${String(ts).padStart(15, '0')}-${crypto.randomBytes(3).toString('hex')}`;
+  try {
+    await _adapter().set(key, entry, parseInt(process.env.MODERATION_LOG_DAYS || '30', 10) * 24 * 60 * 60 * 1000);
+  } catch (err) {
+    console.error('moderation: review log error', err?.message || err);
+  }
+  console.log(`moderation: ${verdict.action} ${source} from ${entry.user || 'unknown'} (${verdict.categories.join(', ')})`);
+  return verdict;
+}
+
+/** notice(verdict) -> what to tell the user about a blocked or warned message */
+function notice(verdict) {
+  return verdict.action === 'block'
+    ? "🚫 I can't help with that. The message was flagged by the content policy."
+    : '⚠️ Please keep it respectful.';
+}
+
+/**
+ * screenReply(text, { user, source }) -> text, or a neutral apology when the generated text is
+ * blocked. Generated text is never sent with a warning; warn and log only record it.
+ */
+async function screenReply(text, { user = null, source = 'reply' } = {}) {
+  const verdict = await review(text, { user, source });
+  return verdict.action === 'block' ? WITHHELD_TEXT : text;
+}
+
+/** mentionsGroup(text) -> the protected group the text names (moderation-words.json groups), or null */
+function mentionsGroup(text) {
+  return getWordChecker().matchesGroup(text);
+}
+
+/** getLog({ user, limit }) -> review log entries, newest first */
+async function getLog({ user = null, limit = 20 } = {}) {
+  const keys = (await _adapter().keys(LOG_PREFIX)).sort().reverse();
+  const out = [];
+  const wanted = user ? normalizeBare(user) : null;
+  for (const key of keys) {
+    const entry = await _adapter().get(key);
+    if (!entry || (wanted && entry.user !== wanted)) continue;
+    out.push(entry);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+module.exports = {
+  CATEGORIES,
+  WITHHELD_TEXT,
+  useAdapter,
+  addChecker,
+  actionsFor,
+  check,
+  review,
+  notice,
+  screenReply,
+  mentionsGroup,
+  getLog
+};
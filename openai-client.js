@@ -1,37 +1,220 @@
-const axios = require('axios');
+/**
+ * openai-client.js
+ * Chat wrapper used by the webhook flow and commands. Despite the name it supports
+ * several providers (see llm-providers/):
+ *  - openai             : api.openai.com (OPENAI_API_KEY)
+ *  - openai-compatible  : any server speaking Chat Completions, e.g. llama.cpp or Ollama
+ *                         (LLM_BASE_URL, optional LLM_API_KEY)
+ *  - anthropic          : Anthropic-style Messages API (ANTHROPIC_API_KEY, optional ANTHROPIC_BASE_URL)
+ *
+ * LLM_PROVIDER picks one explicitly; otherwise the first configured key/URL wins.
+ * With nothing configured the module still loads: isConfigured() is false and AI
+ * features should tell the user they are disabled instead of crashing the bot.
+ *
+ * Model settings (per deployment, optionally per command):
+ *  - LLM_MODEL, LLM_TEMPERATURE, LLM_MAX_TOKENS               defaults for every call
+ *  - LLM_CONTEXT_WINDOW                                        model context size in tokens
+ *                                                              (guessed from the model name when unset)
+ *  - LLM_VISION                                                true/false: the model accepts images
+ *                                                              (guessed from the model name when unset)
+ *  - LLM_MODEL_<CMD>, LLM_TEMPERATURE_<CMD>, LLM_MAX_TOKENS_<CMD>
+ *    overrides for one command, e.g. LLM_MODEL_DEFINE=gpt-4o-mini, LLM_MODEL_CHAT=gpt-4o
+ *
+ * Usage:
+ *  const reply = await openaiClient.generateReply(messages, { command: 'define' });
+ *  const { content, usage, model } = await openaiClient.complete(messages, { command: 'chat' });
+ *  const { content, toolCalls } = await openaiClient.complete(messages, { tools });   // function calling
+ *
+ * Pass `user` (the sender's number) to have the call counted and checked against the user's
+ * quota (usage-tracker.js); over quota, complete() throws an error with code QUOTA_EXCEEDED
+ * whose message can be sent to the user as is.
+ *
+ * Tools are passed in Chat Completions shape ([{ type: 'function', function: { name, description, parameters } }])
+ * and returned as toolCalls: [{ id, name, arguments }] whatever the provider. Set LLM_TOOLS=false
+ * for servers without function-calling support.
+ */
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+const openaiProvider = require('./llm-providers/openai');
+const anthropicProvider = require('./llm-providers/anthropic');
+const usageTracker = require('./usage-tracker');
 
-if (!OPENAI_API_KEY) {
-  throw new Error('OPENAI_API_KEY is required');
+const DEFAULT_MODELS = {
+  openai: 'gpt-3.5-turbo',
+  'openai-compatible': 'llama3',
+  anthropic: 'claude-3-5-haiku-latest'
+};
+// context sizes by model-name prefix (longest match wins)
+const CONTEXT_WINDOWS = {
+  'gpt-3.5-turbo': 16385,
+  'gpt-4': 8192,
+  'gpt-4-turbo': 128000,
+  'gpt-4o': 128000,
+  'gpt-4.1': 1047576,
+  claude: 200000,
+  llama3: 8192
+};
+const DEFAULT_CONTEXT_WINDOW = 8192;
+// models that accept image content parts, by model-name prefix (LLM_VISION overrides the guess)
+const VISION_MODELS = [
+  'gpt-4o', 'gpt-4.1', 'gpt-4-turbo', 'gpt-4-vision', 'gpt-5', 'o1', 'o3', 'o4',
+  'claude-3', 'claude-sonnet-4', 'claude-opus-4', 'claude-haiku-4',
+  'llava', 'bakllava', 'llama3.2-vision', 'llama4', 'gemma3', 'qwen2.5vl', 'qwen2.5-vl', 'minicpm-v', 'moondream', 'pixtral'
+];
+const IMAGE_TOKENS = 800; // rough cost of one image part in the prompt
+const DEFAULT_MAX_TOKENS = 600;
+const DEFAULT_TEMPERATURE = 0.7;
+
+let provider; // undefined = not resolved yet, null = none configured
+
+function resolveProviderName() {
+  const explicit = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+  if (explicit) return explicit === 'none' ? null : explicit;
+  if (process.env.OPENAI_API_KEY) return 'openai';
+  if (process.env.ANTHROPIC_API_KEY) return 'anthropic';
+  if (process.env.LLM_BASE_URL) return 'openai-compatible';
+  return null;
 }
 
-const DEFAULT_MODEL = 'gpt-3.5-turbo';
-const DEFAULT_MAX_TOKENS = 600;
+// env is read on first use so dotenv.config() may run after this module is required
+function getProvider() {
+  if (provider !== undefined) return provider;
+  const name = resolveProviderName();
+  provider = null;
+  if (name === 'openai' && process.env.OPENAI_API_KEY) {
+    provider = openaiProvider.createProvider({
+      apiKey: process.env.OPENAI_API_KEY,
+      baseUrl: process.env.LLM_BASE_URL || undefined,
+      name: 'openai'
+    });
+  } else if (name === 'openai-compatible' && process.env.LLM_BASE_URL) {
+    provider = openaiProvider.createProvider({
+      apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+      baseUrl: process.env.LLM_BASE_URL,
+      name: 'openai-compatible'
+    });
+  } else if (name === 'anthropic' && process.env.ANTHROPIC_API_KEY) {
+    provider = anthropicProvider.createProvider({
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      baseUrl: process.env.ANTHROPIC_BASE_URL || undefined
+    });
+  } else if (name) {
+    console.warn(`openai-client: LLM_PROVIDER "${name}" is unknown or missing its key/URL; AI features are disabled.`);
+  } else {
+    console.warn('openai-client: no LLM provider configured; AI features are disabled.');
+  }
+  return provider;
+}
+
+function isConfigured() {
+  return Boolean(getProvider());
+}
+
+function supportsTools() {
+  return isConfigured() && process.env.LLM_TOOLS !== 'false';
+}
+
+/** supportsVision(command) - the configured model for `command` accepts image content parts. */
+function supportsVision(command = 'chat') {
+  return isConfigured() && getModelConfig(command).vision;
+}
+
+function envFor(name, command) {
+  const specific = command ? process.env[`${name}_${String(command).toUpperCase()}`] : undefined;
+  return specific !== undefined && specific !== '' ? specific : process.env[name];
+}
 
-async function generateReply(messages) {
-  // messages: [{role:'system'|'user'|'assistant', content:'...'}]
-  const payload = {
-    model: DEFAULT_MODEL,
-    messages,
-    max_tokens: DEFAULT_MAX_TOKENS,
-    temperature: 0.7
+function contextWindowFor(model) {
+  const name = String(model || '').toLowerCase();
+  const key = Object.keys(CONTEXT_WINDOWS)
+    .filter((k) => name.startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? CONTEXT_WINDOWS[key] : DEFAULT_CONTEXT_WINDOW;
+}
+
+function visionFor(model) {
+  const name = String(model || '').toLowerCase();
+  return VISION_MODELS.some((prefix) => name.startsWith(prefix));
+}
+
+// content is a string or an array of parts ({ type: 'text' } / { type: 'image_url' })
+function contentTokens(content) {
+  if (!Array.isArray(content)) return estimateTokens(content);
+  return content.reduce((sum, part) => sum + (part.type === 'image_url' ? IMAGE_TOKENS : estimateTokens(part.text || '')), 0);
+}
+
+/**
+ * estimateTokens(textOrMessages) -> Number
+ * Rough count without a tokenizer: ~4 characters per token for Latin text, one per
+ * character for CJK and similar scripts, plus a few tokens of overhead per message.
+ * Images (content parts, or image references in stored history) count IMAGE_TOKENS each.
+ */
+function estimateTokens(input) {
+  if (Array.isArray(input)) {
+    return input.reduce((sum, m) => sum + 4 + contentTokens(m.content) + (m.images ? m.images.length * IMAGE_TOKENS : 0), 0);
+  }
+  const text = typeof input === 'string' ? input : JSON.stringify(input ?? '');
+  const wide = (text.match(/[\u2E80-\uFFFF]/g) || []).length;
+  return Math.ceil((text.length - wide) / 4) + wide;
+}
+
+/**
+ * getModelConfig(command) -> { provider, model, temperature, maxTokens, contextWindow, vision }
+ * command is a short name like 'chat', 'summary', 'translate', 'define'.
+ */
+function getModelConfig(command = 'chat') {
+  const p = getProvider();
+  const temperature = parseFloat(envFor('LLM_TEMPERATURE', command));
+  const maxTokens = parseInt(envFor('LLM_MAX_TOKENS', command), 10);
+  const contextWindow = parseInt(envFor('LLM_CONTEXT_WINDOW', command), 10);
+  const vision = envFor('LLM_VISION', command);
+  const model = envFor('LLM_MODEL', command) || (p && DEFAULT_MODELS[p.name]) || null;
+  return {
+    provider: p ? p.name : null,
+    model,
+    temperature: Number.isNaN(temperature) ? DEFAULT_TEMPERATURE : temperature,
+    maxTokens: Number.isNaN(maxTokens) ? DEFAULT_MAX_TOKENS : maxTokens,
+    contextWindow: Number.isNaN(contextWindow) ? contextWindowFor(model) : contextWindow,
+    vision: vision ? vision === 'true' : visionFor(model)
   };
+}
 
-  const resp = await axios.post(OPENAI_API_URL, payload, {
-    headers: {
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    timeout: 60000
-  });
-
-  const content = resp.data?.choices?.[0]?.message?.content;
-  if (!content) {
-    throw new Error('No content in OpenAI response');
+/**
+ * complete(messages, options) -> { content, toolCalls, usage, model, provider }
+ * messages: [{role:'system'|'user'|'assistant'|'tool', content:'...'}]; user content may also be
+ *           Chat Completions parts: [{ type: 'text', text }, { type: 'image_url', image_url: { url } }]
+ * options: { command, user, model, temperature, maxTokens, tools } (explicit values beat config)
+ */
+async function complete(messages, options = {}) {
+  const p = getProvider();
+  if (!p) {
+    const err = new Error('No LLM provider configured');
+    err.code = 'LLM_NOT_CONFIGURED';
+    throw err;
   }
-  return content.trim();
+  const config = getModelConfig(options.command || 'chat');
+  const params = {
+    model: options.model || config.model,
+    temperature: options.temperature ?? config.temperature,
+    maxTokens: options.maxTokens ?? config.maxTokens,
+    tools: options.tools
+  };
+  if (options.user) await usageTracker.assertWithinQuota(options.user);
+  const result = await p.chat(messages, params);
+  if (result.usage) {
+    await usageTracker.record({
+      user: options.user,
+      command: options.command || 'chat',
+      model: result.model || params.model,
+      promptTokens: result.usage.prompt_tokens,
+      completionTokens: result.usage.completion_tokens
+    });
+  }
+  return { toolCalls: [], ...result, provider: p.name };
+}
+
+async function generateReply(messages, options = {}) {
+  const { content } = await complete(messages, options);
+  return content;
 }
 
-module.exports = { generateReply };
+module.exports = { generateReply, complete, isConfigured, supportsTools, supportsVision, getModelConfig, estimateTokens };
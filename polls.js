@@ -0,0 +1,293 @@
+/**
+ * polls.js
+ * Polls that survive restarts and are shared by all workers: users vote by tapping a button or
+ * list row on the ballot (ballot()), a poll can close itself at a set time, and when it closes
+ * every participant gets the results.
+ *
+ *  - anonymous (default) polls show counts only; public polls also show who voted for what
+ *  - multi-choice polls let a voter pick several options; tapping a picked option removes it
+ *  - only the creator sees the results before the poll closes, and only they can close it
+ *
+ * Ballot ids are poll:<id>:<option index> (commands.handleInteractiveReply routes them here).
+ * The runner (startRunner, started by the queue workers next to campaigns.js) closes polls whose
+ * time has come.
+ *
+ * Storage is any adapter from storage/ (defaults to the session backend):
+ *  poll:<id>               { id, question, options, creator, anonymous, multi, closesAt, status, createdAt, closedAt }
+ *  poll-vote:<id>:<voter>  { choices: [option index], at }
+ *  poll-closed:<id>        marker so a poll is only closed (and announced) once
+ * Open polls are kept until they close; closed ones POLL_RETENTION_DAYS (default 30).
+ *
+ * Usage:
+ *  const poll = await polls.create({ question, options, creator: from, multi: true, closesAt });
+ *  await sendInteractive(from, polls.ballot(poll));
+ *  const { poll, choices } = await polls.vote(poll.id, from, 1);
+ *  await polls.close(poll.id, { send: sendText });
+ */
+
+const crypto = require('crypto');
+const { getDefaultAdapter } = require('./storage');
+const { sendText } = require('./whatsapp-utils');
+
+const POLL_PREFIX = 'poll:';
+const VOTE_PREFIX = 'poll-vote:';
+const CLOSED_PREFIX = 'poll-closed:';
+const ID_PREFIX = 'poll:';
+const MAX_OPTIONS = 10; // rows in one interactive list
+const MAX_BUTTONS = 3;
+const BUTTON_TITLE_MAX = 20;
+const ROW_TITLE_MAX = 24;
+const ROW_DESCRIPTION_MAX = 72;
+const TICK_MS = 30 * 1000;
+
+let adapter = null;
+let runner = null;
+
+function _adapter() {
+  if (!adapter) adapter = getDefaultAdapter();
+  return adapter;
+}
+
+function useAdapter(next) {
+  adapter = next;
+}
+
+function normalizeBare(jidOrNumber) {
+  return String(jidOrNumber || '').replace(/\D/g, '');
+}
+
+function retentionMs() {
+  return parseInt(process.env.POLL_RETENTION_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+}
+
+function clip(text, max) {
+  return text.length > max ? text.slice(0, max - 1) + '…' : text;
+}
+
+/**
+ * create({ question, options, creator, anonymous, multi, closesAt }) -> poll
+ * 2 to 10 distinct options; closesAt (ms) must be in the future.
+ */
+async function create({ question, options, creator, anonymous = true, multi = false, closesAt = null }) {
+  const q = String(question || '').trim();
+  const opts = Array.from(new Set((options || []).map((o) => String(o).trim()).filter(Boolean)));
+  if (!q) throw new Error('A poll needs a question.');
+  if (opts.length < 2) throw new Error('A poll needs at least 2 different options.');
+  if (opts.length > MAX_OPTIONS) throw new Error(`A poll can have at most ${MAX_OPTIONS} options.`);
+  if (closesAt && closesAt <= Date.now()) throw new Error('The closing time has to be in the future.');
+  const poll = {
+    id: `poll_${Date.now().toString(36)}_${crypto.randomBytes(2).toString('hex')}`,
+    question: q,
+    options: opts,
+    creator: normalizeBare(creator),
+    anonymous: Boolean(anonymous),
+    multi: Boolean(multi),
+    closesAt: closesAt || null,
+    status: 'open',
+    createdAt: Date.now(),
+    closedAt: null
+  };
+  await _adapter().set(POLL_PREFIX + poll.id, poll);
+  return poll;
+}
+
+async function get(id) {
+  return _adapter().get(POLL_PREFIX + String(id || '').trim());
+}
+
+function isOpen(poll, now = Date.now()) {
+  return poll.status === 'open' && (!poll.closesAt || poll.closesAt > now);
+}
+
+/** list({ creator, status }) -> polls, newest first */
+async function list({ creator = null, status = null } = {}) {
+  const out = [];
+  for (const key of await _adapter().keys(POLL_PREFIX)) {
+    const poll = await _adapter().get(key);
+    if (!poll) continue;
+    if (creator && poll.creator !== normalizeBare(creator)) continue;
+    if (status && poll.status !== status) continue;
+    out.push(poll);
+  }
+  return out.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+async function count() {
+  return (await _adapter().keys(POLL_PREFIX)).length;
+}
+
+/**
+ * vote(id, voter, index) -> { poll, choices }
+ * Single-choice polls replace the voter's choice; multi-choice polls toggle the option.
+ * Throws (with a message for the user) for unknown or closed polls and bad option numbers.
+ */
+async function vote(id, voter, index) {
+  const poll = await get(id);
+  if (!poll) throw new Error('Poll not found.');
+  if (!isOpen(poll)) throw new Error('This poll is closed.');
+  if (!Number.isInteger(index) || index < 0 || index >= poll.options.length) {
+    throw new Error(`Invalid option. Pick 0 to ${poll.options.length - 1}.`);
+  }
+  const key = `${VOTE_PREFIX}${poll.id}:${normalizeBare(voter)}`;
+  const current = (await _adapter().get(key))?.choices || [];
+  let choices;
+  if (!poll.multi) choices = [index];
+  else if (current.includes(index)) choices = current.filter((i) => i !== index);
+  else choices = [...current, index].sort((a, b) => a - b);
+  if (choices.length) await _adapter().set(key, { choices, at: Date.now() });
+  else await _adapter().del(key);
+  return { poll, choices };
+}
+
+/** tally(id) -> { poll, counts: [n per option], voters: [[numbers] per option], participants: [numbers] } | null */
+async function tally(id) {
+  const poll = await get(id);
+  if (!poll) return null;
+  const counts = poll.options.map(() => 0);
+  const voters = poll.options.map(() => []);
+  const participants = [];
+  const prefix = `${VOTE_PREFIX}${poll.id}:`;
+  for (const key of await _adapter().keys(prefix)) {
+    const entry = await _adapter().get(key);
+    if (!entry) continue;
+    const voter = key.slice(prefix.length);
+    participants.push(voter);
+    for (const i of entry.choices) {
+      if (counts[i] === undefined) continue;
+      counts[i] += 1;
+      voters[i].push(voter);
+    }
+  }
+  return { poll, counts, voters, participants };
+}
+
+/** formatResults(tally) -> text: one line per option with count and share, voters for public polls. */
+function formatResults({ poll, counts, voters, participants }) {
+  const lines = poll.options.map((option, i) => {
+    const share = participants.length ? Math.round((counts[i] / participants.length) * 100) : 0;
+    let line = `${i}. ${option} — ${counts[i]} vote${counts[i] === 1 ? '' : 's'} (${share}%)`;
+    if (!poll.anonymous && voters[i].length) line += `\n   ${voters[i].map((v) => `+${v}`).join(', ')}`;
+    return line;
+  });
+  const who = `${participants.length} voter${participants.length === 1 ? '' : 's'}`;
+  return `${poll.question}\n${lines.join('\n')}\n${who}${poll.multi ? ', several choices allowed' : ''}`;
+}
+
+/**
+ * ballot(poll) -> interactive payload for sendInteractive: reply buttons for up to 3 short
+ * options, otherwise a list. Each choice's id is poll:<id>:<index>.
+ */
+function ballot(poll) {
+  const notes = [];
+  if (poll.multi) notes.push('Pick as many as you like; tap an option again to remove it.');
+  if (!poll.anonymous) notes.push('Votes are public: everyone sees who voted for what when the poll closes.');
+  const body = { text: clip([`📊 ${poll.question}`, ...notes].join('\n\n'), 1024) };
+  const footer = { text: `Poll ${poll.id}` };
+  const short = poll.options.every((o) => o.length <= BUTTON_TITLE_MAX);
+  if (poll.options.length <= MAX_BUTTONS && short) {
+    return {
+      type: 'button',
+      body,
+      footer,
+      action: { buttons: poll.options.map((o, i) => ({ type: 'reply', reply: { id: `${ID_PREFIX}${poll.id}:${i}`, title: o } })) }
+    };
+  }
+  return {
+    type: 'list',
+    body,
+    footer,
+    action: {
+      button: 'Vote',
+      sections: [{
+        title: 'Options',
+        rows: poll.options.map((o, i) => {
+          const row = { id: `${ID_PREFIX}${poll.id}:${i}`, title: clip(o, ROW_TITLE_MAX) };
+          if (o.length > ROW_TITLE_MAX) row.description = clip(o, ROW_DESCRIPTION_MAX);
+          return row;
+        })
+      }]
+    }
+  };
+}
+
+/** parseBallotId('poll:<id>:<index>') -> { id, index } | null */
+function parseBallotId(replyId) {
+  const m = String(replyId || '').match(/^poll:(poll_[\w-]+):(\d+)$/);
+  return m ? { id: m[1], index: parseInt(m[2], 10) } : null;
+}
+
+/**
+ * close(id, { send }) -> tally of the closed poll, or null if it was already closed
+ * Sends the results to the creator and everyone who voted (send defaults to sendText).
+ */
+async function close(id, { send = sendText } = {}) {
+  const poll = await get(id);
+  if (!poll) throw new Error('Poll not found.');
+  // several workers may reach a due poll at once; only the first one announces it
+  if (!(await _adapter().setIfAbsent(CLOSED_PREFIX + poll.id, Date.now(), retentionMs()))) return null;
+  poll.status = 'closed';
+  poll.closedAt = Date.now();
+  await _adapter().set(POLL_PREFIX + poll.id, poll, retentionMs());
+  const result = await tally(poll.id);
+  for (const key of await _adapter().keys(`${VOTE_PREFIX}${poll.id}:`)) {
+    const entry = await _adapter().get(key);
+    if (entry) await _adapter().set(key, entry, retentionMs());
+  }
+  const text = `🏁 Poll closed\n${formatResults(result)}`;
+  for (const to of new Set([poll.creator, ...result.participants])) {
+    try {
+      await send(to, text);
+    } catch (err) {
+      console.error('polls: results not delivered to', to, err?.response?.data || err?.message || err);
+    }
+  }
+  return result;
+}
+
+/** closeDue({ send }) -> ids of the polls closed because their time was up */
+async function closeDue(options = {}) {
+  const now = Date.now();
+  const closed = [];
+  for (const poll of await list({ status: 'open' })) {
+    if (poll.closesAt && poll.closesAt <= now && (await close(poll.id, options))) closed.push(poll.id);
+  }
+  return closed;
+}
+
+/** startRunner({ send }) - closes due polls every TICK_MS; safe to call in several processes. */
+function startRunner(options = {}) {
+  if (runner) return;
+  let busy = false;
+  runner = setInterval(() => {
+    if (busy) return;
+    busy = true;
+    closeDue(options)
+      .catch((err) => console.error('polls: runner error', err?.message || err))
+      .finally(() => { busy = false; });
+  }, TICK_MS);
+  runner.unref();
+}
+
+function stopRunner() {
+  clearInterval(runner);
+  runner = null;
+}
+
+module.exports = {
+  useAdapter,
+  MAX_OPTIONS,
+  create,
+  get,
+  list,
+  count,
+  isOpen,
+  vote,
+  tally,
+  formatResults,
+  ballot,
+  parseBallotId,
+  close,
+  closeDue,
+  startRunner,
+  stopRunner
+};
@@ -0,0 +1,160 @@
+/**
+ * rate-limiter.js
+ * Fixed-window rate limits for inbound work, per user and for the whole bot, so one number
+ * can't run up the LLM bill or fill the disk with /video downloads.
+ *
+ * Every action spends points from two buckets that refill each window:
+ *  - per user : RATE_USER_LIMIT points per RATE_WINDOW_SECONDS (default 20 / 60s); admins are exempt
+ *  - global   : RATE_GLOBAL_LIMIT points per window across all users (default 300)
+ * Cost weights per kind of action: RATE_COST_CHAT (1), RATE_COST_IMAGE (5), RATE_COST_MEDIA (3).
+ * A cost of 0 disables limiting for that kind.
+ *
+ * Counters live in the storage adapter (storage/index.js) so replicas share them. Admin
+ * changes made with /ratelimit are stored there too (key rate-config) and beat the env values.
+ *
+ * Usage:
+ *  const result = await rateLimiter.consume(from, 'image');
+ *  if (!result.ok) { if (result.notify) await sendText(from, rateLimiter.cooldownMessage(result)); return; }
+ */
+
+const { getDefaultAdapter } = require('./storage');
+const metrics = require('./metrics');
+
+const COUNTER_PREFIX = 'rate:';
+const NOTIFIED_PREFIX = 'rate-notified:';
+const CONFIG_KEY = 'rate-config';
+const KINDS = ['chat', 'image', 'media'];
+
+let adapter = null;
+
+function _adapter() {
+  if (!adapter) adapter = getDefaultAdapter();
+  return adapter;
+}
+
+function useAdapter(next) {
+  adapter = next;
+}
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isNaN(n) ? fallback : n;
+}
+
+function defaults() {
+  return {
+    windowSeconds: envInt('RATE_WINDOW_SECONDS', 60),
+    userLimit: envInt('RATE_USER_LIMIT', 20),
+    globalLimit: envInt('RATE_GLOBAL_LIMIT', 300),
+    costs: {
+      chat: envInt('RATE_COST_CHAT', 1),
+      image: envInt('RATE_COST_IMAGE', 5),
+      media: envInt('RATE_COST_MEDIA', 3)
+    }
+  };
+}
+
+/** getConfig() -> { windowSeconds, userLimit, globalLimit, costs: { chat, image, media } } */
+async function getConfig() {
+  const base = defaults();
+  const overrides = (await _adapter().get(CONFIG_KEY)) || {};
+  return { ...base, ...overrides, costs: { ...base.costs, ...(overrides.costs || {}) } };
+}
+
+/**
+ * updateConfig(patch) -> config
+ * patch: { windowSeconds?, userLimit?, globalLimit?, costs?: { chat?, image?, media? } }
+ */
+async function updateConfig(patch) {
+  const overrides = (await _adapter().get(CONFIG_KEY)) || {};
+  const next = { ...overrides, ...patch, costs: { ...(overrides.costs || {}), ...(patch.costs || {}) } };
+  await _adapter().set(CONFIG_KEY, next);
+  return getConfig();
+}
+
+/** resetConfig() - drop runtime overrides, back to the env values. */
+async function resetConfig() {
+  await _adapter().del(CONFIG_KEY);
+  return getConfig();
+}
+
+function normalizeBare(jidOrNumber) {
+  return String(jidOrNumber || '').replace(/\D/g, '');
+}
+
+function windowOf(config, now = Date.now()) {
+  const ms = Math.max(1, config.windowSeconds) * 1000;
+  const index = Math.floor(now / ms);
+  return { ms, index, retryAfterSec: Math.ceil(((index + 1) * ms - now) / 1000) };
+}
+
+/**
+ * consume(from, kind, { exempt }) -> { ok, scope, used, limit, retryAfterSec, notify }
+ * scope is 'user' or 'global' when limited. notify is true for the first refusal per user
+ * and window, so a flood gets one cooldown message rather than one per message.
+ * exempt: skip the per-user bucket (admins); the global bucket still applies.
+ */
+async function consume(from, kind = 'chat', { exempt = false } = {}) {
+  const config = await getConfig();
+  const cost = config.costs[kind] ?? config.costs.chat;
+  if (!cost || cost <= 0) return { ok: true };
+  const win = windowOf(config);
+  const user = normalizeBare(from);
+  const userKey = `${COUNTER_PREFIX}u:${user}:${win.index}`;
+
+  if (!exempt && config.userLimit > 0) {
+    const used = await _adapter().incr(userKey, cost, win.ms * 2);
+    if (used > config.userLimit) return limited(user, 'user', used, config.userLimit, win);
+  }
+  if (config.globalLimit > 0) {
+    const used = await _adapter().incr(`${COUNTER_PREFIX}g:${win.index}`, cost, win.ms * 2);
+    if (used > config.globalLimit) {
+      // the user didn't get to spend these points
+      if (!exempt && config.userLimit > 0) await _adapter().incr(userKey, -cost, win.ms * 2);
+      return limited(user, 'global', used, config.globalLimit, win);
+    }
+  }
+  return { ok: true };
+}
+
+async function limited(user, scope, used, limit, win) {
+  await metrics.increment(`ratelimit.${scope}`);
+  const notify = await _adapter().setIfAbsent(`${NOTIFIED_PREFIX}${user}:${win.index}`, true, win.ms);
+  return { ok: false, scope, used, limit, retryAfterSec: win.retryAfterSec, notify };
+}
+
+function cooldownMessage(result) {
+  const wait = result.retryAfterSec > 90 ? `${Math.ceil(result.retryAfterSec / 60)} minutes` : `${result.retryAfterSec} seconds`;
+  if (result.scope === 'global') return `⏳ I'm getting a lot of messages right now. Please try again in about ${wait}.`;
+  return `⏳ You're sending messages faster than I can keep up. Please wait about ${wait} and try again.`;
+}
+
+/** getUsage(from) -> { user, global, config } points spent in the current window */
+async function getUsage(from) {
+  const config = await getConfig();
+  const win = windowOf(config);
+  const user = await _adapter().get(`${COUNTER_PREFIX}u:${normalizeBare(from)}:${win.index}`);
+  const global = await _adapter().get(`${COUNTER_PREFIX}g:${win.index}`);
+  return { user: user || 0, global: global || 0, retryAfterSec: win.retryAfterSec, config };
+}
+
+/** resetUser(from) - clear a user's counter for the current window. */
+async function resetUser(from) {
+  const config = await getConfig();
+  const win = windowOf(config);
+  const user = normalizeBare(from);
+  await _adapter().del(`${COUNTER_PREFIX}u:${user}:${win.index}`);
+  await _adapter().del(`${NOTIFIED_PREFIX}${user}:${win.index}`);
+}
+
+module.exports = {
+  KINDS,
+  useAdapter,
+  getConfig,
+  updateConfig,
+  resetConfig,
+  consume,
+  cooldownMessage,
+  getUsage,
+  resetUser
+};
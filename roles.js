@@ -0,0 +1,134 @@
+/**
+ * roles.js
+ * Persisted user roles and the audit log of role changes.
+ *
+ * Roles, lowest to highest: blocked < user < moderator < admin < owner.
+ *  - OWNER_NUMBERS (env) are always owners; owners can't be demoted or blocked from chat.
+ *  - ADMIN_NUMBERS (env) start out as admins until an owner changes their role in chat.
+ *  - Everyone else is 'user' unless a role was stored with setRole.
+ *
+ * Storage is any adapter from storage/ (defaults to the session backend):
+ *  role:<number>    { role, by, reason, updatedAt }
+ *  audit:<ts>-<rnd> { ts, actor, target, action, from, to, reason }   kept AUDIT_RETENTION_DAYS
+ *
+ * Usage:
+ *  const roles = require('./roles');
+ *  if (await roles.isBlocked(message.from)) return;
+ *  await roles.setRole('15551234567', 'moderator', { by: ownerNumber });
+ */
+
+const crypto = require('crypto');
+const { getDefaultAdapter } = require('./storage');
+
+const ROLES = ['blocked', 'user', 'moderator', 'admin', 'owner'];
+const ROLE_PREFIX = 'role:';
+const AUDIT_PREFIX = 'audit:';
+const auditRetentionDays = parseInt(process.env.AUDIT_RETENTION_DAYS || '90', 10);
+
+function parseNumbers(value) {
+  return (value || '').split(',').map((s) => s.replace(/\D/g, '')).filter(Boolean);
+}
+
+// env is read on first use so dotenv.config() may run after this module is required
+let envRoles = null;
+function _envRoles() {
+  if (!envRoles) {
+    envRoles = {
+      owners: parseNumbers(process.env.OWNER_NUMBERS),
+      admins: parseNumbers(process.env.ADMIN_NUMBERS)
+    };
+  }
+  return envRoles;
+}
+
+let adapter = null;
+
+function _adapter() {
+  if (!adapter) adapter = getDefaultAdapter();
+  return adapter;
+}
+
+function useAdapter(next) {
+  adapter = next;
+}
+
+function normalizeBare(jidOrNumber) {
+  return String(jidOrNumber || '').replace(/\D/g, '');
+}
+
+/**
+ * getRecord(number) -> { number, role, source: 'env'|'stored'|'default', by, reason, updatedAt }
+ */
+async function getRecord(jidOrNumber) {
+  const number = normalizeBare(jidOrNumber);
+  const env = _envRoles();
+  if (env.owners.includes(number)) return { number, role: 'owner', source: 'env', by: null, reason: null, updatedAt: null };
+  const stored = number ? await _adapter().get(ROLE_PREFIX + number) : null;
+  if (stored) return { number, source: 'stored', by: null, reason: null, updatedAt: null, ...stored };
+  if (env.admins.includes(number)) return { number, role: 'admin', source: 'env', by: null, reason: null, updatedAt: null };
+  return { number, role: 'user', source: 'default', by: null, reason: null, updatedAt: null };
+}
+
+async function getRole(jidOrNumber) {
+  return (await getRecord(jidOrNumber)).role;
+}
+
+async function isBlocked(jidOrNumber) {
+  return (await getRole(jidOrNumber)) === 'blocked';
+}
+
+function rank(role) {
+  return ROLES.indexOf(role);
+}
+
+/**
+ * setRole(number, role, { by, reason, action }) -> { from, to }
+ * Stores the role and appends an audit entry. Throws for unknown roles and for env owners.
+ */
+async function setRole(jidOrNumber, role, { by = null, reason = null, action = 'set-role' } = {}) {
+  if (!ROLES.includes(role)) throw new Error(`unknown role "${role}"`);
+  const number = normalizeBare(jidOrNumber);
+  if (!number) throw new Error('a phone number is required');
+  const current = await getRecord(number);
+  if (current.source === 'env' && current.role === 'owner') throw new Error('owners are configured in OWNER_NUMBERS');
+  const record = { role, by: by ? normalizeBare(by) : null, reason, updatedAt: Date.now() };
+  await _adapter().set(ROLE_PREFIX + number, record);
+  await audit({ actor: record.by, target: number, action, from: current.role, to: role, reason });
+  return { from: current.role, to: role };
+}
+
+/* ---------- Audit log ---------- */
+
+async function audit(entry) {
+  const ts = Date.now();
+  const key = `${AUDIT_PREFIX}${String(ts).padStart(15, '0')}-${crypto.randomBytes(3).toString('hex')}`;
+  await _adapter().set(key, { ts, ...entry }, auditRetentionDays * 24 * 60 * 60 * 1000);
+  console.log(`audit: ${entry.actor || 'system'} ${entry.action} ${entry.target} ${entry.from} -> ${entry.to}`);
+}
+
+/**
+ * getAuditLog({ target, limit }) -> [entries], newest first
+ */
+async function getAuditLog({ target = null, limit = 20 } = {}) {
+  const keys = (await _adapter().keys(AUDIT_PREFIX)).sort().reverse();
+  const out = [];
+  const wanted = target ? normalizeBare(target) : null;
+  for (const key of keys) {
+    const entry = await _adapter().get(key);
+    if (!entry || (wanted && entry.target !== wanted)) continue;
+    out.push(entry);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+module.exports = {
+  ROLES,
+  useAdapter,
+  getRecord,
+  getRole,
+  isBlocked,
+  rank,
+  setRole,
+  getAuditLog
+};
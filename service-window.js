@@ -0,0 +1,84 @@
+/**
+ * service-window.js
+ * Remembers when each user last wrote to us. The Cloud API accepts free-form messages only within
+ * 24 hours of the user's last inbound message (the customer-service window); outside it only
+ * approved templates (message-templates.js) are delivered.
+ *
+ * Records live in the storage adapter (storage/index.js) for INBOUND_RETENTION_DAYS:
+ *  inbound:<number>   last inbound timestamp in ms
+ *
+ * Usage:
+ *  await serviceWindow.recordInbound(message.from, message.timestamp);   // webhook, seconds or ms
+ *  if (await serviceWindow.isOpen('15551234567')) { ...free-form text is fine... }
+ */
+
+const { getDefaultAdapter } = require('./storage');
+
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+// treat the window as closed a little early so a message queued at the edge isn't rejected
+const MARGIN_MS = 60 * 1000;
+const INBOUND_PREFIX = 'inbound:';
+
+let adapter = null;
+
+function _adapter() {
+  if (!adapter) adapter = getDefaultAdapter();
+  return adapter;
+}
+
+function useAdapter(next) {
+  adapter = next;
+}
+
+function retentionMs() {
+  return parseInt(process.env.INBOUND_RETENTION_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+}
+
+function toBare(user) {
+  return String(user || '').replace(/\D/g, '');
+}
+
+// webhook timestamps are unix seconds as strings
+function toMs(timestamp) {
+  const n = Number(timestamp);
+  if (!timestamp || !Number.isFinite(n)) return Date.now();
+  return n < 1e12 ? n * 1000 : n;
+}
+
+/** recordInbound(user, timestamp) - timestamp in seconds (as in webhooks) or ms; defaults to now. */
+async function recordInbound(user, timestamp) {
+  const number = toBare(user);
+  if (!number) return;
+  const ts = Math.min(toMs(timestamp), Date.now());
+  const previous = await _adapter().get(INBOUND_PREFIX + number);
+  // re-delivered or out-of-order webhooks must not move the window back
+  if (previous && previous >= ts) return;
+  await _adapter().set(INBOUND_PREFIX + number, ts, retentionMs());
+}
+
+/** getLastInbound(user) -> ms timestamp or null when the user hasn't written (within the retention). */
+async function getLastInbound(user) {
+  return (await _adapter().get(INBOUND_PREFIX + toBare(user))) || null;
+}
+
+/** isOpen(user, now) -> true while free-form messages to this user are allowed. */
+async function isOpen(user, now = Date.now()) {
+  const last = await getLastInbound(user);
+  return Boolean(last) && now - last < WINDOW_MS - MARGIN_MS;
+}
+
+/** closesAt(user) -> ms timestamp when the window closes, or null when it is closed. */
+async function closesAt(user) {
+  const last = await getLastInbound(user);
+  const end = last ? last + WINDOW_MS : null;
+  return end && end - MARGIN_MS > Date.now() ? end : null;
+}
+
+module.exports = {
+  WINDOW_MS,
+  useAdapter,
+  recordInbound,
+  getLastInbound,
+  isOpen,
+  closesAt
+};
@@ -1,72 +1,483 @@
-// Very small in-memory session store. Replace with Redis or DB in production.
-const maxMessages = parseInt(process.env.SESSION_MAX_MESSAGES || '12', 10); // conversation turns to keep
+// Conversation/session store. Storage is pluggable (see storage/index.js):
+// in-memory by default, or a JSON file / Redis-protocol server via SESSION_BACKEND.
+// All functions are async.
+//
+// History is trimmed to a token budget: SESSION_TOKEN_BUDGET (default 6000) capped by the chat
+// model's context window minus the reply reserve (openai-client getModelConfig). Turns that no
+// longer fit are folded into a running summary, sent as a second system message right after the
+// system prompt. The summary is written by the LLM (command 'history', so LLM_MODEL_HISTORY can
+// pick a cheaper model) or, without one, is a clipped digest of the dropped turns.
+//
+// Images the user sent are stored as references ({ id, mimeType, kind }), never as pixels. For a
+// vision-capable chat model the newest SESSION_VISION_IMAGES (default 2) are turned into image
+// content parts by the resolver set with setImageResolver; older ones are shown as "[image]".
+const { getDefaultAdapter } = require('./storage');
+
+const maxMedia = parseInt(process.env.SESSION_MAX_MEDIA || '10', 10); // media items to remember per user
+const visionImages = parseInt(process.env.SESSION_VISION_IMAGES || '2', 10); // newest images shown to vision models
 const ttlMinutes = parseInt(process.env.SESSION_TTL_MINUTES || '60', 10);
+const ttlMs = ttlMinutes * 60 * 1000;
+
+const DEFAULT_SYSTEM_PROMPT =
+  'You are a helpful WhatsApp assistant. Keep replies concise and friendly. Use casual, short messages suitable for WhatsApp.';
 
-const store = new Map();
+const KEY_PREFIX = 'session:';
+const SUMMARY_PREFIX = 'Summary of the earlier conversation (older messages are no longer shown):\n';
+let adapter = null;
+let summarizer = null;
+let imageResolver = null;
+const contextProviders = [];
+const locks = new Map(); // user -> tail of the promise chain serializing updates
+
+function _adapter() {
+  if (!adapter) adapter = getDefaultAdapter();
+  return adapter;
+}
 
 /**
- * Internal structure:
- * store.set(userId, { messages: [{role, content}], lastSeen: Number })
+ * useAdapter(adapter)
+ * Swap the storage backend (e.g. a dedicated adapter in a worker or a fresh MemoryAdapter in scripts).
  */
+function useAdapter(next) {
+  adapter = next;
+}
 
-function _ensureSession(user) {
-  if (!store.has(user)) {
-    store.set(user, {
-      messages: [
-        {
-          role: 'system',
-          content:
-            'You are a helpful WhatsApp assistant. Keep replies concise and friendly. Use casual, short messages suitable for WhatsApp.'
-        }
-      ],
-      lastSeen: Date.now()
-    });
-  }
-  return store.get(user);
+/**
+ * Internal structure, stored under `session:<userId>` with a TTL of SESSION_TTL_MINUTES
+ * that is refreshed on every write (same eviction on every backend):
+ * {
+ *   messages: [{role, content, ts, images?}],   // messages[0] is always the system prompt; images:
+ *                                      // [{ id, mimeType, kind: 'image'|'sticker' }] on user turns
+ *   summary: String|null,              // running summary of turns trimmed from messages
+ *   media: [{id, mime_type, filename, ts}],
+ *   systemPrompt: String|null,         // per-user override of DEFAULT_SYSTEM_PROMPT
+ *   language: String|null,             // preferred reply language, e.g. 'French'
+ *   voiceReplies: 'off'|'on'|'auto',   // answer with voice notes: never, always, or when the user sent one
+ *   pages: [String],                   // unsent pages of long output, see setPages/nextPage
+ *   flow: Object|null,                 // the step a multi-step command is waiting on, see command-flows.js
+ *   createdAt: Number,
+ *   lastSeen: Number
+ * }
+ */
+
+function _systemContent(session) {
+  const base = session.systemPrompt || DEFAULT_SYSTEM_PROMPT;
+  return session.language ? `${base}\nAlways reply in ${session.language}.` : base;
 }
 
-function appendUserMessage(user, text) {
-  if (!text) return;
-  const s = _ensureSession(user);
-  s.messages.push({ role: 'user', content: text });
-  s.lastSeen = Date.now();
-  _trim(s);
+function _newSession() {
+  const now = Date.now();
+  const session = {
+    messages: [],
+    summary: null,
+    media: [],
+    systemPrompt: null,
+    language: null,
+    voiceReplies: 'off',
+    pages: [],
+    flow: null,
+    createdAt: now,
+    lastSeen: now
+  };
+  session.messages.push({ role: 'system', content: _systemContent(session), ts: now });
+  return session;
+}
+
+async function _load(user) {
+  return _adapter().get(KEY_PREFIX + user);
+}
+
+async function _save(user, session) {
+  await _adapter().set(KEY_PREFIX + user, session, ttlMs);
+}
+
+/**
+ * Run fn(session) as a read-modify-write on one user's session. Updates for the same
+ * user are serialized within this process so concurrent webhooks don't lose messages.
+ */
+function _update(user, fn) {
+  const prev = locks.get(user) || Promise.resolve();
+  const run = prev.then(async () => {
+    const session = (await _load(user)) || _newSession();
+    const result = await fn(session);
+    session.lastSeen = Date.now();
+    await _save(user, session);
+    return result;
+  });
+  const tail = run.catch(() => {});
+  locks.set(user, tail);
+  tail.then(() => { if (locks.get(user) === tail) locks.delete(user); });
+  return run;
 }
 
-function appendAssistantMessage(user, text) {
+/**
+ * appendUserMessage(user, text, { images })
+ * images: [{ id, mimeType, kind }] WhatsApp media references; text is then the caption and may be empty.
+ */
+async function appendUserMessage(user, text, { images = null } = {}) {
+  if (!text && !(images && images.length)) return;
+  await _update(user, async (s) => {
+    const message = { role: 'user', content: text || '', ts: Date.now() };
+    if (images && images.length) message.images = images.map(({ id, mimeType, kind }) => ({ id, mimeType, kind: kind || 'image' }));
+    s.messages.push(message);
+    await _trim(user, s);
+  });
+}
+
+async function appendAssistantMessage(user, text) {
   if (!text) return;
-  const s = _ensureSession(user);
-  s.messages.push({ role: 'assistant', content: text });
-  s.lastSeen = Date.now();
-  _trim(s);
+  await _update(user, async (s) => {
+    s.messages.push({ role: 'assistant', content: text, ts: Date.now() });
+    await _trim(user, s);
+  });
+}
+
+/* ---------- Token budget & rolling summary ---------- */
+
+function _llm() {
+  // required lazily: openai-client is optional for callers that only store sessions
+  return require('./openai-client');
 }
 
-function _trim(session) {
+// history limits are read on first use so dotenv.config() may run after this module is required
+function _maxMessages() {
+  return parseInt(process.env.SESSION_MAX_MESSAGES || '0', 10); // optional hard cap on turns, 0 = none
+}
+
+function _summaryMaxTokens() {
+  return parseInt(process.env.SESSION_SUMMARY_MAX_TOKENS || '300', 10);
+}
+
+function _budget() {
+  const config = _llm().getModelConfig('chat');
+  const tokenBudget = parseInt(process.env.SESSION_TOKEN_BUDGET || '6000', 10);
+  return Math.max(500, Math.min(tokenBudget, config.contextWindow - config.maxTokens));
+}
+
+// text form of a stored message: image references become "[image]" in front of the caption
+function _textOf(m) {
+  if (!m.images || !m.images.length) return m.content;
+  return [...m.images.map((img) => `[${img.kind || 'image'}]`), m.content].filter(Boolean).join(' ');
+}
+
+function _summaryMessage(session) {
+  return session.summary ? [{ role: 'system', content: SUMMARY_PREFIX + session.summary }] : [];
+}
+
+function _tokens(session) {
+  return _llm().estimateTokens([...session.messages, ..._summaryMessage(session)]);
+}
+
+/**
+ * setSummarizer(fn)
+ * fn({ user, summary, dropped: [{role, content}] }) -> new summary text (may be async).
+ * Replaces the built-in LLM summarizer, e.g. for tests or a dedicated model.
+ */
+function setSummarizer(fn) {
+  summarizer = fn;
+}
+
+// without an LLM (or when it fails): previous summary plus the start of each dropped turn
+function _digest(summary, dropped) {
+  const lines = dropped.map((m) => `${m.role === 'user' ? 'User' : 'Bot'}: ${m.content.replace(/\s+/g, ' ').slice(0, 160)}`);
+  const text = [summary, ...lines].filter(Boolean).join('\n');
+  const maxChars = _summaryMaxTokens() * 4;
+  return text.length > maxChars ? `…${text.slice(-maxChars)}` : text;
+}
+
+async function _llmSummary({ user, summary, dropped }) {
+  const client = _llm();
+  if (!client.isConfigured()) return _digest(summary, dropped);
+  const summaryMaxTokens = _summaryMaxTokens();
+  const transcript = dropped.map((m) => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`).join('\n');
+  return client.generateReply([
+    {
+      role: 'system',
+      content: 'You maintain a running summary of a chat between a user and an assistant. Merge the new messages ' +
+        'into the existing summary. Keep facts, names, preferences, decisions and open questions; drop small talk. ' +
+        `Write plain text, at most ${summaryMaxTokens} tokens.`
+    },
+    { role: 'user', content: `Existing summary:\n${summary || '(none)'}\n\nNew messages:\n${transcript}` }
+  ], { command: 'history', user, maxTokens: summaryMaxTokens });
+}
+
+/**
+ * Once the conversation exceeds the token budget (or SESSION_MAX_MESSAGES, if set), drops the
+ * oldest turns down to 75% of the budget and folds them into session.summary. Trimming below
+ * the budget means the summarizer runs every few turns rather than on every message.
+ * The newest message is always kept.
+ */
+async function _trim(user, session) {
   const system = session.messages[0];
   const rest = session.messages.slice(1);
-  const trimmed = rest.slice(-maxMessages);
-  session.messages = [system, ...trimmed];
+  const dropped = [];
+  const budget = _budget();
+  const tokens = () => _tokens({ messages: [system, ...rest], summary: session.summary });
+  const maxMessages = _maxMessages();
+  const tooMany = () => maxMessages > 0 && rest.length > maxMessages;
+  if (tokens() > budget) {
+    while (rest.length > 1 && tokens() > budget * 0.75) dropped.push(rest.shift());
+  }
+  while (rest.length > 1 && tooMany()) dropped.push(rest.shift());
+  // don't leave an assistant turn without the question it answered
+  while (rest.length > 1 && rest[0].role !== 'user') dropped.push(rest.shift());
+  session.messages = [system, ...rest];
+  if (!dropped.length) return;
+
+  const input = { user, summary: session.summary, dropped: dropped.map((m) => ({ role: m.role, content: _textOf(m) })) };
+  try {
+    session.summary = String(await (summarizer || _llmSummary)(input)).trim() || _digest(session.summary, input.dropped);
+  } catch (err) {
+    console.error('session-store: summarizing trimmed history failed', err?.message || err);
+    session.summary = _digest(session.summary, input.dropped);
+  }
 }
 
-function getConversationForOpenAI(user) {
-  const s = _ensureSession(user);
-  // return a shallow copy
-  return s.messages.map((m) => ({ role: m.role, content: m.content }));
+/**
+ * addContextProvider(fn)
+ * fn({ user, query }) -> String|null (may be async), where query is the user's latest message.
+ * Non-empty results are added as system messages after the system prompt and summary,
+ * e.g. long-term memories (user-memory.js). A failing provider is logged and skipped.
+ */
+function addContextProvider(fn) {
+  if (!contextProviders.includes(fn)) contextProviders.push(fn);
 }
 
-// periodic cleanup of stale sessions
-setInterval(() => {
-  const now = Date.now();
-  const ttlMs = ttlMinutes * 60 * 1000;
-  for (const [key, value] of store.entries()) {
-    if (now - value.lastSeen > ttlMs) {
-      store.delete(key);
+/**
+ * setImageResolver(fn)
+ * fn({ id, mimeType, kind }) -> URL the model can load (usually a data: URL) or null when the
+ * media is gone. Without a resolver, images only appear as "[image]" markers.
+ */
+function setImageResolver(fn) {
+  imageResolver = fn;
+}
+
+// image content parts for the newest image turns, when the command's model can see them
+async function _withImages(messages, command) {
+  if (!imageResolver || visionImages <= 0 || !_llm().supportsVision(command)) return messages.map((m) => ({ role: m.role, content: _textOf(m) }));
+  const shown = new Set(messages.filter((m) => m.images && m.images.length).slice(-visionImages));
+  const out = [];
+  for (const m of messages) {
+    if (!shown.has(m)) {
+      out.push({ role: m.role, content: _textOf(m) });
+      continue;
+    }
+    const parts = [];
+    for (const img of m.images) {
+      let url = null;
+      try {
+        url = await imageResolver(img);
+      } catch (err) {
+        console.error('session-store: image resolver failed', err?.message || err);
+      }
+      parts.push(url ? { type: 'image_url', image_url: { url } } : { type: 'text', text: `[${img.kind || 'image'} no longer available]` });
+    }
+    if (m.content) parts.push({ type: 'text', text: m.content });
+    out.push({ role: m.role, content: parts });
+  }
+  return out;
+}
+
+/**
+ * getConversationForOpenAI(user, { command }) -> messages
+ * [system prompt, summary?, provider context..., history]; command (default 'chat') decides
+ * whether images are included, since LLM_MODEL_<CMD> may pick a model without vision.
+ */
+async function getConversationForOpenAI(user, { command = 'chat' } = {}) {
+  const s = (await _load(user)) || _newSession();
+  const [system, ...rest] = await _withImages(s.messages, command);
+  const lastUser = s.messages.filter((m) => m.role === 'user').pop();
+  const context = [];
+  for (const provider of contextProviders) {
+    try {
+      const text = await provider({ user, query: lastUser ? lastUser.content : '' });
+      if (text) context.push({ role: 'system', content: text });
+    } catch (err) {
+      console.error('session-store: context provider failed', err?.message || err);
     }
   }
-}, 5 * 60 * 1000); // every 5 minutes
+  return [system, ..._summaryMessage(s), ...context, ...rest];
+}
+
+/**
+ * appendMedia(user, { id, mime_type, filename })
+ * Records metadata of a media message the user sent so /download can fetch it later.
+ */
+async function appendMedia(user, media) {
+  if (!media || !media.id) return;
+  await _update(user, (s) => {
+    s.media.push({
+      id: media.id,
+      mime_type: media.mime_type || null,
+      filename: media.filename || null,
+      ts: Date.now()
+    });
+    if (s.media.length > maxMedia) s.media = s.media.slice(-maxMedia);
+  });
+}
+
+async function getLastMedia(user) {
+  const s = await _load(user);
+  if (!s || !s.media.length) return null;
+  return s.media[s.media.length - 1];
+}
+
+async function getMediaHistory(user) {
+  const s = await _load(user);
+  return s ? s.media : [];
+}
+
+/**
+ * reset(user)
+ * Clears conversation and media history. The user's system prompt, language and voice
+ * preferences are kept so they don't have to be set again.
+ */
+async function reset(user) {
+  if (!(await _load(user))) return;
+  await _update(user, (s) => {
+    s.messages = [{ role: 'system', content: _systemContent(s), ts: Date.now() }];
+    s.summary = null;
+    s.media = [];
+    s.pages = [];
+    s.flow = null;
+  });
+}
+
+/**
+ * setSystemPrompt(user, prompt)
+ * Overrides the system prompt for one user. Pass a falsy prompt to restore the default.
+ */
+async function setSystemPrompt(user, prompt) {
+  await _update(user, (s) => {
+    s.systemPrompt = prompt ? String(prompt).trim() : null;
+    s.messages[0] = { role: 'system', content: _systemContent(s), ts: Date.now() };
+  });
+}
+
+/**
+ * setLanguage(user, language)
+ * Sets the preferred reply language (free text, e.g. 'Spanish'). Falsy clears it.
+ */
+async function setLanguage(user, language) {
+  await _update(user, (s) => {
+    s.language = language ? String(language).trim() : null;
+    s.messages[0] = { role: 'system', content: _systemContent(s), ts: Date.now() };
+  });
+}
+
+/**
+ * setVoiceReplies(user, mode)
+ * mode: 'on' (AI replies as voice notes), 'auto' (only when the user sent a voice note) or 'off'.
+ */
+async function setVoiceReplies(user, mode) {
+  await _update(user, (s) => {
+    s.voiceReplies = ['on', 'auto'].includes(mode) ? mode : 'off';
+  });
+}
+
+async function getSettings(user) {
+  const s = await _load(user);
+  if (!s) return { systemPrompt: null, language: null, voiceReplies: 'off' };
+  return { systemPrompt: s.systemPrompt, language: s.language, voiceReplies: s.voiceReplies || 'off' };
+}
+
+/**
+ * setPages(user, pages)
+ * Stores the remaining pages of a long output (e.g. /export) so /more can send them one by one.
+ */
+async function setPages(user, pages) {
+  await _update(user, (s) => {
+    s.pages = (pages || []).slice();
+  });
+}
+
+/**
+ * nextPage(user) -> { text, remaining } | null
+ * Pops the next stored page; remaining is how many are still left after it.
+ */
+async function nextPage(user) {
+  const s = await _load(user);
+  if (!s || !s.pages || !s.pages.length) return null;
+  return _update(user, (sess) => {
+    const text = sess.pages.shift();
+    return text === undefined ? null : { text, remaining: sess.pages.length };
+  });
+}
+
+/**
+ * setFlow(user, flow)
+ * Stores the state of the user's open multi-step command (command-flows.js). Falsy clears it.
+ */
+async function setFlow(user, flow) {
+  await _update(user, (s) => {
+    s.flow = flow || null;
+  });
+}
+
+async function getFlow(user) {
+  const s = await _load(user);
+  return (s && s.flow) || null;
+}
+
+/**
+ * exportConversationText(user) -> String
+ * Plain-text transcript (without the system prompt), one line per message:
+ *   [2024-01-01 12:00:00] You: hello
+ * preceded by the running summary when older turns have been trimmed.
+ */
+async function exportConversationText(user) {
+  const s = await _load(user);
+  if (!s) return '(no conversation yet)';
+  const lines = s.messages
+    .filter((m) => m.role !== 'system')
+    .map((m) => {
+      const when = new Date(m.ts || s.lastSeen).toISOString().replace('T', ' ').slice(0, 19);
+      const who = m.role === 'user' ? 'You' : 'Bot';
+      return `[${when}] ${who}: ${_textOf(m)}`;
+    });
+  if (s.summary) lines.unshift(`(Earlier, summarized: ${s.summary})`, '');
+  return lines.length ? lines.join('\n') : '(no conversation yet)';
+}
+
+/**
+ * getStats() -> { sessions, messages, media, customPrompts, languages }
+ * Aggregate counters across all live sessions.
+ */
+async function getStats() {
+  const stats = { sessions: 0, messages: 0, media: 0, customPrompts: 0, languages: {} };
+  const keys = await _adapter().keys(KEY_PREFIX);
+  for (const key of keys) {
+    const s = await _adapter().get(key);
+    if (!s) continue;
+    stats.sessions += 1;
+    stats.messages += s.messages.length - 1;
+    stats.media += s.media.length;
+    if (s.systemPrompt) stats.customPrompts += 1;
+    if (s.language) stats.languages[s.language] = (stats.languages[s.language] || 0) + 1;
+  }
+  return stats;
+}
 
 module.exports = {
+  useAdapter,
   appendUserMessage,
   appendAssistantMessage,
-  getConversationForOpenAI
+  getConversationForOpenAI,
+  addContextProvider,
+  setImageResolver,
+  setSummarizer,
+  appendMedia,
+  getLastMedia,
+  getMediaHistory,
+  reset,
+  setSystemPrompt,
+  setLanguage,
+  setVoiceReplies,
+  getSettings,
+  setPages,
+  nextPage,
+  setFlow,
+  getFlow,
+  exportConversationText,
+  getStats
 };
@@ -0,0 +1,317 @@
+/**
+ * speech.js
+ * Speech-to-text for incoming voice notes and text-to-speech for /tts and voice replies.
+ *
+ * Speech-to-text, STT_PROVIDER (auto-detected when unset):
+ *  - openai             : POST /v1/audio/transcriptions with OPENAI_API_KEY (STT_MODEL, default whisper-1)
+ *  - openai-compatible  : same API on STT_BASE_URL (faster-whisper-server, LocalAI...)
+ *  - local              : runs WHISPER_CMD on a 16 kHz WAV made with ffmpeg and reads the transcript
+ *                         from stdout, e.g. WHISPER_CMD="whisper-cli -m /models/ggml-base.bin -nt -np -f {input}"
+ *
+ * Text-to-speech, TTS_PROVIDER (auto-detected when unset):
+ *  - openai             : POST /v1/audio/speech with OPENAI_API_KEY (TTS_MODEL tts-1, TTS_VOICE alloy)
+ *  - openai-compatible  : same API on TTS_BASE_URL (openedai-speech, Kokoro-FastAPI...)
+ *  - local              : runs TTS_CMD with the text on stdin; it must write audio to {output},
+ *                         e.g. TTS_CMD="piper --model /models/en_US-lessac-medium.onnx --output_file {output}"
+ * WhatsApp only plays voice notes as OGG/Opus, so other output is converted with ffmpeg (FFMPEG_PATH).
+ *
+ * Usage:
+ *  const text = await speech.transcribe(buffer, { mimeType: 'audio/ogg', user: from });
+ *  const { buffer, mimeType } = await speech.synthesize('Hello!', { user: from });
+ *  speech.useTranscriber({ name: 'stub', transcribe: async () => 'hi' });   // tests
+ *
+ * Calls made for a user are counted by usage-tracker.js as commands 'stt' (seconds of audio) and
+ * 'tts' (characters), priced per minute / per character like the providers bill them.
+ * Audio over STT_MAX_MB (default 25, whisper's upload limit) is refused with code STT_TOO_LARGE.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const usageTracker = require('./usage-tracker');
+
+const OGG_MIME = 'audio/ogg';
+const OPUS_GRANULE_RATE = 48000;
+const VOICE_NOTE_BYTES_PER_SECOND = 2000; // ~16 kbit/s, the bitrate of WhatsApp voice notes
+const COMMAND_TIMEOUT_MS = 120000;
+
+let transcriber; // undefined = not resolved yet, null = none configured
+let synthesizer;
+
+/* ---------- External commands ---------- */
+
+// splits a command template on spaces and fills {input}/{output}; no shell is involved
+function fillTemplate(template, vars) {
+  return template.trim().split(/\s+/).map((part) => part.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? vars[k] : m)));
+}
+
+function run(cmd, args, { stdin = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(cmd, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    const out = [];
+    let err = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), COMMAND_TIMEOUT_MS);
+    child.stdout.on('data', (d) => out.push(d));
+    child.stderr.on('data', (d) => { err = (err + d).slice(-2000); });
+    child.on('error', (e) => { clearTimeout(timer); reject(e); });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) resolve(Buffer.concat(out));
+      else reject(new Error(`${path.basename(cmd)} exited with ${code}: ${err.trim().split('\n').pop() || 'no output'}`));
+    });
+    child.stdin.on('error', () => {}); // the command may exit without reading stdin
+    child.stdin.end(stdin || undefined);
+  });
+}
+
+async function withTempDir(fn) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'speech-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+function ffmpegPath() {
+  return process.env.FFMPEG_PATH || 'ffmpeg';
+}
+
+function isOgg(buffer) {
+  return buffer.length > 4 && buffer.toString('latin1', 0, 4) === 'OggS';
+}
+
+/** toOggOpus(buffer) -> Buffer - mono 48 kHz Opus in an OGG container, as WhatsApp voice notes expect. */
+async function toOggOpus(buffer) {
+  return withTempDir(async (dir) => {
+    const input = path.join(dir, 'in');
+    const output = path.join(dir, 'out.ogg');
+    await fs.promises.writeFile(input, buffer);
+    await run(ffmpegPath(), ['-y', '-loglevel', 'error', '-i', input, '-vn', '-ac', '1', '-ar', '48000', '-c:a', 'libopus', '-b:a', '32k', output]);
+    return fs.promises.readFile(output);
+  });
+}
+
+/* ---------- Speech-to-text ---------- */
+
+/** maxAudioBytes() -> the largest audio transcribe() accepts (STT_MAX_MB) */
+function maxAudioBytes() {
+  return parseFloat(process.env.STT_MAX_MB || '25') * 1024 * 1024;
+}
+
+/** tooLargeError() -> the STT_TOO_LARGE error, for callers that catch oversized audio earlier */
+function tooLargeError() {
+  const err = new Error(`That recording is too large to transcribe (limit ${Math.round(maxAudioBytes() / (1024 * 1024))} MB). Please send a shorter one.`);
+  err.code = 'STT_TOO_LARGE';
+  return err;
+}
+
+// Opus granule positions count 48 kHz samples, so the last page's is the stream length;
+// anything else is estimated from its size
+function audioSeconds(buffer) {
+  const last = buffer.lastIndexOf('OggS');
+  if (isOgg(buffer) && buffer.includes('OpusHead') && last + 14 <= buffer.length) {
+    const granule = Number(buffer.readBigInt64LE(last + 6));
+    if (granule > 0) return Math.ceil(granule / OPUS_GRANULE_RATE);
+  }
+  return Math.ceil(buffer.length / VOICE_NOTE_BYTES_PER_SECOND);
+}
+
+function createApiTranscriber({ baseUrl, apiKey, model, name }) {
+  const url = `${baseUrl.replace(/\/$/, '')}/audio/transcriptions`;
+  return {
+    name: `${name}:${model}`,
+    model,
+    transcribe: async (buffer, { mimeType, filename, language }) => {
+      const form = new FormData();
+      form.append('file', new Blob([buffer], { type: mimeType || OGG_MIME }), filename || 'voice.ogg');
+      form.append('model', model);
+      if (language) form.append('language', language);
+      const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+      const resp = await axios.post(url, form, { headers, timeout: COMMAND_TIMEOUT_MS });
+      return String(resp.data?.text || '').trim();
+    }
+  };
+}
+
+function createLocalTranscriber(template) {
+  return {
+    name: 'local',
+    model: 'local-whisper',
+    transcribe: (buffer) => withTempDir(async (dir) => {
+      const input = path.join(dir, 'in');
+      const wav = path.join(dir, 'in.wav');
+      await fs.promises.writeFile(input, buffer);
+      await run(ffmpegPath(), ['-y', '-loglevel', 'error', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav]);
+      const [cmd, ...args] = fillTemplate(template, { input: wav });
+      return (await run(cmd, args)).toString('utf8').replace(/\s+/g, ' ').trim();
+    })
+  };
+}
+
+// env is read on first use so dotenv.config() may run after this module is required
+function getTranscriber() {
+  if (transcriber !== undefined) return transcriber;
+  let name = (process.env.STT_PROVIDER || '').trim().toLowerCase();
+  if (!name) {
+    if (process.env.STT_BASE_URL) name = 'openai-compatible';
+    else if (process.env.WHISPER_CMD) name = 'local';
+    else if (process.env.OPENAI_API_KEY) name = 'openai';
+  }
+  transcriber = null;
+  if (name === 'openai' && process.env.OPENAI_API_KEY) {
+    transcriber = createApiTranscriber({
+      baseUrl: process.env.STT_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.STT_MODEL || 'whisper-1',
+      name
+    });
+  } else if (name === 'openai-compatible' && process.env.STT_BASE_URL) {
+    transcriber = createApiTranscriber({
+      baseUrl: process.env.STT_BASE_URL,
+      apiKey: process.env.STT_API_KEY || process.env.LLM_API_KEY,
+      model: process.env.STT_MODEL || 'whisper-1',
+      name
+    });
+  } else if (name === 'local' && process.env.WHISPER_CMD) {
+    transcriber = createLocalTranscriber(process.env.WHISPER_CMD);
+  } else if (name && name !== 'none') {
+    console.warn(`speech: STT provider "${name}" is unknown or missing its key/URL/command; voice notes won't be transcribed.`);
+  }
+  return transcriber;
+}
+
+function sttAvailable() {
+  return Boolean(getTranscriber());
+}
+
+/** useTranscriber({ name, model, transcribe(buffer, opts) -> text }) - swap the backend; null disables. */
+function useTranscriber(next) {
+  transcriber = next;
+}
+
+/**
+ * transcribe(buffer, { mimeType, filename, language, user }) -> String
+ * language is an ISO-639-1 hint (STT_LANGUAGE by default); whisper detects it otherwise.
+ * Throws for audio larger than STT_MAX_MB (code STT_TOO_LARGE) without uploading it.
+ */
+async function transcribe(buffer, { mimeType = OGG_MIME, filename = 'voice.ogg', language = process.env.STT_LANGUAGE, user = null } = {}) {
+  const t = getTranscriber();
+  if (!t) throw new Error('speech: no speech-to-text provider configured');
+  if (buffer.length > maxAudioBytes()) throw tooLargeError();
+  const text = await t.transcribe(buffer, { mimeType, filename, language });
+  if (user) await usageTracker.record({ user, command: 'stt', model: t.model || t.name, seconds: audioSeconds(buffer) });
+  return text;
+}
+
+/* ---------- Text-to-speech ---------- */
+
+function createApiSynthesizer({ baseUrl, apiKey, model, name }) {
+  const url = `${baseUrl.replace(/\/$/, '')}/audio/speech`;
+  return {
+    name: `${name}:${model}`,
+    model,
+    synthesize: async (text, { voice }) => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      // 'opus' is OGG/Opus on OpenAI; servers that ignore the format get converted below
+      const resp = await axios.post(url, { model, input: text, voice, response_format: 'opus' }, {
+        headers,
+        responseType: 'arraybuffer',
+        timeout: COMMAND_TIMEOUT_MS
+      });
+      return Buffer.from(resp.data);
+    }
+  };
+}
+
+function createLocalSynthesizer(template) {
+  return {
+    name: 'local',
+    model: 'local-tts',
+    synthesize: (text) => withTempDir(async (dir) => {
+      const output = path.join(dir, 'out.wav');
+      const [cmd, ...args] = fillTemplate(template, { output });
+      await run(cmd, args, { stdin: text });
+      return fs.promises.readFile(output);
+    })
+  };
+}
+
+function getSynthesizer() {
+  if (synthesizer !== undefined) return synthesizer;
+  let name = (process.env.TTS_PROVIDER || '').trim().toLowerCase();
+  if (!name) {
+    if (process.env.TTS_BASE_URL) name = 'openai-compatible';
+    else if (process.env.TTS_CMD) name = 'local';
+    else if (process.env.OPENAI_API_KEY) name = 'openai';
+  }
+  synthesizer = null;
+  if (name === 'openai' && process.env.OPENAI_API_KEY) {
+    synthesizer = createApiSynthesizer({
+      baseUrl: process.env.TTS_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.TTS_MODEL || 'tts-1',
+      name
+    });
+  } else if (name === 'openai-compatible' && process.env.TTS_BASE_URL) {
+    synthesizer = createApiSynthesizer({
+      baseUrl: process.env.TTS_BASE_URL,
+      apiKey: process.env.TTS_API_KEY || process.env.LLM_API_KEY,
+      model: process.env.TTS_MODEL || 'tts-1',
+      name
+    });
+  } else if (name === 'local' && process.env.TTS_CMD) {
+    synthesizer = createLocalSynthesizer(process.env.TTS_CMD);
+  } else if (name && name !== 'none') {
+    console.warn(`speech: TTS provider "${name}" is unknown or missing its key/URL/command; /tts is disabled.`);
+  }
+  return synthesizer;
+}
+
+function ttsAvailable() {
+  return Boolean(getSynthesizer());
+}
+
+/** useSynthesizer({ name, model, synthesize(text, opts) -> Buffer }) - swap the backend; null disables. */
+function useSynthesizer(next) {
+  synthesizer = next;
+}
+
+function maxTtsChars() {
+  return parseInt(process.env.TTS_MAX_CHARS || '1000', 10);
+}
+
+/**
+ * synthesize(text, { voice, user }) -> { buffer, mimeType }
+ * Always OGG/Opus. Throws for text longer than TTS_MAX_CHARS (code TTS_TOO_LONG).
+ */
+async function synthesize(text, { voice = process.env.TTS_VOICE || 'alloy', user = null } = {}) {
+  const s = getSynthesizer();
+  if (!s) throw new Error('speech: no text-to-speech provider configured');
+  const clean = String(text || '').trim();
+  if (clean.length > maxTtsChars()) {
+    const err = new Error(`Text is too long to speak (${clean.length}/${maxTtsChars()} characters).`);
+    err.code = 'TTS_TOO_LONG';
+    throw err;
+  }
+  let buffer = await s.synthesize(clean, { voice });
+  if (!isOgg(buffer)) buffer = await toOggOpus(buffer);
+  if (user) await usageTracker.record({ user, command: 'tts', model: s.model || s.name, characters: clean.length });
+  return { buffer, mimeType: OGG_MIME };
+}
+
+module.exports = {
+  sttAvailable,
+  ttsAvailable,
+  transcribe,
+  synthesize,
+  maxTtsChars,
+  maxAudioBytes,
+  tooLargeError,
+  toOggOpus,
+  useTranscriber,
+  useSynthesizer
+};
@@ -0,0 +1,132 @@
+/**
+ * storage/file-adapter.js
+ * Durable key/value adapter backed by a single JSON file (SESSION_FILE_PATH,
+ * default ./data/sessions.json). Good for a single instance that must survive
+ * restarts and redeploys; use the Redis adapter when running several replicas.
+ *
+ * Writes are coalesced: every set()/del() resolves once the file containing the
+ * change has been written (tmp file + rename, so a crash never leaves a torn file).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileAdapter {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.filePath = path.resolve(options.filePath || path.join(process.cwd(), 'data', 'sessions.json'));
+    this.data = new Map(); // key -> { value, expiresAt }
+    this.pending = null; // promise of the next scheduled flush
+    this.writing = Promise.resolve();
+    this._load();
+    const sweepMs = options.sweepIntervalMs || 5 * 60 * 1000;
+    this.sweeper = setInterval(() => this._sweep(), sweepMs);
+    this.sweeper.unref();
+  }
+
+  _load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) return;
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(raw)) {
+        if (entry.expiresAt && entry.expiresAt <= now) continue;
+        this.data.set(key, entry);
+      }
+    } catch (err) {
+      console.error(`file-adapter: could not read ${this.filePath}, starting empty`, err?.message || err);
+    }
+  }
+
+  _flush() {
+    if (this.pending) return this.pending;
+    this.pending = this.writing.then(() => new Promise((resolve, reject) => {
+      // run on the next tick so several writes in the same turn share one flush
+      setImmediate(() => {
+        this.pending = null;
+        const tmp = `${this.filePath}.tmp`;
+        const body = JSON.stringify(Object.fromEntries(this.data));
+        fs.promises.writeFile(tmp, body)
+          .then(() => fs.promises.rename(tmp, this.filePath))
+          .then(resolve, reject);
+      });
+    }));
+    this.writing = this.pending.catch((err) => {
+      console.error('file-adapter: flush failed', err?.message || err);
+    });
+    return this.pending;
+  }
+
+  _live(key) {
+    const entry = this.data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  _sweep() {
+    const now = Date.now();
+    let changed = false;
+    for (const [key, entry] of this.data.entries()) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.data.delete(key);
+        changed = true;
+      }
+    }
+    if (changed) this._flush().catch(() => {});
+  }
+
+  async get(key) {
+    const entry = this._live(key);
+    return entry ? JSON.parse(JSON.stringify(entry.value)) : null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.data.set(key, {
+      value: JSON.parse(JSON.stringify(value)),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+    await this._flush();
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    if (this._live(key)) return false;
+    await this.set(key, value, ttlMs);
+    return true;
+  }
+
+  async incr(key, by = 1, ttlMs) {
+    const entry = this._live(key);
+    const value = (entry ? Number(entry.value) || 0 : 0) + by;
+    this.data.set(key, {
+      value,
+      expiresAt: entry ? entry.expiresAt : (ttlMs ? Date.now() + ttlMs : null)
+    });
+    await this._flush();
+    return value;
+  }
+
+  async del(key) {
+    if (!this.data.delete(key)) return;
+    await this._flush();
+  }
+
+  async keys(prefix = '') {
+    const out = [];
+    for (const key of this.data.keys()) {
+      if (key.startsWith(prefix) && this._live(key)) out.push(key);
+    }
+    return out;
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+    await this.writing;
+  }
+}
+
+module.exports = { FileAdapter };
@@ -0,0 +1,58 @@
+/**
+ * storage/index.js
+ * Pluggable key/value storage used by session-store.js (and other stores such as dedup-store.js).
+ *
+ * Backend is chosen with SESSION_BACKEND:
+ *  - memory (default) : in-process Map, lost on restart
+ *  - file             : JSON file at SESSION_FILE_PATH (default ./data/sessions.json)
+ *  - redis            : Redis-protocol server at REDIS_URL (needs the ioredis package)
+ * Only redis is shared between processes: memory and file keep their data inside one process
+ * (file just saves that copy), so WORKER_MODE=separate and extra workers need redis.
+ *
+ * Adapter interface (all methods async, values must be JSON-serializable):
+ *  - get(key) -> value|null
+ *  - set(key, value, ttlMs?)   ttlMs omitted = no expiry
+ *  - setIfAbsent(key, value, ttlMs?) -> Boolean   atomic; false if the key already exists
+ *  - incr(key, by, ttlMs?) -> Number   atomic counter; ttlMs applies when the key is created
+ *  - del(key)
+ *  - keys(prefix) -> [key]
+ *  - close()
+ */
+
+const { MemoryAdapter } = require('./memory-adapter');
+const { FileAdapter } = require('./file-adapter');
+const { RedisAdapter } = require('./redis-adapter');
+
+function createAdapter(kind = 'memory', options = {}) {
+  switch (String(kind).toLowerCase()) {
+    case 'memory':
+      return new MemoryAdapter(options);
+    case 'file':
+      return new FileAdapter(options);
+    case 'redis':
+      return new RedisAdapter(options);
+    default:
+      throw new Error(`Unknown SESSION_BACKEND "${kind}" (expected memory, file or redis)`);
+  }
+}
+
+let defaultAdapter = null;
+
+/** Shared adapter configured from the environment (created on first use). */
+function getDefaultAdapter() {
+  if (!defaultAdapter) {
+    defaultAdapter = createAdapter(process.env.SESSION_BACKEND || 'memory', {
+      filePath: process.env.SESSION_FILE_PATH,
+      url: process.env.REDIS_URL,
+      prefix: process.env.REDIS_KEY_PREFIX
+    });
+  }
+  return defaultAdapter;
+}
+
+/** isShared() - the configured backend is seen by every process (web server and workers) */
+function isShared() {
+  return String(process.env.SESSION_BACKEND || 'memory').toLowerCase() === 'redis';
+}
+
+module.exports = { createAdapter, getDefaultAdapter, isShared, MemoryAdapter, FileAdapter, RedisAdapter };
@@ -0,0 +1,81 @@
+/**
+ * storage/memory-adapter.js
+ * In-process key/value adapter. This is the default backend: fast, but everything
+ * is lost on restart and it cannot be shared between replicas.
+ *
+ * Values are JSON round-tripped on the way in and out so callers see the same
+ * copy semantics as with the persistent adapters.
+ */
+
+class MemoryAdapter {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.data = new Map(); // key -> { value: String(JSON), expiresAt: Number|null }
+    const sweepMs = options.sweepIntervalMs || 5 * 60 * 1000;
+    this.sweeper = setInterval(() => this._sweep(), sweepMs);
+    this.sweeper.unref();
+  }
+
+  _live(key) {
+    const entry = this.data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  _sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.data.entries()) {
+      if (entry.expiresAt && entry.expiresAt <= now) this.data.delete(key);
+    }
+  }
+
+  async get(key) {
+    const entry = this._live(key);
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.data.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    if (this._live(key)) return false;
+    await this.set(key, value, ttlMs);
+    return true;
+  }
+
+  async incr(key, by = 1, ttlMs) {
+    const entry = this._live(key);
+    const value = (entry ? Number(JSON.parse(entry.value)) || 0 : 0) + by;
+    this.data.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: entry ? entry.expiresAt : (ttlMs ? Date.now() + ttlMs : null)
+    });
+    return value;
+  }
+
+  async del(key) {
+    this.data.delete(key);
+  }
+
+  async keys(prefix = '') {
+    const out = [];
+    for (const key of this.data.keys()) {
+      if (key.startsWith(prefix) && this._live(key)) out.push(key);
+    }
+    return out;
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+  }
+}
+
+module.exports = { MemoryAdapter };
@@ -0,0 +1,73 @@
+/**
+ * storage/redis-adapter.js
+ * Key/value adapter for Redis and Redis-protocol servers (KeyDB, Dragonfly, Valkey...).
+ * Lets several bot replicas share sessions. Expiry is delegated to the server (PX).
+ *
+ * Config:
+ *  - REDIS_URL        e.g. redis://:password@localhost:6379/0
+ *  - REDIS_KEY_PREFIX namespace for all keys (default 'wa-bot:')
+ */
+
+class RedisAdapter {
+  constructor(options = {}) {
+    this.name = 'redis';
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (err) {
+      throw new Error('Redis backend requires the "ioredis" package (npm install ioredis)');
+    }
+    this.prefix = options.prefix || 'wa-bot:';
+    this.client = new Redis(options.url || 'redis://127.0.0.1:6379', { lazyConnect: false });
+    this.client.on('error', (err) => console.error('redis-adapter error', err?.message || err));
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.prefix + key);
+    return raw == null ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlMs) {
+    const raw = JSON.stringify(value);
+    if (ttlMs) await this.client.set(this.prefix + key, raw, 'PX', ttlMs);
+    else await this.client.set(this.prefix + key, raw);
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    const raw = JSON.stringify(value);
+    const res = ttlMs
+      ? await this.client.set(this.prefix + key, raw, 'PX', ttlMs, 'NX')
+      : await this.client.set(this.prefix + key, raw, 'NX');
+    return res === 'OK';
+  }
+
+  async incr(key, by = 1, ttlMs) {
+    // INCRBY and the first PEXPIRE in one script so a crash can't leave a counter without expiry
+    const script = "local v = redis.call('INCRBY', KEYS[1], ARGV[1]) "
+      + "if tonumber(ARGV[2]) > 0 and v == tonumber(ARGV[1]) then redis.call('PEXPIRE', KEYS[1], ARGV[2]) end "
+      + 'return v';
+    return Number(await this.client.eval(script, 1, this.prefix + key, by, ttlMs || 0));
+  }
+
+  async del(key) {
+    await this.client.del(this.prefix + key);
+  }
+
+  async keys(prefix = '') {
+    // SCAN instead of KEYS so large keyspaces don't block the server
+    const out = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.client.scan(cursor, 'MATCH', `${this.prefix}${prefix}*`, 'COUNT', 200);
+      cursor = next;
+      for (const k of batch) out.push(k.slice(this.prefix.length));
+    } while (cursor !== '0');
+    return out;
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = { RedisAdapter };
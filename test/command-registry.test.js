@@ -0,0 +1,104 @@
+/**
+ * test/command-registry.test.js
+ * Registration, the typed argument parser and plugin loading of command-registry.js. The registry
+ * is shared by the whole process, so every test registers commands under its own names.
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const registry = require('../command-registry');
+
+const noop = async () => {};
+
+test('a clashing alias leaves nothing registered', () => {
+  registry.register({ name: 'reg-taken', aliases: ['rt'], handler: noop });
+  assert.throws(() => registry.register({ name: 'reg-new', aliases: ['rn', 'rt'], handler: noop }), /alias "\/rt"/);
+  assert.strictEqual(registry.get('reg-new'), null);
+  assert.strictEqual(registry.get('rn'), null);
+  assert.throws(() => registry.register({ name: 'reg-dup', aliases: ['rd', 'RD'], handler: noop }), /alias "\/rd"/);
+  assert.strictEqual(registry.get('reg-dup'), null);
+
+  // the name is still free once the alias is fixed
+  registry.register({ name: 'reg-new', aliases: ['rn'], handler: noop });
+  assert.strictEqual(registry.get('RN').name, 'reg-new');
+  assert.throws(() => registry.register({ name: 'rt', handler: noop }), /command "\/rt"/);
+});
+
+test('word, string, int and enum arguments', () => {
+  const command = {
+    args: [
+      { name: 'word', type: 'word', required: true },
+      { name: 'title', type: 'string', required: true },
+      { name: 'count', type: 'int', min: 1, max: 10 },
+      { name: 'mode', type: 'enum', values: ['Fast', 'slow'], default: 'slow' }
+    ]
+  };
+  assert.deepStrictEqual(registry.parseArgs(command, 'hi "two words" 3 FAST'),
+    { ok: true, params: { word: 'hi', title: 'two words', count: 3, mode: 'Fast' } });
+  assert.deepStrictEqual(registry.parseArgs(command, 'hi “curly quotes”').params,
+    { word: 'hi', title: 'curly quotes', count: undefined, mode: 'slow' });
+  assert.deepStrictEqual(registry.parseArgs(command, 'hi'), { ok: false, error: 'missing title' });
+  assert.deepStrictEqual(registry.parseArgs(command, 'hi x 1.5'), { ok: false, error: 'count must be a whole number' });
+  assert.deepStrictEqual(registry.parseArgs(command, 'hi x 11'), { ok: false, error: 'count must be at most 10' });
+  assert.deepStrictEqual(registry.parseArgs(command, 'hi x 0'), { ok: false, error: 'count must be at least 1' });
+  assert.deepStrictEqual(registry.parseArgs(command, 'hi x 2 medium'), { ok: false, error: 'mode must be one of: Fast, slow' });
+  assert.deepStrictEqual(registry.parseArgs(command, 'hi x 2 slow extra'), { ok: false, error: 'too many arguments' });
+});
+
+test('rest keeps the text verbatim and variadic bounds the number of items', () => {
+  const translate = { args: [{ name: 'lang', type: 'word', required: true }, { name: 'text', type: 'rest', required: true }] };
+  assert.deepStrictEqual(registry.parseArgs(translate, 'fr  line one\n  line "two"').params,
+    { lang: 'fr', text: 'line one\n  line "two"' });
+
+  const poll = { args: [{ name: 'options', type: 'string', variadic: true, min: 2, max: 3 }] };
+  assert.deepStrictEqual(registry.parseArgs(poll, '"a b" c').params, { options: ['a b', 'c'] });
+  assert.deepStrictEqual(registry.parseArgs(poll, 'a'), { ok: false, error: 'need at least 2 options' });
+  assert.deepStrictEqual(registry.parseArgs(poll, 'a b c d'), { ok: false, error: 'at most 3 options allowed' });
+
+  const numbers = { args: [{ name: 'n', type: 'int', variadic: true, required: true }] };
+  assert.deepStrictEqual(registry.parseArgs(numbers, '1 2 x'), { ok: false, error: 'n must be a whole number' });
+});
+
+test('partial input, single values and tool-call input use the same rules', () => {
+  const command = {
+    name: 'remind',
+    args: [
+      { name: 'minutes', type: 'int', required: true, min: 1 },
+      { name: 'text', type: 'rest', required: true }
+    ]
+  };
+  const partial = registry.parsePartial(command, '5');
+  assert.deepStrictEqual(partial.params, { minutes: 5 });
+  assert.deepStrictEqual(partial.missing.map((a) => a.name), ['text']);
+  assert.deepStrictEqual(registry.parseValue(command.args[0], ' 7 '), { ok: true, value: 7 });
+  assert.deepStrictEqual(registry.validateParams(command, { minutes: '0', text: 'x' }), { ok: false, error: 'minutes must be at least 1' });
+  assert.deepStrictEqual(registry.validateParams(command, { minutes: 3 }), { ok: false, error: 'missing text' });
+  assert.strictEqual(registry.stripPlaceholders(command, '<minutes> <text>'), '');
+  assert.strictEqual(registry.formatUsage(command), '/remind <minutes> <text>');
+});
+
+test('plugins load from a directory and a broken one is skipped', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'command-plugins-test-'));
+  const logged = test.mock.method(console, 'error', () => {});
+  try {
+    fs.writeFileSync(path.join(dir, 'a-single.js'), "module.exports = { name: 'plug-one', handler: async () => {} };");
+    fs.writeFileSync(path.join(dir, 'b-array.js'), "module.exports = [{ name: 'plug-two', handler: async () => {} }, { name: 'plug-three', handler: async () => {} }];");
+    fs.writeFileSync(path.join(dir, 'c-function.js'), "module.exports = (registry) => registry.register({ name: 'plug-four', handler: async () => {} });");
+    fs.writeFileSync(path.join(dir, 'd-broken.js'), "throw new Error('syntax is fine, loading is not');");
+    fs.writeFileSync(path.join(dir, 'e-clash.js'), "module.exports = { name: 'plug-one', handler: async () => {} };");
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a plugin');
+
+    assert.deepStrictEqual(registry.loadPlugins(dir), ['plug-one', 'plug-two', 'plug-three', 'plug-four']);
+    assert.strictEqual(logged.mock.callCount(), 2);
+    assert.match(logged.mock.calls[0].arguments[0], /d-broken\.js/);
+    assert.match(logged.mock.calls[1].arguments[0], /e-clash\.js/);
+    assert.deepStrictEqual(registry.loadPlugins(path.join(dir, 'missing')), []);
+  } finally {
+    logged.mock.restore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
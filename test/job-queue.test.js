@@ -0,0 +1,241 @@
+/**
+ * test/job-queue.test.js
+ * The durable queue against a temporary QUEUE_DIR: claiming by rename, per-sender order,
+ * retries with backoff, dead-lettering, lease renewal and what happens when another worker
+ * takes a job over. Queues that share a directory stand in for separate processes.
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue } = require('../job-queue');
+
+const queues = [];
+const dirs = [];
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-test-'));
+  dirs.push(dir);
+  return dir;
+}
+
+function makeQueue(dir, options = {}) {
+  const queue = new JobQueue({ dir, pollMs: 50, backoffMs: 50, maxBackoffMs: 1000, maxAttempts: 5, leaseMs: 60000, ...options });
+  queues.push(queue);
+  return queue;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const until = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > until) throw new Error('timed out waiting for the queue');
+    await sleep(20);
+  }
+}
+
+async function drained(queue) {
+  const s = await queue.stats();
+  return s.pending === 0 && s.processing === 0;
+}
+
+// the queue logs every retry and takeover; keep the test output readable
+test.before(() => {
+  test.mock.method(console, 'warn', () => {});
+  test.mock.method(console, 'error', () => {});
+});
+
+test.afterEach(async () => {
+  await Promise.all(queues.splice(0).map((q) => q.stop()));
+  for (const dir of dirs.splice(0)) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('enqueue is on disk before it resolves', async () => {
+  const queue = makeQueue(tempDir());
+  const job = await queue.enqueue('111', { n: 1 });
+  const file = path.join(queue.dirs.pending, job.file);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).payload, { n: 1 });
+});
+
+test('two workers on one directory run every job exactly once', async () => {
+  const dir = tempDir();
+  const a = makeQueue(dir);
+  const b = makeQueue(dir);
+  const runs = new Map();
+  const handler = async (job) => {
+    runs.set(job.id, (runs.get(job.id) || 0) + 1);
+    await sleep(5);
+  };
+  for (let i = 0; i < 20; i++) await a.enqueue(`sender-${i}`, { i });
+  a.start(handler, { concurrency: 3 });
+  b.start(handler, { concurrency: 3 });
+  await waitFor(() => drained(a));
+  assert.strictEqual(runs.size, 20);
+  assert.ok([...runs.values()].every((n) => n === 1));
+});
+
+test('jobs of one sender run one at a time and in order', async () => {
+  const dir = tempDir();
+  const a = makeQueue(dir);
+  const b = makeQueue(dir);
+  const seen = [];
+  let inFlight = 0;
+  let overlapped = false;
+  const handler = async (job) => {
+    if (job.sender === 'same') {
+      inFlight += 1;
+      if (inFlight > 1) overlapped = true;
+      seen.push(job.payload.n);
+    }
+    await sleep(10 + Math.floor(Math.random() * 20));
+    if (job.sender === 'same') inFlight -= 1;
+  };
+  for (let n = 0; n < 6; n++) {
+    await a.enqueue('same', { n });
+    await a.enqueue(`other-${n}`, { n });
+  }
+  a.start(handler, { concurrency: 4 });
+  b.start(handler, { concurrency: 4 });
+  await waitFor(() => drained(a));
+  assert.deepStrictEqual(seen, [0, 1, 2, 3, 4, 5]);
+  assert.strictEqual(overlapped, false);
+});
+
+test('a failed job is retried with growing backoff and keeps its checkpoint', async () => {
+  const queue = makeQueue(tempDir(), { backoffMs: 100 });
+  const attempts = [];
+  queue.start(async (job) => {
+    attempts.push({ at: Date.now(), attempts: job.attempts, state: job.state });
+    if (job.attempts === 1) await job.checkpoint({ step: 'generated' });
+    if (job.attempts < 3) throw new Error('send failed');
+  });
+  await queue.enqueue('111', {});
+  await waitFor(() => drained(queue));
+  assert.deepStrictEqual(attempts.map((a) => a.attempts), [1, 2, 3]);
+  assert.deepStrictEqual(attempts[1].state, { step: 'generated' });
+  assert.ok(attempts[1].at - attempts[0].at >= 100, 'first retry waits backoffMs');
+  assert.ok(attempts[2].at - attempts[1].at >= 200, 'second retry waits twice as long');
+});
+
+test('a later job of the sender waits while an earlier one backs off', async () => {
+  const queue = makeQueue(tempDir(), { backoffMs: 150 });
+  const seen = [];
+  queue.start(async (job) => {
+    seen.push(`${job.payload.n}#${job.attempts}`);
+    if (job.payload.n === 1 && job.attempts === 1) throw new Error('retry me');
+  });
+  await queue.enqueue('111', { n: 1 });
+  await queue.enqueue('111', { n: 2 });
+  await waitFor(() => drained(queue));
+  assert.deepStrictEqual(seen, ['1#1', '1#2', '2#1']);
+});
+
+test('a job that keeps failing is dead-lettered once and can be requeued', async () => {
+  const queue = makeQueue(tempDir(), { maxAttempts: 2, backoffMs: 10 });
+  const deadLetters = [];
+  let fail = true;
+  queue.start(async () => {
+    if (fail) throw new Error('always broken');
+  }, { onDeadLetter: (job, err) => deadLetters.push({ job, err }) });
+  const job = await queue.enqueue('111', {});
+  await waitFor(async () => (await queue.stats()).dead === 1);
+  assert.strictEqual(deadLetters.length, 1);
+  assert.strictEqual(deadLetters[0].err.message, 'always broken');
+  const [dead] = await queue.listDead();
+  assert.strictEqual(dead.id, job.id);
+  assert.strictEqual(dead.attempts, 2);
+  assert.strictEqual(dead.lastError, 'always broken');
+
+  fail = false;
+  assert.strictEqual(await queue.requeueDead(job.id), true);
+  await waitFor(() => drained(queue));
+  assert.deepStrictEqual(await queue.stats(), { pending: 0, processing: 0, dead: 0 });
+});
+
+test('a handler that outlives the lease keeps its job', async () => {
+  const dir = tempDir();
+  const a = makeQueue(dir, { leaseMs: 1500 });
+  const b = makeQueue(dir, { leaseMs: 1500 });
+  let runs = 0;
+  const handler = async () => {
+    runs += 1;
+    await sleep(4000);
+  };
+  await a.enqueue('111', {});
+  a.start(handler);
+  await waitFor(() => runs === 1);
+  b.start(handler);
+  await waitFor(() => drained(a), 10000);
+  assert.strictEqual(runs, 1);
+});
+
+test('the job of a worker that stopped renewing is run again elsewhere', async () => {
+  const dir = tempDir();
+  const queue = makeQueue(dir, { leaseMs: 200 });
+  // a job claimed by a worker that died long ago
+  const name = `${String(Date.now()).padStart(15, '0')}-0000001-000001-orphan.json`;
+  const orphan = {
+    id: 'orphan', file: name, sender: '111', payload: {}, attempts: 1, availableAt: 0,
+    createdAt: 0, claimedAt: Date.now() - 10000, owner: 'dead-worker', lastError: null, state: { step: 'generated' }
+  };
+  fs.writeFileSync(path.join(queue.dirs.processing, name), JSON.stringify(orphan));
+  const runs = [];
+  queue.start(async (job) => { runs.push(job); });
+  await waitFor(() => drained(queue));
+  assert.strictEqual(runs.length, 1);
+  assert.strictEqual(runs[0].attempts, 2);
+  assert.deepStrictEqual(runs[0].state, { step: 'generated' });
+});
+
+test('a worker whose job was taken over leaves the file alone', async () => {
+  const queue = makeQueue(tempDir());
+  let release;
+  const done = new Promise((resolve) => { release = resolve; });
+  let checkpointError = null;
+  let claimed = null;
+  queue.start(async (job) => {
+    claimed = job;
+    await done;
+    try {
+      await job.checkpoint({ step: 'late' });
+    } catch (err) {
+      checkpointError = err;
+    }
+  });
+  await queue.enqueue('111', {});
+  await waitFor(() => claimed !== null);
+
+  // another worker requeued and claimed it meanwhile
+  const file = path.join(queue.dirs.processing, claimed.file);
+  const theirs = { ...JSON.parse(fs.readFileSync(file, 'utf8')), owner: 'other-worker', state: { step: 'theirs' } };
+  fs.writeFileSync(file, JSON.stringify(theirs));
+  release();
+  await waitFor(() => queue.active.size === 0);
+
+  assert.strictEqual(checkpointError?.code, 'JOB_LOST');
+  const after = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.strictEqual(after.owner, 'other-worker');
+  assert.deepStrictEqual(after.state, { step: 'theirs' });
+});
+
+test('a worker whose job file vanished does not fail', async () => {
+  const queue = makeQueue(tempDir());
+  let claimed = null;
+  let finished = false;
+  queue.start(async (job) => {
+    claimed = job;
+    await sleep(100);
+    finished = true;
+  });
+  await queue.enqueue('111', {});
+  await waitFor(() => claimed !== null);
+  fs.unlinkSync(path.join(queue.dirs.processing, claimed.file));
+  await waitFor(() => finished && queue.active.size === 0);
+  assert.deepStrictEqual(await queue.stats(), { pending: 0, processing: 0, dead: 0 });
+});
@@ -0,0 +1,149 @@
+/**
+ * test/media-fetcher.test.js
+ * The SSRF and storage guards of media-fetcher.js against a local HTTP server. 127.0.0.1 and
+ * 127.0.0.2 are trusted per test (MEDIA_TRUSTED_HOSTS) so the server can be reached at all;
+ * files are saved under a temporary working directory. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const fetcher = require('../media-fetcher');
+
+const PNG = Buffer.concat([Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'), Buffer.alloc(64)]);
+const OWNER = '15550001111';
+
+let server;
+let workDir;
+let base;
+let port;
+
+function routes(req, res) {
+  const url = new URL(req.url, base);
+  if (url.pathname === '/png') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    return res.end(PNG);
+  }
+  if (url.pathname === '/text') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    return res.end('just some text');
+  }
+  if (url.pathname === '/big') {
+    // chunked, no Content-Length: only the streaming cap can stop it
+    res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+    let sent = 0;
+    const chunk = Buffer.alloc(64 * 1024, 1);
+    const pump = () => {
+      while (sent < 4 * 1024 * 1024) {
+        sent += chunk.length;
+        if (!res.write(chunk)) return res.once('drain', pump);
+      }
+      return res.end();
+    };
+    return pump();
+  }
+  if (url.pathname === '/headers') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    return res.end(`authorization=${req.headers.authorization || ''}`);
+  }
+  if (url.pathname === '/redirect') {
+    res.writeHead(302, { Location: url.searchParams.get('to') });
+    return res.end();
+  }
+  if (url.pathname === '/loop') {
+    res.writeHead(302, { Location: '/loop' });
+    return res.end();
+  }
+  res.writeHead(404);
+  return res.end();
+}
+
+test.before(async () => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-fetcher-test-'));
+  process.chdir(workDir);
+  server = http.createServer(routes);
+  await new Promise((resolve) => server.listen(0, '0.0.0.0', resolve));
+  port = server.address().port;
+  base = `http://127.0.0.1:${port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  process.env.MEDIA_TRUSTED_HOSTS = '127.0.0.1,127.0.0.2';
+  delete process.env.MEDIA_USER_QUOTA_MB;
+  fs.rmSync(fetcher.mediaDir(), { recursive: true, force: true });
+});
+
+function leftovers() {
+  return fs.existsSync(fetcher.mediaDir()) ? fs.readdirSync(fetcher.mediaDir()) : [];
+}
+
+test('isPublicAddress refuses private, local and wrapped private addresses', () => {
+  const blocked = [
+    '10.0.0.1', '127.0.0.1', '169.254.169.254', '172.16.5.4', '192.168.1.1', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fc00::1', '::a00:1',
+    '::ffff:10.0.0.1', '::ffff:a00:1', '[::ffff:127.0.0.1]', '::ffff:0:a00:1',
+    '64:ff9b::10.0.0.1', '64:ff9b::a00:1', '64:ff9b:1::a00:1',
+    '2002:a00:1::1', '2001:0:4136:e378::1', 'not-an-ip'
+  ];
+  for (const ip of blocked) assert.strictEqual(fetcher.isPublicAddress(ip), false, ip);
+  for (const ip of ['8.8.8.8', '1.1.1.1', '::ffff:8.8.8.8', '64:ff9b::8.8.8.8', '2606:4700::1111']) {
+    assert.strictEqual(fetcher.isPublicAddress(ip), true, ip);
+  }
+});
+
+test('refuses private hosts and non-http links before connecting', async () => {
+  process.env.MEDIA_TRUSTED_HOSTS = '';
+  await assert.rejects(fetcher.fetchToMedia(`${base}/png`, { name: 'x' }), { code: 'FETCH_BLOCKED' });
+  await assert.rejects(fetcher.fetchToMedia(`http://[::ffff:127.0.0.1]:${port}/png`, { name: 'x' }), { code: 'FETCH_BLOCKED' });
+  await assert.rejects(fetcher.fetchToMedia('file:///etc/passwd', { name: 'x' }), { code: 'FETCH_URL' });
+});
+
+test('a redirect to a private host is refused', async () => {
+  const to = encodeURIComponent('http://10.0.0.1/secret');
+  await assert.rejects(fetcher.fetchToMedia(`${base}/redirect?to=${to}`, { name: 'x' }), { code: 'FETCH_BLOCKED' });
+});
+
+test('redirect loops stop at MEDIA_MAX_REDIRECTS', async () => {
+  await assert.rejects(fetcher.fetchToMedia(`${base}/loop`, { name: 'x' }), { code: 'FETCH_REDIRECTS' });
+});
+
+test('headers follow a redirect on the same host but not to another one', async () => {
+  const headers = { Authorization: 'Bearer graph-token' };
+  const same = await fetcher.fetchToMedia(`${base}/redirect?to=/headers`, { name: 'same', headers });
+  assert.strictEqual(fs.readFileSync(same.path, 'utf8'), 'authorization=Bearer graph-token');
+
+  const to = encodeURIComponent(`http://127.0.0.2:${port}/headers`);
+  const other = await fetcher.fetchToMedia(`${base}/redirect?to=${to}`, { name: 'other', headers });
+  assert.strictEqual(fs.readFileSync(other.path, 'utf8'), 'authorization=');
+});
+
+test('a body without Content-Length is cut off at the size limit', async () => {
+  await assert.rejects(fetcher.fetchToMedia(`${base}/big`, { name: 'big', maxBytes: 1024 * 1024 }), { code: 'FETCH_TOO_LARGE' });
+  assert.deepStrictEqual(leftovers(), []);
+});
+
+test('content of the wrong type is refused and not kept', async () => {
+  await assert.rejects(fetcher.fetchToMedia(`${base}/text`, { name: 'clip', accept: ['video/'] }), { code: 'FETCH_TYPE' });
+  assert.deepStrictEqual(leftovers(), []);
+});
+
+test('files are typed by their content, not the declared type', async () => {
+  const file = await fetcher.fetchToMedia(`${base}/png`, { owner: OWNER, name: `${OWNER}-pic`, accept: ['image/'] });
+  assert.strictEqual(file.mimeType, 'image/png');
+  assert.strictEqual(file.filename, `${OWNER}-pic.png`);
+});
+
+test('a user over their storage quota gets QUOTA_USER', async () => {
+  process.env.MEDIA_USER_QUOTA_MB = '1';
+  fs.mkdirSync(fetcher.mediaDir(), { recursive: true });
+  fs.writeFileSync(path.join(fetcher.mediaDir(), `${OWNER}-old.bin`), Buffer.alloc(1024 * 1024));
+  await assert.rejects(fetcher.fetchToMedia(`${base}/png`, { owner: OWNER, name: `${OWNER}-new` }), { code: 'QUOTA_USER' });
+});
@@ -0,0 +1,72 @@
+/**
+ * test/user-memory.test.js
+ * remember / recall / contextFor / forget against the in-memory storage adapter and a stub
+ * embedder, so no network or API key is needed. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const embeddings = require('../embeddings');
+const { MemoryAdapter } = require('../storage/memory-adapter');
+const userMemory = require('../user-memory');
+
+// one dimension per topic word: facts and questions about the same topic point the same way
+const TOPICS = ['vegetarian', 'berlin', 'guitar', 'birthday'];
+embeddings.useEmbedder({
+  name: 'stub',
+  embed: async (texts) => texts.map((t) => {
+    const lower = t.toLowerCase();
+    const vec = TOPICS.map((w) => (lower.includes(w) ? 1 : 0));
+    return vec.some(Boolean) ? vec : [...TOPICS.map(() => 0), 1];
+  })
+});
+
+const USER = '15550001111';
+
+test.beforeEach(() => {
+  userMemory.useAdapter(new MemoryAdapter());
+  process.env.MEMORY_ENABLED = 'true';
+});
+
+test('recall returns the fact that matches the query', async () => {
+  await userMemory.remember(USER, 'User is vegetarian');
+  await userMemory.remember(USER, 'User lives in Berlin');
+  await userMemory.remember(USER, 'User plays the guitar');
+
+  const facts = await userMemory.recall(USER, 'any vegetarian restaurants near me?', 1);
+  assert.deepStrictEqual(facts, ['User is vegetarian']);
+});
+
+test('contextFor puts the relevant fact in the system context', async () => {
+  await userMemory.remember(USER, 'User lives in Berlin');
+  await userMemory.remember(USER, 'User plays the guitar');
+
+  const context = await userMemory.contextFor({ user: USER, query: 'what is the weather in Berlin?' });
+  assert.match(context, /- User lives in Berlin/);
+  assert.doesNotMatch(context, /guitar/);
+});
+
+test('contextFor adds nothing while memory is disabled', async () => {
+  await userMemory.remember(USER, 'User lives in Berlin');
+  process.env.MEMORY_ENABLED = 'false';
+
+  assert.strictEqual(await userMemory.contextFor({ user: USER, query: 'Berlin' }), null);
+});
+
+test('forget removes the fact so it is no longer recalled', async () => {
+  await userMemory.remember(USER, 'User is vegetarian');
+  await userMemory.remember(USER, 'User lives in Berlin');
+
+  const removed = await userMemory.forget(USER, 'that I am vegetarian');
+  assert.deepStrictEqual(removed, ['User is vegetarian']);
+  assert.deepStrictEqual(await userMemory.recall(USER, 'vegetarian'), []);
+  assert.deepStrictEqual(await userMemory.recall(USER, 'Berlin'), ['User lives in Berlin']);
+});
+
+test('forget all clears every fact', async () => {
+  await userMemory.remember(USER, 'User is vegetarian');
+  await userMemory.remember(USER, 'User lives in Berlin');
+
+  assert.strictEqual((await userMemory.forget(USER, 'all')).length, 2);
+  assert.deepStrictEqual(await userMemory.list(USER), []);
+});
@@ -0,0 +1,234 @@
+/**
+ * usage-tracker.js
+ * Token and cost accounting for LLM calls, plus per-user daily / monthly quotas.
+ *
+ * openai-client.js records every call that carries a `user` option; /image records its images and
+ * speech.js its transcriptions (seconds of audio) and speech (characters).
+ * Totals are kept per user and for everyone ('all'), per UTC day and month, in the storage adapter:
+ *  usage:d:<YYYY-MM-DD>:<user|all>   kept 40 days
+ *  usage:m:<YYYY-MM>:<user|all>      kept 400 days
+ * Each record: { calls, promptTokens, completionTokens, tokens, images, seconds, characters, cost,
+ *                byCommand: { <cmd>: { calls, tokens, cost } }, byModel: { <model>: { calls, tokens, cost } } }
+ *
+ * Prices are USD per 1M tokens ({ input, output }), per image ({ image }), per minute of audio
+ * transcribed ({ minute }) or per 1M characters spoken ({ characters }), matched on the
+ * longest model-name prefix so dated snapshots like gpt-4o-mini-2024-07-18 are covered.
+ * LLM_PRICES (JSON) adds or overrides entries, e.g. {"llama3":{"input":0,"output":0}}.
+ * Models without a price are counted with cost 0.
+ *
+ * Quotas (tokens per user, 0 = unlimited; admins and owners are exempt):
+ *  USAGE_DAILY_TOKENS, USAGE_MONTHLY_TOKENS
+ * Speech has no tokens of its own; transcription and /tts are refused once the quota is used up.
+ */
+
+const { getDefaultAdapter } = require('./storage');
+const roles = require('./roles');
+
+const DEFAULT_PRICES = {
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'dall-e-2': { image: 0.02 },
+  'dall-e-3': { image: 0.04 },
+  'whisper-1': { minute: 0.006 },
+  'gpt-4o-transcribe': { minute: 0.006 },
+  'gpt-4o-mini-transcribe': { minute: 0.003 },
+  'tts-1': { characters: 15 },
+  'tts-1-hd': { characters: 30 }
+};
+const DAY_TTL_MS = 40 * 24 * 60 * 60 * 1000;
+const MONTH_TTL_MS = 400 * 24 * 60 * 60 * 1000;
+const ALL = 'all';
+
+let adapter = null;
+let prices = null;
+const chains = new Map(); // key -> promise, serializes read-modify-write per record
+
+function _adapter() {
+  if (!adapter) adapter = getDefaultAdapter();
+  return adapter;
+}
+
+function useAdapter(next) {
+  adapter = next;
+}
+
+function _prices() {
+  if (!prices) {
+    prices = { ...DEFAULT_PRICES };
+    if (process.env.LLM_PRICES) {
+      try {
+        Object.assign(prices, JSON.parse(process.env.LLM_PRICES));
+      } catch (err) {
+        console.error('usage-tracker: LLM_PRICES is not valid JSON, using defaults', err?.message || err);
+      }
+    }
+  }
+  return prices;
+}
+
+/** priceFor(model) -> { input, output, image, minute, characters } | null */
+function priceFor(model) {
+  const name = String(model || '').toLowerCase();
+  let best = null;
+  for (const key of Object.keys(_prices())) {
+    if (name.startsWith(key.toLowerCase()) && (!best || key.length > best.length)) best = key;
+  }
+  return best ? _prices()[best] : null;
+}
+
+function estimateCost({ model, promptTokens = 0, completionTokens = 0, images = 0, seconds = 0, characters = 0 }) {
+  const p = priceFor(model);
+  if (!p) return 0;
+  return (promptTokens * (p.input || 0) + completionTokens * (p.output || 0) + characters * (p.characters || 0)) / 1e6
+    + images * (p.image || 0) + (seconds / 60) * (p.minute || 0);
+}
+
+function normalizeBare(jidOrNumber) {
+  return String(jidOrNumber || '').replace(/\D/g, '');
+}
+
+function periods(now = new Date()) {
+  const iso = now.toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+function emptyRecord() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, tokens: 0, images: 0, seconds: 0, characters: 0, cost: 0, byCommand: {}, byModel: {} };
+}
+
+function addTo(record, entry) {
+  const tokens = entry.promptTokens + entry.completionTokens;
+  record.calls += 1;
+  record.promptTokens += entry.promptTokens;
+  record.completionTokens += entry.completionTokens;
+  record.tokens += tokens;
+  record.images += entry.images;
+  // records written before speech was metered have no seconds/characters yet
+  record.seconds = (record.seconds || 0) + entry.seconds;
+  record.characters = (record.characters || 0) + entry.characters;
+  record.cost += entry.cost;
+  for (const [map, name] of [[record.byCommand, entry.command], [record.byModel, entry.model]]) {
+    const slot = map[name] || (map[name] = { calls: 0, tokens: 0, cost: 0 });
+    slot.calls += 1;
+    slot.tokens += tokens;
+    slot.cost += entry.cost;
+  }
+  return record;
+}
+
+function update(key, ttlMs, entry) {
+  const prev = chains.get(key) || Promise.resolve();
+  const next = prev.then(async () => {
+    const record = (await _adapter().get(key)) || emptyRecord();
+    await _adapter().set(key, addTo(record, entry), ttlMs);
+  });
+  const tail = next.catch(() => {});
+  chains.set(key, tail);
+  tail.then(() => { if (chains.get(key) === tail) chains.delete(key); });
+  return next;
+}
+
+/**
+ * record({ user, command, model, promptTokens, completionTokens, images, seconds, characters }) -> entry
+ * Adds one call to the user's and the global day/month totals. Never throws: accounting
+ * problems are logged rather than failing the reply.
+ */
+async function record({ user = null, command = 'chat', model = 'unknown', promptTokens = 0, completionTokens = 0, images = 0, seconds = 0, characters = 0 }) {
+  const entry = {
+    command: String(command || 'chat'),
+    model: String(model || 'unknown'),
+    promptTokens: promptTokens || 0,
+    completionTokens: completionTokens || 0,
+    images: images || 0,
+    seconds: seconds || 0,
+    characters: characters || 0
+  };
+  entry.cost = estimateCost(entry);
+  const { day, month } = periods();
+  const who = [ALL];
+  const bare = normalizeBare(user);
+  if (bare) who.push(bare);
+  try {
+    await Promise.all(who.flatMap((w) => [
+      update(`usage:d:${day}:${w}`, DAY_TTL_MS, entry),
+      update(`usage:m:${month}:${w}`, MONTH_TTL_MS, entry)
+    ]));
+  } catch (err) {
+    console.error('usage-tracker: record error', err?.message || err);
+  }
+  return entry;
+}
+
+/** getUsage(user) -> { day, month, today: record, thisMonth: record } (user 'all' for totals) */
+async function getUsage(user = ALL) {
+  const { day, month } = periods();
+  const who = user === ALL ? ALL : normalizeBare(user);
+  return {
+    day,
+    month,
+    today: (await _adapter().get(`usage:d:${day}:${who}`)) || emptyRecord(),
+    thisMonth: (await _adapter().get(`usage:m:${month}:${who}`)) || emptyRecord()
+  };
+}
+
+/** topUsers(limit) -> [{ user, tokens, cost }] this month, most expensive first */
+async function topUsers(limit = 5) {
+  const { month } = periods();
+  const prefix = `usage:m:${month}:`;
+  const out = [];
+  for (const key of await _adapter().keys(prefix)) {
+    const user = key.slice(prefix.length);
+    if (user === ALL) continue;
+    const r = await _adapter().get(key);
+    if (r) out.push({ user, tokens: r.tokens, cost: r.cost });
+  }
+  return out.sort((a, b) => b.cost - a.cost || b.tokens - a.tokens).slice(0, limit);
+}
+
+function quotas() {
+  return {
+    daily: parseInt(process.env.USAGE_DAILY_TOKENS || '0', 10) || 0,
+    monthly: parseInt(process.env.USAGE_MONTHLY_TOKENS || '0', 10) || 0
+  };
+}
+
+/** checkQuota(user) -> { ok, period, used, limit } */
+async function checkQuota(user) {
+  const q = quotas();
+  if (!user || (!q.daily && !q.monthly)) return { ok: true };
+  if (roles.rank(await roles.getRole(user)) >= roles.rank('admin')) return { ok: true };
+  const usage = await getUsage(user);
+  if (q.daily && usage.today.tokens >= q.daily) return { ok: false, period: 'day', used: usage.today.tokens, limit: q.daily };
+  if (q.monthly && usage.thisMonth.tokens >= q.monthly) return { ok: false, period: 'month', used: usage.thisMonth.tokens, limit: q.monthly };
+  return { ok: true };
+}
+
+/**
+ * assertWithinQuota(user)
+ * Throws an error with code QUOTA_EXCEEDED (message is fit to send to the user).
+ */
+async function assertWithinQuota(user) {
+  const q = await checkQuota(user);
+  if (q.ok) return;
+  const [period, when] = q.period === 'day' ? ['today', 'tomorrow (UTC)'] : ['this month', 'next month'];
+  const err = new Error(`📊 You've used your AI allowance for ${period} (${q.used}/${q.limit} tokens). It resets ${when}. Commands that don't use AI still work.`);
+  err.code = 'QUOTA_EXCEEDED';
+  throw err;
+}
+
+module.exports = {
+  useAdapter,
+  priceFor,
+  estimateCost,
+  record,
+  getUsage,
+  topUsers,
+  quotas,
+  checkQuota,
+  assertWithinQuota
+};
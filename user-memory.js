@@ -0,0 +1,248 @@
+/**
+ * user-memory.js
+ * Opt-in long-term memory: durable facts about a user ("User's name is Ada", "User is vegetarian")
+ * that outlive the session TTL and are fed back to the model when relevant.
+ *
+ * Enabled per server with MEMORY_ENABLED=true. Then:
+ *  - /remember <fact> stores a fact explicitly
+ *  - users who opt in with /memories on also get facts picked up from their messages, by the LLM
+ *    (command 'memory') or, with MEMORY_EXTRACTOR=rules or no LLM, by a few phrase patterns
+ *  - for every chat turn the closest memories to the user's message (embeddings.js + vector-index.js)
+ *    are added to getConversationForOpenAI as a system message (registered as a context provider)
+ *
+ * Storage (storage adapter, no expiry):
+ *  memory:<number>  { optIn, items: [{ id, text, vector, model, source: 'manual'|'auto', createdAt }] }
+ *
+ * Config: MEMORY_MAX_ITEMS (100), MEMORY_TOP_K (5), MEMORY_MIN_SCORE (0.25)
+ */
+
+const crypto = require('crypto');
+const { getDefaultAdapter } = require('./storage');
+const embeddings = require('./embeddings');
+const { topK, cosineSimilarity } = require('./vector-index');
+
+const KEY_PREFIX = 'memory:';
+const DUPLICATE_SCORE = 0.92; // a new fact this close to an old one replaces it
+
+let adapter = null;
+const locks = new Map(); // user -> tail of the promise chain serializing updates
+
+function _adapter() {
+  if (!adapter) adapter = getDefaultAdapter();
+  return adapter;
+}
+
+function useAdapter(next) {
+  adapter = next;
+}
+
+// env is read on first use so dotenv.config() may run after this module is required
+function limits() {
+  return {
+    maxItems: parseInt(process.env.MEMORY_MAX_ITEMS || '100', 10),
+    topK: parseInt(process.env.MEMORY_TOP_K || '5', 10),
+    minScore: parseFloat(process.env.MEMORY_MIN_SCORE || '0.25')
+  };
+}
+
+function isEnabled() {
+  return process.env.MEMORY_ENABLED === 'true';
+}
+
+function normalizeBare(jidOrNumber) {
+  return String(jidOrNumber || '').replace(/\D/g, '');
+}
+
+async function _load(user) {
+  return (await _adapter().get(KEY_PREFIX + normalizeBare(user))) || { optIn: false, items: [] };
+}
+
+function _update(user, fn) {
+  const key = KEY_PREFIX + normalizeBare(user);
+  const prev = locks.get(key) || Promise.resolve();
+  const run = prev.then(async () => {
+    const record = await _load(user);
+    const result = await fn(record);
+    await _adapter().set(key, record);
+    return result;
+  });
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => { if (locks.get(key) === tail) locks.delete(key); });
+  return run;
+}
+
+// vectors from another embedding model can't be compared: embed those items again
+async function _refreshVectors(record) {
+  const model = embeddings.modelName();
+  const stale = record.items.filter((m) => m.model !== model);
+  if (!stale.length) return false;
+  const vectors = await embeddings.embed(stale.map((m) => m.text));
+  stale.forEach((m, i) => { m.vector = vectors[i]; m.model = model; });
+  return true;
+}
+
+/** getStatus(user) -> { enabled, optIn, count } */
+async function getStatus(user) {
+  const record = await _load(user);
+  return { enabled: isEnabled(), optIn: record.optIn, count: record.items.length };
+}
+
+async function setOptIn(user, optIn) {
+  await _update(user, (r) => { r.optIn = Boolean(optIn); });
+}
+
+/** list(user) -> [{ id, text, source, createdAt }] oldest first */
+async function list(user) {
+  const record = await _load(user);
+  return record.items.map(({ id, text, source, createdAt }) => ({ id, text, source, createdAt }));
+}
+
+/**
+ * remember(user, text, source) -> { item, replaced }
+ * A fact that is nearly identical to a stored one replaces it; past MEMORY_MAX_ITEMS the oldest go.
+ */
+async function remember(user, text, source = 'manual') {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim().slice(0, 500);
+  if (!clean) return null;
+  const [vector] = await embeddings.embed([clean]);
+  const model = embeddings.modelName();
+  return _update(user, async (r) => {
+    await _refreshVectors(r);
+    const same = r.items.find((m) => cosineSimilarity(m.vector, vector) >= DUPLICATE_SCORE);
+    if (same) {
+      Object.assign(same, { text: clean, vector, model, source, createdAt: Date.now() });
+      return { item: same, replaced: true };
+    }
+    const item = { id: crypto.randomBytes(4).toString('hex'), text: clean, vector, model, source, createdAt: Date.now() };
+    r.items.push(item);
+    const { maxItems } = limits();
+    if (r.items.length > maxItems) r.items = r.items.slice(-maxItems);
+    return { item, replaced: false };
+  });
+}
+
+/**
+ * forget(user, selector) -> [removed texts]
+ * selector: 'all', a 1-based number from list(), or text (removes the closest fact).
+ */
+async function forget(user, selector) {
+  const sel = String(selector || '').trim();
+  const query = /^(all|\d+)$/i.test(sel) ? null : (await embeddings.embed([sel]))[0];
+  return _update(user, async (r) => {
+    let removed = [];
+    if (/^all$/i.test(sel)) {
+      removed = r.items;
+      r.items = [];
+    } else if (/^\d+$/.test(sel)) {
+      const idx = parseInt(sel, 10) - 1;
+      if (r.items[idx]) removed = r.items.splice(idx, 1);
+    } else {
+      await _refreshVectors(r);
+      const [hit] = topK(r.items, query, { k: 1, minScore: 0.5 });
+      if (hit) removed = r.items.splice(r.items.indexOf(hit.item), 1);
+    }
+    return removed.map((m) => m.text);
+  });
+}
+
+/** recall(user, query, k) -> [text] closest facts first */
+async function recall(user, query, k = limits().topK) {
+  let record = await _load(user);
+  if (!record.items.length) return [];
+  if (record.items.some((m) => m.model !== embeddings.modelName())) {
+    record = await _update(user, async (r) => { await _refreshVectors(r); return r; });
+  }
+  const [vector] = await embeddings.embed([query || '']);
+  return topK(record.items, vector, { k, minScore: limits().minScore }).map((hit) => hit.item.text);
+}
+
+/**
+ * contextFor({ user, query }) -> String|null
+ * Context provider for session-store.addContextProvider.
+ */
+async function contextFor({ user, query }) {
+  if (!isEnabled() || !query) return null;
+  const facts = await recall(user, query);
+  if (!facts.length) return null;
+  return `Things you know about this user from earlier conversations (use them when relevant):\n${facts.map((f) => `- ${f}`).join('\n')}`;
+}
+
+/* ---------- Extraction ---------- */
+
+const VERBS = { love: 'loves', prefer: 'prefers', hate: 'hates', "don't like": "doesn't like", 'do not like': "doesn't like" };
+const RULES = [
+  [/\bmy name is ([\p{L}' -]{2,40}?)(?=[.,!?]|$| and\b)/iu, (m) => `User's name is ${m[1].trim()}`],
+  [/\bcall me ([\p{L}' -]{2,30}?)(?=[.,!?]|$| and\b)/iu, (m) => `User wants to be called ${m[1].trim()}`],
+  [/\bi(?:'m| am) (?:a |an )?(vegetarian|vegan|pescatarian|diabetic|lactose intolerant|allergic to [^.,!?]{2,40}?)(?=\s+(?:and|but)\b|[.,!?]|$)/i, (m) => `User is ${m[1].trim()}`],
+  [/\bi live in ([^.,!?]{2,40}?)(?=\s+(?:and|but)\b|[.,!?]|$)/i, (m) => `User lives in ${m[1].trim()}`],
+  [/\bi work (as|at|for) ([^.,!?]{2,60}?)(?=\s+(?:and|but)\b|[.,!?]|$)/i, (m) => `User works ${m[1].toLowerCase()} ${m[2].trim()}`],
+  [/\bmy birthday is ([^.,!?]{2,30}?)(?=\s+(?:and|but)\b|[.,!?]|$)/i, (m) => `User's birthday is ${m[1].trim()}`],
+  [/\bi (love|prefer|hate|don't like|do not like) ([^.,!?]{2,60}?)(?=\s+(?:and|but)\b|[.,!?]|$)/i, (m) => `User ${VERBS[m[1].toLowerCase()]} ${m[2].trim()}`]
+];
+
+function extractWithRules(text) {
+  const facts = [];
+  for (const [re, format] of RULES) {
+    const m = String(text).match(re);
+    if (m) facts.push(format(m));
+  }
+  return facts;
+}
+
+async function extractWithLlm(user, text) {
+  const openaiClient = require('./openai-client');
+  const reply = await openaiClient.generateReply([
+    {
+      role: 'system',
+      content: 'Extract durable facts about the user from their message: name, preferences, diet, allergies, ' +
+        'location, job, family, important dates. Ignore temporary states, opinions about the current topic and ' +
+        'questions. Answer only with a JSON array of short third-person statements such as ' +
+        '["User\'s name is Ada", "User is vegetarian"], or [] when there are none.'
+    },
+    { role: 'user', content: text }
+  ], { command: 'memory', user, temperature: 0, maxTokens: 200 });
+  const json = String(reply).replace(/^```(?:json)?\s*|\s*```$/g, '');
+  try {
+    const facts = JSON.parse(json);
+    return Array.isArray(facts) ? facts.filter((f) => typeof f === 'string' && f.trim()) : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * learnFrom(user, text) -> [facts stored]
+ * Picks durable facts out of a user message, for opted-in users only. Never throws.
+ */
+async function learnFrom(user, text) {
+  if (!isEnabled() || !text || text.startsWith('/')) return [];
+  // cheap filter: facts about the user are stated in the first person
+  if (!/\b(i|i'm|im|my|me|mine)\b/i.test(text)) return [];
+  try {
+    const record = await _load(user);
+    if (!record.optIn) return [];
+    const openaiClient = require('./openai-client');
+    const useLlm = process.env.MEMORY_EXTRACTOR !== 'rules' && openaiClient.isConfigured();
+    const facts = useLlm ? await extractWithLlm(user, text) : extractWithRules(text);
+    for (const fact of facts) await remember(user, fact, 'auto');
+    return facts;
+  } catch (err) {
+    console.error('user-memory: learnFrom error', err?.message || err);
+    return [];
+  }
+}
+
+module.exports = {
+  useAdapter,
+  isEnabled,
+  getStatus,
+  setOptIn,
+  list,
+  remember,
+  forget,
+  recall,
+  contextFor,
+  learnFrom,
+  extractWithRules
+};
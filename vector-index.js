@@ -0,0 +1,27 @@
+/**
+ * vector-index.js
+ * Small brute-force similarity search over normalized vectors (see embeddings.js).
+ * Collections here are per user or per document set, so a linear scan is plenty fast.
+ *
+ * Usage:
+ *  const hits = topK(items, queryVector, { k: 5, minScore: 0.3 });   // items: [{ vector, ... }]
+ *  hits -> [{ item, score }] best first
+ */
+
+/** cosineSimilarity(a, b) - dot product; both vectors must be L2-normalized and the same length. */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < a.length; i += 1) sum += a[i] * b[i];
+  return sum;
+}
+
+function topK(items, vector, { k = 5, minScore = 0 } = {}) {
+  return items
+    .map((item) => ({ item, score: cosineSimilarity(item.vector, vector) }))
+    .filter((hit) => hit.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+module.exports = { cosineSimilarity, topK };
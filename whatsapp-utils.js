@@ -1,18 +1,41 @@
 /**
  * whatsapp-utils.js
- * Thin wrapper around the Meta WhatsApp Cloud API for sending text and interactive messages.
+ * Thin wrapper around the Meta WhatsApp Cloud API: sending text, template, interactive and media
+ * messages (image, audio, video, document, sticker), uploading outbound media and fetching inbound media.
  *
  * Usage:
- *  const { sendText, sendInteractive } = require('./whatsapp-utils');
+ *  const { sendText, sendInteractive, sendImage, sendDocument, downloadMedia } = require('./whatsapp-utils');
  *  await sendText(toBareNumberOrJid, 'hello');
  *  await sendInteractive(toBareNumberOrJid, payload);
+ *  await sendText(to, 'hello', { tag: broadcastId });   // tag groups messages in delivery tracking
+ *  await sendTemplate(to, 'order_update', { header: ['A-1001'], body: ['Sam'] });   // message-templates.js
+ *  const { buffer, mimeType } = await downloadMedia(mediaId);   // media a user sent us
+ *  await sendAudio(to, { buffer, mimeType: 'audio/ogg' });      // uploads first; { id } or { link } work too
+ *  await sendImage(to, './media/cat.png', { caption: 'A cat' }); // local path, URL or media id
+ *  await sendDocument(to, { path: './media/report.pdf' }, { filename: 'Report.pdf' });
  *
  * Notes:
  *  - 'to' may be a bare phone number string or a JID (e.g., '1234567890' or '1234567890@c.us').
  *  - For the Cloud API "to" field must be the recipient phone number in international format (no +).
+ *  - sendText splits bodies over WhatsApp's 4096-char limit into numbered parts
+ *    (message-formatter.js) and sends them in order.
+ *  - Free-form messages only reach users who wrote within the last 24 hours (service-window.js);
+ *    sendText and sendInteractive switch to the WHATSAPP_FALLBACK_TEMPLATE template for everyone
+ *    else. No template can carry a file, so media sends to them throw with err.code OUTSIDE_WINDOW.
+ *  - Local files and buffers are typed by their content (magic bytes, then extension) and checked
+ *    against WhatsApp's per-type MIME and size limits before uploading; violations throw with
+ *    err.code MEDIA_UNSUPPORTED or MEDIA_TOO_LARGE. Links and media ids are sent as they are.
+ *  - Every accepted message is recorded by its wamid in delivery-tracker.js so status
+ *    webhooks (sent/delivered/read/failed) can be matched back to it.
  */
 
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
+const deliveryTracker = require('./delivery-tracker');
+const serviceWindow = require('./service-window');
+const templates = require('./message-templates');
+const { splitMessage } = require('./message-formatter');
 const WHATSAPP_PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID;
 const WHATSAPP_ACCESS_TOKEN = process.env.WHATSAPP_ACCESS_TOKEN;
 if (!WHATSAPP_PHONE_NUMBER_ID || !WHATSAPP_ACCESS_TOKEN) {
@@ -27,7 +50,39 @@ function toBareNumber(to) {
   return digits;
 }
 
-async function sendText(to, text) {
+// record the wamid of an accepted message; tracking problems never fail the send
+async function trackOutbound(respData, toBare, kind, tag) {
+  const wamid = respData?.messages?.[0]?.id;
+  if (!wamid) return;
+  try {
+    await deliveryTracker.recordOutbound({ wamid, to: toBare, kind, tag });
+  } catch (err) {
+    console.error('whatsapp-utils: failed to record outbound message', err?.message || err);
+  }
+}
+
+/**
+ * sendText(to, text, options) -> response data of the first part
+ * Long texts are sent as several numbered messages; every part's response is in `.parts`.
+ * Outside the user's 24-hour customer-service window the text goes out as the fallback
+ * template instead (options.template, else WHATSAPP_FALLBACK_TEMPLATE; false opts out) and
+ * the response has `.template` set to its name.
+ */
+async function sendText(to, text, options = {}) {
+  const template = await fallbackTemplateFor(to, options);
+  if (template) {
+    const resp = await sendTemplate(to, template, templates.fallbackParams(template, text), options);
+    return { ...resp, template };
+  }
+  const parts = splitMessage(text);
+  const responses = [];
+  for (const part of parts) {
+    responses.push(await sendTextPart(to, part, options));
+  }
+  return parts.length > 1 ? { ...responses[0], parts: responses } : responses[0];
+}
+
+async function sendTextPart(to, text, options) {
   const toBare = toBareNumber(to);
   const url = `https://graph.facebook.com/v17.0/${WHATSAPP_PHONE_NUMBER_ID}/messages`;
   const payload = {
@@ -40,6 +95,56 @@ async function sendText(to, text) {
     'Content-Type': 'application/json'
   };
   const resp = await axios.post(url, payload, { headers, timeout: 60000 });
+  await trackOutbound(resp.data, toBare, 'text', options.tag);
+  return resp.data;
+}
+
+// free-form messages are only delivered within 24 hours of the user's last message (service-window.js);
+// when the lookup fails the message is sent and Meta reports a closed window as a failed status
+async function windowClosed(to) {
+  try {
+    return !(await serviceWindow.isOpen(toBareNumber(to)));
+  } catch (err) {
+    console.error('whatsapp-utils: service window lookup failed', err?.message || err);
+    return false;
+  }
+}
+
+// with no fallback template configured, text is sent anyway and the failure shows up as a status
+async function fallbackTemplateFor(to, options) {
+  const name = options.template === false ? null : options.template || process.env.WHATSAPP_FALLBACK_TEMPLATE;
+  if (!name || !(await windowClosed(to))) return null;
+  return name;
+}
+
+/**
+ * sendTemplate(to, name, params, options) -> response data
+ * Sends an approved template from message-templates.js; params are { header, body, buttons,
+ * language } as for templates.buildTemplate. A media header may also be a local { path } or
+ * { buffer }, which is uploaded first. Templates are delivered whether or not the window is open.
+ */
+async function sendTemplate(to, name, params = {}, options = {}) {
+  const toBare = toBareNumber(to);
+  let { header } = params;
+  const format = templates.getTemplate(name)?.header?.format;
+  const media = Array.isArray(header) ? header[0] : header;
+  if (MEDIA_RULES[format] && media && (media.path || media.buffer)) {
+    const file = await prepareUpload(format, media);
+    header = { id: await uploadMedia(file.buffer, file.mimeType, file.filename) };
+  }
+  const url = `https://graph.facebook.com/v17.0/${WHATSAPP_PHONE_NUMBER_ID}/messages`;
+  const payload = {
+    messaging_product: 'whatsapp',
+    to: toBare,
+    type: 'template',
+    template: templates.buildTemplate(name, { ...params, header })
+  };
+  const headers = {
+    Authorization: `Bearer ${WHATSAPP_ACCESS_TOKEN}`,
+    'Content-Type': 'application/json'
+  };
+  const resp = await axios.post(url, payload, { headers, timeout: 60000 });
+  await trackOutbound(resp.data, toBare, 'template', options.tag);
   return resp.data;
 }
 
@@ -61,8 +166,17 @@ async function sendText(to, text) {
  *   body: { text: 'Choose' },
  *   action: { buttons: [{type:'reply', reply:{id:'btn1', title:'Yes'}}] }
  * }
+ *
+ * Outside the 24-hour window it is sent like sendText: as the fallback template, with the header,
+ * body, footer and choices as plain text (see interactiveText), and `.template` in the response.
  */
-async function sendInteractive(to, interactivePayload) {
+async function sendInteractive(to, interactivePayload, options = {}) {
+  const template = await fallbackTemplateFor(to, options);
+  if (template) {
+    const text = interactiveText(interactivePayload);
+    const resp = await sendTemplate(to, template, templates.fallbackParams(template, text), options);
+    return { ...resp, template };
+  }
   const toBare = toBareNumber(to);
   const url = `https://graph.facebook.com/v17.0/${WHATSAPP_PHONE_NUMBER_ID}/messages`;
   const payload = {
@@ -76,7 +190,278 @@ async function sendInteractive(to, interactivePayload) {
     'Content-Type': 'application/json'
   };
   const resp = await axios.post(url, payload, { headers, timeout: 60000 });
+  await trackOutbound(resp.data, toBare, 'interactive', options.tag);
   return resp.data;
 }
 
-module.exports = { sendText, sendInteractive };
\ No newline at end of file
+// interactiveText(payload) -> the message as plain text, its buttons or list rows as bullets
+function interactiveText(payload = {}) {
+  const choices = [
+    ...(payload.action?.buttons || []).map((b) => b.reply?.title),
+    ...(payload.action?.sections || []).flatMap((s) => (s.rows || []).map((r) => r.title))
+  ].filter(Boolean);
+  return [
+    payload.header?.type === 'text' ? payload.header.text : null,
+    payload.body?.text,
+    payload.footer?.text,
+    ...choices.map((c) => `• ${c}`)
+  ].filter(Boolean).join('\n');
+}
+
+// Cloud API limits per message type; documents take any type. Stickers: 100 KB static, 500 KB animated.
+const MB = 1024 * 1024;
+const MEDIA_RULES = {
+  image: { types: ['image/jpeg', 'image/png'], maxBytes: 5 * MB },
+  audio: { types: ['audio/aac', 'audio/amr', 'audio/mpeg', 'audio/mp4', 'audio/ogg'], maxBytes: 16 * MB },
+  video: { types: ['video/mp4', 'video/3gpp'], maxBytes: 16 * MB },
+  document: { types: null, maxBytes: 100 * MB },
+  sticker: { types: ['image/webp'], maxBytes: 500 * 1024, staticMaxBytes: 100 * 1024 }
+};
+
+const EXTENSION_TYPES = {
+  '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.gif': 'image/gif',
+  '.aac': 'audio/aac', '.amr': 'audio/amr', '.mp3': 'audio/mpeg', '.m4a': 'audio/mp4', '.ogg': 'audio/ogg', '.opus': 'audio/ogg',
+  '.mp4': 'video/mp4', '.3gp': 'video/3gpp', '.mov': 'video/quicktime', '.webm': 'video/webm',
+  '.pdf': 'application/pdf', '.txt': 'text/plain', '.csv': 'text/csv', '.zip': 'application/zip',
+  '.doc': 'application/msword', '.xls': 'application/vnd.ms-excel', '.ppt': 'application/vnd.ms-powerpoint',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// magic bytes for the formats WhatsApp distinguishes; office files are zips, so those go by extension
+function sniffMimeType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 4) === 'GIF8') return 'image/gif';
+  if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(0, 5) === '#!AMR') return 'audio/amr';
+  if (ascii(0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && (buffer[1] & 0x06) !== 0)) return 'audio/mpeg';
+  if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) return 'audio/aac';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand.startsWith('3g')) return 'video/3gpp';
+    if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4';
+    if (brand === 'qt  ') return 'video/quicktime';
+    return 'video/mp4';
+  }
+  if (ascii(0, 4) === '\x1aE\xdf\xa3') return 'video/webm';
+  if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+  return null;
+}
+
+// an animated WebP starts with a VP8X chunk whose flags have the animation bit set
+function isAnimatedWebp(buffer) {
+  return buffer.length >= 21 && buffer.toString('latin1', 12, 16) === 'VP8X' && (buffer[20] & 0x02) !== 0;
+}
+
+/**
+ * detectMimeType(buffer, { filename, mimeType }) -> String
+ * File contents win over the name; a declared type is used when neither is conclusive.
+ */
+function detectMimeType(buffer, { filename = '', mimeType = '' } = {}) {
+  const declared = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  return sniffMimeType(buffer)
+    || EXTENSION_TYPES[path.extname(String(filename)).toLowerCase()]
+    || (declared && declared !== 'application/octet-stream' ? declared : null)
+    || 'application/octet-stream';
+}
+
+/** extensionFor(mimeType) -> '.jpg', '.mp4', ... or '' for types without a known extension */
+function extensionFor(mimeType) {
+  return Object.keys(EXTENSION_TYPES).find((ext) => EXTENSION_TYPES[ext] === mimeType) || '';
+}
+
+function mediaError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function formatBytes(n) {
+  return n >= MB ? `${(n / MB).toFixed(1)} MB` : `${Math.ceil(n / 1024)} KB`;
+}
+
+function checkSize(type, size) {
+  const { maxBytes } = MEDIA_RULES[type];
+  if (size > maxBytes) {
+    throw mediaError('MEDIA_TOO_LARGE', `File is too large for a WhatsApp ${type} (${formatBytes(size)}, limit ${formatBytes(maxBytes)}).`);
+  }
+}
+
+// reads a { path } or { buffer } source and checks it against the limits before anything is uploaded
+async function prepareUpload(type, media) {
+  let { buffer, filename } = media;
+  if (!buffer) {
+    const stat = await fs.promises.stat(media.path);
+    checkSize(type, stat.size);
+    buffer = await fs.promises.readFile(media.path);
+    filename = filename || path.basename(media.path);
+  }
+  checkSize(type, buffer.length);
+  const mimeType = detectMimeType(buffer, { filename, mimeType: media.mimeType });
+  const { types } = MEDIA_RULES[type];
+  if (types && !types.includes(mimeType)) {
+    throw mediaError('MEDIA_UNSUPPORTED', `WhatsApp can't send ${mimeType} as ${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type} (accepted: ${types.join(', ')}).`);
+  }
+  const { staticMaxBytes } = MEDIA_RULES[type];
+  if (staticMaxBytes && buffer.length > staticMaxBytes && !isAnimatedWebp(buffer)) {
+    throw mediaError('MEDIA_TOO_LARGE', `File is too large for a static WhatsApp ${type} (${formatBytes(buffer.length)}, limit ${formatBytes(staticMaxBytes)}; ${formatBytes(MEDIA_RULES[type].maxBytes)} when animated).`);
+  }
+  return { buffer, mimeType, filename: filename || `${type}${extensionFor(mimeType)}` };
+}
+
+/** mediaTypeFor(mimeType) -> 'image' | 'audio' | 'video' | 'document' - the message type that can carry it inline. */
+function mediaTypeFor(mimeType) {
+  const base = String(mimeType || '').split(';')[0].trim().toLowerCase();
+  for (const type of ['image', 'audio', 'video']) {
+    if (MEDIA_RULES[type].types.includes(base)) return type;
+  }
+  return 'document';
+}
+
+/**
+ * uploadMedia(buffer, mimeType, filename) -> media id
+ * Uploads a file to WhatsApp's media store so it can be sent by id (ids stay valid for 30 days).
+ */
+async function uploadMedia(buffer, mimeType, filename = 'file') {
+  const url = `https://graph.facebook.com/v17.0/${WHATSAPP_PHONE_NUMBER_ID}/media`;
+  const form = new FormData();
+  form.append('messaging_product', 'whatsapp');
+  form.append('type', mimeType);
+  form.append('file', new Blob([buffer], { type: mimeType }), filename);
+  const resp = await axios.post(url, form, {
+    headers: { Authorization: `Bearer ${WHATSAPP_ACCESS_TOKEN}` },
+    maxBodyLength: Infinity,
+    timeout: 120000
+  });
+  if (!resp.data?.id) throw new Error('whatsapp-utils: upload returned no media id');
+  return resp.data.id;
+}
+
+// media: { id } of an uploaded file, { link } to a public URL, { path } of a local file or
+// { buffer, mimeType, filename }; the last two are checked against MEDIA_RULES and uploaded first
+async function sendMediaMessage(to, type, media, fields, options) {
+  const toBare = toBareNumber(to);
+  if (await windowClosed(to)) {
+    throw mediaError('OUTSIDE_WINDOW', `Can't send ${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type} to ${toBare}: they haven't written in the last 24 hours, and until they do WhatsApp only delivers templates.`);
+  }
+  let ref = media.id ? { id: media.id } : media.link ? { link: media.link } : null;
+  if (!ref && (media.buffer || media.path)) {
+    const file = await prepareUpload(type, media);
+    ref = { id: await uploadMedia(file.buffer, file.mimeType, file.filename) };
+    if (type === 'document' && !fields.filename) fields = { ...fields, filename: file.filename };
+  }
+  if (!ref) throw new Error(`whatsapp-utils: ${type} needs an id, a link, a path or a buffer`);
+  const url = `https://graph.facebook.com/v17.0/${WHATSAPP_PHONE_NUMBER_ID}/messages`;
+  const payload = {
+    messaging_product: 'whatsapp',
+    to: toBare,
+    type,
+    [type]: { ...ref, ...fields }
+  };
+  const headers = {
+    Authorization: `Bearer ${WHATSAPP_ACCESS_TOKEN}`,
+    'Content-Type': 'application/json'
+  };
+  const resp = await axios.post(url, payload, { headers, timeout: 60000 });
+  await trackOutbound(resp.data, toBare, type, options.tag);
+  return resp.data;
+}
+
+// media given as a plain string: a media id, an http(s) URL or a local file path
+function toMedia(media) {
+  if (typeof media !== 'string') return media || {};
+  if (/^https?:\/\//i.test(media)) return { link: media };
+  if (/^\d+$/.test(media)) return { id: media };
+  return { path: media };
+}
+
+function captionFields(options) {
+  return options.caption ? { caption: String(options.caption).slice(0, 1024) } : {};
+}
+
+/**
+ * sendImage(to, media, options) - JPEG or PNG up to 5 MB; options.caption is shown under it.
+ * media is a media id, a URL, a local path or an object as described at sendMediaMessage.
+ */
+async function sendImage(to, media, options = {}) {
+  return sendMediaMessage(to, 'image', toMedia(media), captionFields(options), options);
+}
+
+/**
+ * sendAudio(to, media, options)
+ * Sends an audio message; OGG/Opus files show up as voice notes. Up to 16 MB.
+ */
+async function sendAudio(to, media, options = {}) {
+  const m = toMedia(media);
+  return sendMediaMessage(to, 'audio', m.buffer ? { mimeType: 'audio/ogg', filename: 'voice.ogg', ...m } : m, {}, options);
+}
+
+/** sendVideo(to, media, options) - MP4 or 3GP up to 16 MB, with an optional options.caption. */
+async function sendVideo(to, media, options = {}) {
+  return sendMediaMessage(to, 'video', toMedia(media), captionFields(options), options);
+}
+
+/**
+ * sendDocument(to, media, options) - any file up to 100 MB.
+ * options.filename is what the recipient sees (defaults to the uploaded file's name); options.caption is optional.
+ */
+async function sendDocument(to, media, options = {}) {
+  const fields = captionFields(options);
+  if (options.filename) fields.filename = options.filename;
+  return sendMediaMessage(to, 'document', toMedia(media), fields, options);
+}
+
+/** sendSticker(to, media, options) - WebP, 512x512; at most 100 KB static or 500 KB animated. */
+async function sendSticker(to, media, options = {}) {
+  return sendMediaMessage(to, 'sticker', toMedia(media), {}, options);
+}
+
+/**
+ * downloadMedia(mediaId, { maxBytes }) -> { buffer, mimeType }
+ * Fetches an inbound media object: the Graph API first returns a short-lived URL, which must be
+ * downloaded with the same access token. Media ids expire after about 30 days.
+ * Media over maxBytes throws with err.code MEDIA_TOO_LARGE, before the download when the
+ * Graph API reports the size.
+ */
+async function downloadMedia(mediaId, { maxBytes = 100 * 1024 * 1024 } = {}) {
+  const headers = { Authorization: `Bearer ${WHATSAPP_ACCESS_TOKEN}` };
+  const meta = await axios.get(`https://graph.facebook.com/v17.0/${mediaId}`, { headers, timeout: 20000 });
+  if (!meta.data?.url) throw new Error('whatsapp-utils: no url for media ' + mediaId);
+  const tooLarge = (size) => mediaError('MEDIA_TOO_LARGE', `Media is too large (${size ? formatBytes(size) + ', ' : ''}limit ${formatBytes(maxBytes)}).`);
+  if (Number(meta.data.file_size) > maxBytes) throw tooLarge(Number(meta.data.file_size));
+  let resp;
+  try {
+    resp = await axios.get(meta.data.url, {
+      headers,
+      responseType: 'arraybuffer',
+      maxContentLength: maxBytes,
+      timeout: 120000
+    });
+  } catch (err) {
+    if (/maxContentLength/.test(err?.message || '')) throw tooLarge();
+    throw err;
+  }
+  return { buffer: Buffer.from(resp.data), mimeType: meta.data.mime_type || resp.headers['content-type'] || '' };
+}
+
+module.exports = {
+  sendText,
+  sendInteractive,
+  sendTemplate,
+  sendImage,
+  sendAudio,
+  sendVideo,
+  sendDocument,
+  sendSticker,
+  uploadMedia,
+  downloadMedia,
+  detectMimeType,
+  extensionFor,
+  mediaTypeFor,
+  MEDIA_RULES
+};
\ No newline at end of file
@@ -0,0 +1,50 @@
+/**
+ * worker.js
+ * Standalone queue worker: `node worker.js`
+ * Processes the messages index_Version4.js writes to the durable queue (QUEUE_DIR).
+ * Start the web server with WORKER_MODE=separate so only worker processes consume jobs.
+ * Several workers may share one QUEUE_DIR; per-sender ordering is preserved across them.
+ * Refuses to start unless SESSION_BACKEND=redis, the only storage shared between processes.
+ * Workers also send due broadcast campaigns (campaigns.js) and close polls whose time is up (polls.js).
+ */
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const storage = require('./storage');
+
+// a worker runs next to the web server, so everything it stores has to be shared with it
+if (!storage.isShared()) {
+  console.error('worker.js needs SESSION_BACKEND=redis: memory and file storage are not shared with the web server.');
+  process.exit(1);
+}
+
+const { getDefaultQueue } = require('./job-queue');
+const { processJob, handleDeadLetter } = require('./message-handler');
+const campaigns = require('./campaigns');
+const polls = require('./polls');
+
+const concurrency = parseInt(process.env.QUEUE_CONCURRENCY || '4', 10);
+const queue = getDefaultQueue();
+
+queue.start(processJob, { concurrency, onDeadLetter: handleDeadLetter });
+// scheduled campaigns; workers share a lock so only one of them sends at a time
+campaigns.startRunner();
+polls.startRunner();
+console.log(`Worker started (concurrency ${concurrency}, queue ${queue.options.dir})`);
+
+// keep the process alive; the queue's poll timer is unref'd
+const keepAlive = setInterval(() => {}, 60 * 60 * 1000);
+
+async function shutdown(signal) {
+  console.log(`${signal} received, finishing in-flight jobs...`);
+  clearInterval(keepAlive);
+  campaigns.stopRunner();
+  polls.stopRunner();
+  await queue.stop();
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));